@@ -0,0 +1,418 @@
+/**
+ * Decoy Login Flow
+ * Fake sign-in, MFA and password reset steps that never authenticate anyone.
+ * The detectors run headless while the visitor fills in the form, and each
+ * attempt is emitted as one event bundling the credentials, fingerprint and behavior.
+ */
+
+class DecoyLoginFlow {
+    /**
+     * @param {HTMLElement} root - Container holding the login steps
+     * @param {Object} options - Flow options
+     * @param {Function} options.onEvent - Receives each finished event, and {unloading: true} for events
+     * emitted while the page unloads
+     * @param {EventClient} options.client - Client used by the default event handler
+     */
+    constructor(root, options = {}) {
+        this.root = root;
+        this.client = options.client || new EventClient();
+        this.onEvent = options.onEvent || ((event, eventOptions) => this._dispatchEvent(event, eventOptions));
+        this.startTime = performance.now();
+        this.attemptCount = 0;
+        this.pendingAttempt = null;
+        this.forgotPasswordVisited = false;
+
+        // Per-field interaction metrics, keyed by input name
+        this.fieldMetrics = {};
+        this.firstInteraction = null;
+        this.untrustedEvents = 0;
+    }
+
+    /**
+     * Start the detectors and wire up the form steps
+     */
+    init() {
+        this.engine = new FingerprintEngine();
+        this.collection = this.engine.collect().catch(e => {
+            window.utils.log('Fingerprint collection failed: ' + e.message, 'error');
+            return { results: {}, report: { sections: [] }, status: {}, skipped: [] };
+        });
+        this.collected = null;
+        this.collection.then(collected => { this.collected = collected; });
+
+        this.root.querySelectorAll('input').forEach(input => this._trackField(input));
+
+        this._form('password').addEventListener('submit', e => this._handlePasswordSubmit(e));
+        this._form('mfa').addEventListener('submit', e => this._handleMfaSubmit(e));
+        this._form('forgot').addEventListener('submit', e => this._handleForgotSubmit(e));
+
+        this.root.querySelectorAll('[data-action="forgot"]').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                this.forgotPasswordVisited = true;
+                this._showStep('forgot');
+            });
+        });
+
+        this.root.querySelectorAll('[data-action="back"]').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                this._abandonPendingAttempt('back');
+                this._showStep('password');
+            });
+        });
+
+        // Credential stuffing tools often leave as soon as the MFA step appears
+        window.addEventListener('pagehide', () => this._abandonPendingAttempt('pagehide'));
+    }
+
+    /**
+     * Handle the username/password step
+     */
+    _handlePasswordSubmit(e) {
+        e.preventDefault();
+        this._trackInteraction(e);
+
+        const form = e.target;
+        this.attemptCount++;
+        this.pendingAttempt = {
+            attempt: this.attemptCount,
+            username: form.elements.username.value,
+            password: form.elements.password.value,
+            passwordSubmittedAt: new Date().toISOString()
+        };
+
+        // Pretend the password was accepted
+        this._showError(null);
+        this._showStep('mfa');
+        this._form('mfa').elements.mfaCode.value = '';
+        this._form('mfa').elements.mfaCode.focus();
+    }
+
+    /**
+     * Handle the MFA step, which always fails
+     */
+    async _handleMfaSubmit(e) {
+        e.preventDefault();
+        this._trackInteraction(e);
+
+        const attempt = this.pendingAttempt;
+        if (!attempt) {
+            this._showStep('password');
+            return;
+        }
+        this.pendingAttempt = null;
+
+        const form = e.target;
+        const button = form.querySelector('button');
+        button.disabled = true;
+        button.textContent = 'Verifying...';
+
+        const event = await this._buildEvent('credential_attempt', {
+            username: attempt.username,
+            password: attempt.password,
+            mfaCode: form.elements.mfaCode.value
+        }, {
+            stage: 'mfa',
+            completed: true,
+            attempt: attempt.attempt,
+            passwordSubmittedAt: attempt.passwordSubmittedAt
+        });
+        this.onEvent(event);
+
+        button.disabled = false;
+        button.textContent = 'Verify';
+        this._form('password').elements.password.value = '';
+        this._showStep('password');
+        this._showError('We couldn\'t verify your sign-in. Please try again.');
+    }
+
+    /**
+     * Handle the password reset step
+     */
+    async _handleForgotSubmit(e) {
+        e.preventDefault();
+        this._trackInteraction(e);
+
+        const event = await this._buildEvent('password_reset', {
+            username: e.target.elements.email.value,
+            password: null,
+            mfaCode: null
+        }, {
+            stage: 'forgot',
+            completed: true,
+            attempt: null
+        });
+        this.onEvent(event);
+
+        this._showMessage('If an account exists for that address, a reset link is on its way.');
+    }
+
+    /**
+     * Emit a credential attempt that stopped at the MFA step
+     * The event is built synchronously from whatever has been collected so far,
+     * because the page may be unloading.
+     * @param {string} reason - Why the attempt ended
+     */
+    _abandonPendingAttempt(reason) {
+        const attempt = this.pendingAttempt;
+        if (!attempt) return;
+        this.pendingAttempt = null;
+
+        const event = this._createEvent('credential_attempt', {
+            username: attempt.username,
+            password: attempt.password,
+            mfaCode: null
+        }, {
+            stage: 'password',
+            completed: false,
+            abandonedBy: reason,
+            attempt: attempt.attempt,
+            passwordSubmittedAt: attempt.passwordSubmittedAt
+        }, this.collected);
+        this.onEvent(event, { unloading: reason === 'pagehide' });
+    }
+
+    /**
+     * Build an event once the fingerprint collection has settled
+     * @param {string} type - Event type
+     * @param {Object} credentials - Submitted credentials
+     * @param {Object} flow - Flow state for this attempt
+     * @returns {Promise<Object>} - The event
+     */
+    async _buildEvent(type, credentials, flow) {
+        const collected = await this.collection;
+        const event = this._createEvent(type, credentials, flow, collected);
+
+        // Unlike an unloading page, there is time to compress the recording
+        const recorder = this.engine ? this.engine.instances.sessionRecorder : null;
+        if (recorder && event.behavior.recording) {
+            event.behavior.recording = await recorder.compressRecording();
+        }
+        return event;
+    }
+
+    /**
+     * Bundle credentials, fingerprint and behavior into one event
+     * @param {string} type - Event type
+     * @param {Object} credentials - Submitted credentials
+     * @param {Object} flow - Flow state for this attempt
+     * @param {Object|null} collected - Output of FingerprintEngine.collect(), null if still running
+     * @returns {Object} - The event
+     */
+    _createEvent(type, credentials, flow, collected) {
+        return {
+            id: EventClient.createId(),
+            type,
+            createdAt: new Date().toISOString(),
+            page: window.location.pathname,
+            referrer: document.referrer || null,
+            credentials,
+            flow: Object.assign({ forgotPasswordVisited: this.forgotPasswordVisited }, flow),
+            fingerprint: collected ? {
+                hash: collected.identifiers.stableId,
+                sessionId: collected.identifiers.sessionId,
+                results: collected.results,
+                report: collected.report,
+                status: collected.status
+            } : null,
+            behavior: this._collectBehavior()
+        };
+    }
+
+    /**
+     * Snapshot the live behavior data of the interaction detectors and the form
+     * Interaction detectors keep analysing after detect() settles, so this is
+     * read at submit time rather than taken from the collected results.
+     * @returns {Object} - Behavior data
+     */
+    _collectBehavior() {
+        const instances = this.engine ? this.engine.instances : {};
+        const mouse = instances.mouseInteraction;
+        const bot = instances.botDetection;
+        const remoteDesktop = instances.remoteDesktop;
+        const recorder = instances.sessionRecorder;
+        const keystrokes = instances.keystrokeDynamics;
+
+        return FingerprintEngine.snapshot({
+            form: {
+                timeOnPage: Math.round(performance.now() - this.startTime),
+                firstInteraction: this.firstInteraction,
+                untrustedEvents: this.untrustedEvents,
+                fields: this.fieldMetrics
+            },
+            mouse: mouse ? {
+                movements: mouse.mouseData.movements,
+                clicks: mouse.mouseData.clicks,
+                scrollEvents: mouse.mouseData.scrollEvents,
+                remoteAccess: mouse.getRemoteAccessResults()
+            } : null,
+            bot: bot ? {
+                scores: bot.detectionScores,
+                data: bot.botData
+            } : null,
+            remoteDesktop: remoteDesktop ? remoteDesktop.results : null,
+            keystrokes: keystrokes ? keystrokes.keystrokeData : null,
+            recording: recorder ? recorder.getRecording() : null
+        });
+    }
+
+    /**
+     * Record how a field is filled in
+     * Values that change without key presses usually come from autofill, a password
+     * manager or a script setting .value directly.
+     * @param {HTMLInputElement} input - Field to track
+     */
+    _trackField(input) {
+        const metrics = {
+            focusCount: 0,
+            keyPresses: 0,
+            pastes: 0,
+            inputsWithoutKeys: 0,
+            firstKeyAt: null,
+            lastKeyAt: null
+        };
+        this.fieldMetrics[input.name] = metrics;
+
+        let lastKeyTime = 0;
+
+        input.addEventListener('focus', e => {
+            metrics.focusCount++;
+            this._trackInteraction(e);
+        });
+
+        input.addEventListener('keydown', e => {
+            const now = Math.round(performance.now() - this.startTime);
+            metrics.keyPresses++;
+            if (metrics.firstKeyAt === null) metrics.firstKeyAt = now;
+            metrics.lastKeyAt = now;
+            lastKeyTime = performance.now();
+            this._trackInteraction(e);
+        });
+
+        input.addEventListener('paste', e => {
+            metrics.pastes++;
+            this._trackInteraction(e);
+        });
+
+        input.addEventListener('input', e => {
+            if (e.inputType !== 'insertFromPaste' && performance.now() - lastKeyTime > 100) {
+                metrics.inputsWithoutKeys++;
+            }
+            this._trackInteraction(e);
+        });
+    }
+
+    /**
+     * Note the first interaction and count synthetic events
+     */
+    _trackInteraction(e) {
+        if (this.firstInteraction === null) {
+            this.firstInteraction = Math.round(performance.now() - this.startTime);
+        }
+        if (!e.isTrusted) {
+            this.untrustedEvents++;
+        }
+    }
+
+    /**
+     * Get the form of a step
+     */
+    _form(step) {
+        return this.root.querySelector(`form[data-step="${step}"]`);
+    }
+
+    /**
+     * Show one step and hide the others
+     */
+    _showStep(step) {
+        this.root.querySelectorAll('[data-step]').forEach(element => {
+            element.hidden = element.getAttribute('data-step') !== step;
+        });
+        if (step !== 'password') {
+            this._showError(null);
+        }
+    }
+
+    /**
+     * Show a final message instead of a form
+     */
+    _showMessage(message) {
+        this.root.querySelector('[data-step="message"]').textContent = message;
+        this._showStep('message');
+    }
+
+    /**
+     * Show or clear the error banner
+     */
+    _showError(message) {
+        const error = this.root.querySelector('[data-role="error"]');
+        error.textContent = message || '';
+        error.hidden = !message;
+    }
+
+    /**
+     * Default event handler: keep the event on the page, announce it and post it to the collector
+     * While the page unloads only a trimmed copy fits in the request that outlives it.
+     */
+    _dispatchEvent(event, options = {}) {
+        window.fingerprint.events = window.fingerprint.events || [];
+        window.fingerprint.events.push(event);
+        document.dispatchEvent(new CustomEvent('fingerprint:event', { detail: event }));
+
+        if (options.unloading) {
+            this.client.sendOnUnload(DecoyLoginFlow.trimEvent(event));
+            return;
+        }
+
+        this.client.send(event).catch(e => {
+            window.utils.log('Could not send event: ' + e.message, 'error');
+        });
+    }
+}
+
+/**
+ * Reduce an event to the credentials, IDs and the fields the collector summarizes
+ * (see server/summary.js), leaving out the report, the recording and the raw behavior data.
+ * @param {Object} event - Full event
+ * @returns {Object} - Trimmed event, marked with flow.trimmed
+ */
+DecoyLoginFlow.trimEvent = function(event) {
+    const fingerprint = event.fingerprint;
+    const results = fingerprint ? fingerprint.results : {};
+    const behavior = event.behavior || {};
+    const pick = (object, keys) => object ? keys.reduce((picked, key) => {
+        if (object[key] !== undefined) picked[key] = object[key];
+        return picked;
+    }, {}) : null;
+
+    const webRTC = results.network && results.network.webRTC;
+    return Object.assign({}, event, {
+        flow: Object.assign({}, event.flow, { trimmed: true }),
+        fingerprint: fingerprint ? {
+            hash: fingerprint.hash,
+            sessionId: fingerprint.sessionId,
+            results: {
+                botDetection: pick(results.botDetection, ['overallScore']),
+                remoteDesktop: pick(results.remoteDesktop, ['type', 'detected']),
+                network: webRTC ? { webRTC: pick(webRTC, ['addresses']) } : null,
+                canvasFingerprint: pick(results.canvasFingerprint, ['canvasHash'])
+            }
+        } : null,
+        behavior: {
+            form: behavior.form || null,
+            bot: behavior.bot ? { scores: behavior.bot.scores } : null,
+            remoteDesktop: pick(behavior.remoteDesktop, ['type', 'detected'])
+        }
+    });
+};
+
+window.DecoyLoginFlow = DecoyLoginFlow;
+
+document.addEventListener('DOMContentLoaded', function() {
+    const root = document.getElementById('decoy-login');
+    if (!root) return;
+
+    window.decoyLogin = new DecoyLoginFlow(root);
+    window.decoyLogin.init();
+});
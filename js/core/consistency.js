@@ -0,0 +1,298 @@
+/**
+ * User Agent Consistency Engine
+ * Cross-checks what the user agent claims (OS, browser, engine, mobile) against the
+ * other signals that describe the same thing: client hints, navigator.platform, the
+ * WebGL renderer, installed fonts, speech voices and JavaScript engine traits. The checks
+ * are plain rule objects, so detectors can add their own with UAConsistencyEngine.addRule().
+ */
+
+class UAConsistencyEngine {
+    /**
+     * @param {Object[]} rules - Rules to evaluate, defaults to UAConsistencyEngine.RULES
+     */
+    constructor(rules) {
+        this.rules = rules || UAConsistencyEngine.RULES;
+    }
+
+    /**
+     * Evaluate every rule against a set of signals
+     * A rule is skipped when one of the signals it requires is missing.
+     * @param {Object} signals - userAgent, clientHints, platform, webglRenderer, fontOS, voiceOS, jsEngine, ...
+     * @returns {{claimed: Object, mismatches: Object[], checked: string[], skipped: string[]}} - The parsed
+     * user agent, mismatches as {rule, title, weight, message}, and the IDs of the evaluated and skipped rules
+     */
+    evaluate(signals) {
+        const claimed = UAConsistencyEngine.parseUserAgent(signals.userAgent || '');
+        const result = { claimed, mismatches: [], checked: [], skipped: [] };
+
+        this.rules.forEach(rule => {
+            const missing = (rule.requires || []).some(name => signals[name] === null || signals[name] === undefined);
+            if (missing) {
+                result.skipped.push(rule.id);
+                return;
+            }
+
+            result.checked.push(rule.id);
+            let messages;
+            try {
+                messages = rule.test(signals, claimed);
+            } catch (e) {
+                window.utils.log(`Error in consistency rule ${rule.id}: ${e.message}`, 'error');
+                return;
+            }
+
+            [].concat(messages || []).forEach(message => {
+                result.mismatches.push({ rule: rule.id, title: rule.title, weight: rule.weight, message });
+            });
+        });
+
+        return result;
+    }
+}
+
+/**
+ * Parse what a user agent claims
+ * @param {string} ua - User agent string
+ * @returns {{os: string, browser: string, engine: string, majorVersion: number|null, mobile: boolean}} - Claimed platform
+ */
+UAConsistencyEngine.parseUserAgent = function(ua) {
+    let os = 'Unknown';
+    if (/Windows/.test(ua)) os = 'Windows';
+    else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+    else if (/Macintosh|Mac OS X/.test(ua)) os = 'macOS';
+    else if (/Android/.test(ua)) os = 'Android';
+    else if (/CrOS/.test(ua)) os = 'Chrome OS';
+    else if (/Linux|X11/.test(ua)) os = 'Linux';
+
+    let browser = 'Unknown';
+    let version = null;
+    const tokens = [
+        ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+        ['Opera', /(?:OPR|Opera)\/(\d+)/],
+        ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+        ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+        ['Safari', /Version\/(\d+).*Safari\//]
+    ];
+    for (const [name, pattern] of tokens) {
+        const match = ua.match(pattern);
+        if (match) {
+            browser = name;
+            version = parseInt(match[1], 10);
+            break;
+        }
+    }
+
+    // Every iOS browser is WebKit
+    let engine = 'Unknown';
+    if (os === 'iOS' || browser === 'Safari') engine = 'WebKit';
+    else if (browser === 'Firefox') engine = 'Gecko';
+    else if (browser !== 'Unknown') engine = 'Blink';
+
+    return { os, browser, engine, majorVersion: version, mobile: /Mobi/.test(ua) };
+};
+
+/**
+ * Add a rule to the default rule set
+ * @param {Object} rule - {id, title, weight, requires, test(signals, claimed)}; test returns a message,
+ * a list of messages or nothing
+ */
+UAConsistencyEngine.addRule = function(rule) {
+    UAConsistencyEngine.RULES = UAConsistencyEngine.RULES.filter(existing => existing.id !== rule.id).concat(rule);
+};
+
+/**
+ * OS family of a navigator.platform or client hints platform value
+ * @returns {string[]} - OS names the value is consistent with
+ */
+UAConsistencyEngine.platformOS = function(platform) {
+    if (/^Win/i.test(platform)) return ['Windows'];
+    if (/^(iPhone|iPad|iPod)/.test(platform)) return ['iOS'];
+    // iPads request the desktop site with a Mac platform
+    if (/^Mac/i.test(platform)) return ['macOS', 'iOS'];
+    if (/^Android/i.test(platform)) return ['Android'];
+    if (/CrOS|Chrome OS/i.test(platform)) return ['Chrome OS'];
+    // Android and Chrome OS report "Linux armv8l" or "Linux x86_64"
+    if (/Linux|X11/i.test(platform)) return ['Linux', 'Android', 'Chrome OS'];
+    return [];
+};
+
+// WebGL renderer patterns and the OSes that use them
+UAConsistencyEngine.RENDERER_OS = [
+    { pattern: /Direct3D|D3D(9|11|12)/, os: ['Windows'] },
+    { pattern: /Metal|Apple (M\d|A\d+|GPU)/, os: ['macOS', 'iOS'] },
+    { pattern: /Adreno|Mali|PowerVR|Immortalis|Xclipse/, os: ['Android', 'Chrome OS', 'Linux'] },
+    { pattern: /Mesa|llvmpipe|OpenGL ES.*(Intel|AMD)/, os: ['Linux', 'Chrome OS', 'Android'] }
+];
+
+// OS family of each claimed OS, as used for OS-specific font packs
+UAConsistencyEngine.OS_FAMILIES = {
+    Windows: 'Windows',
+    macOS: 'macOS',
+    iOS: 'macOS',
+    Linux: 'Linux',
+    Android: 'Linux',
+    'Chrome OS': 'Linux'
+};
+
+/**
+ * Get the OS family of an OS name
+ * @returns {string|null} - Windows, macOS or Linux, null for unknown systems
+ */
+UAConsistencyEngine.osFamily = function(os) {
+    return UAConsistencyEngine.OS_FAMILIES[os] || null;
+};
+
+UAConsistencyEngine.RULES = [
+    {
+        id: 'uaTokens',
+        title: 'User agent tokens',
+        weight: 1,
+        requires: ['userAgent'],
+        test(signals) {
+            const ua = signals.userAgent;
+            const messages = [];
+            if (/Windows/.test(ua) && /Mac OS X/.test(ua)) messages.push('User agent contains both Windows and Mac OS');
+            if (/Android/.test(ua) && /Windows/.test(ua)) messages.push('User agent contains both Android and Windows');
+            if (/Chrome\/\d+/.test(ua) && /Firefox\/\d+/.test(ua)) messages.push('User agent contains both Chrome and Firefox versions');
+            return messages;
+        }
+    },
+    {
+        id: 'jsEngine',
+        title: 'JavaScript engine',
+        weight: 0.8,
+        requires: ['jsEngine'],
+        test(signals, claimed) {
+            if (claimed.engine === 'Unknown') return null;
+            return signals.jsEngine.traits
+                .filter(trait => !trait.engines.includes(claimed.engine))
+                .map(trait => `${trait.title}: ${trait.engines.join(' or ')}, not the ${claimed.engine} engine of ${claimed.browser}`);
+        }
+    },
+    {
+        id: 'engineVersion',
+        title: 'ECMAScript features',
+        weight: 0.6,
+        requires: ['jsEngine'],
+        test(signals, claimed) {
+            const { engine, versionBounds } = signals.jsEngine;
+            const version = claimed.majorVersion;
+            if (engine !== claimed.engine || !versionBounds || !version) return null;
+            // Edge shares Chrome's version numbers
+            const browser = claimed.browser === 'Edge' ? 'Chrome' : claimed.browser;
+            if (browser !== versionBounds.browser) return null;
+
+            // Safari features ship in minor releases, so only whole versions are compared
+            const { supported, missing } = versionBounds;
+            if (supported && version < Math.floor(supported.version)) {
+                return `User agent claims ${claimed.browser} ${version} but ${supported.feature} needs ${browser} ${supported.version}`;
+            }
+            if (missing && version >= Math.ceil(missing.version)) {
+                return `User agent claims ${claimed.browser} ${version} but ${missing.feature}, added in ${browser} ${missing.version}, is missing`;
+            }
+            return null;
+        }
+    },
+    {
+        id: 'clientHintsPlatform',
+        title: 'Client hints platform',
+        weight: 1,
+        requires: ['clientHints'],
+        test(signals, claimed) {
+            const platform = signals.clientHints.platform;
+            if (!platform || claimed.os === 'Unknown') return null;
+
+            const os = UAConsistencyEngine.platformOS(platform);
+            // Client hints report Linux for Chrome OS and Android only as "Android"
+            const matches = os.includes(claimed.os) && !(platform === 'Linux' && claimed.os === 'Android');
+            return matches ? null : `Client hints platform ${platform} but user agent claims ${claimed.os}`;
+        }
+    },
+    {
+        id: 'clientHintsBrands',
+        title: 'Client hints brands',
+        weight: 0.8,
+        requires: ['clientHints'],
+        test(signals, claimed) {
+            const brands = signals.clientHints.brands || [];
+            const names = brands.map(brand => brand.brand);
+            const messages = [];
+
+            if (claimed.engine === 'Gecko' || claimed.engine === 'WebKit') {
+                messages.push(`${claimed.browser} user agent but navigator.userAgentData exists (Chromium only)`);
+                return messages;
+            }
+
+            const expected = { Chrome: 'Chromium', Edge: 'Microsoft Edge', Opera: 'Opera' }[claimed.browser];
+            if (expected && !names.includes(expected)) {
+                messages.push(`${claimed.browser} user agent without the "${expected}" client hints brand`);
+            }
+
+            const chromium = brands.find(brand => brand.brand === 'Chromium');
+            const uaChromium = (signals.userAgent.match(/Chrome\/(\d+)/) || [])[1];
+            if (chromium && uaChromium && parseInt(chromium.version, 10) !== parseInt(uaChromium, 10)) {
+                messages.push(`User agent Chrome ${uaChromium} but client hints Chromium ${chromium.version}`);
+            }
+            return messages;
+        }
+    },
+    {
+        id: 'clientHintsMobile',
+        title: 'Client hints mobile flag',
+        weight: 0.6,
+        requires: ['clientHints'],
+        test(signals, claimed) {
+            const mobile = signals.clientHints.mobile;
+            if (typeof mobile !== 'boolean' || mobile === claimed.mobile) return null;
+            return `Client hints mobile is ${mobile} but user agent ${claimed.mobile ? 'claims' : 'does not claim'} a mobile device`;
+        }
+    },
+    {
+        id: 'navigatorPlatform',
+        title: 'navigator.platform',
+        weight: 0.8,
+        requires: ['platform'],
+        test(signals, claimed) {
+            const os = UAConsistencyEngine.platformOS(signals.platform);
+            if (os.length === 0 || claimed.os === 'Unknown' || os.includes(claimed.os)) return null;
+            return `navigator.platform ${signals.platform} but user agent claims ${claimed.os}`;
+        }
+    },
+    {
+        id: 'webglRenderer',
+        title: 'WebGL renderer',
+        weight: 0.6,
+        requires: ['webglRenderer'],
+        test(signals, claimed) {
+            const family = UAConsistencyEngine.RENDERER_OS.find(entry => entry.pattern.test(signals.webglRenderer));
+            if (!family || claimed.os === 'Unknown' || family.os.includes(claimed.os)) return null;
+            return `WebGL renderer "${signals.webglRenderer}" is not used on ${claimed.os}`;
+        }
+    },
+    {
+        id: 'fontSet',
+        title: 'Installed fonts',
+        weight: 0.5,
+        requires: ['fontOS'],
+        test(signals, claimed) {
+            // fontOS lists the OS families whose own font packs are installed
+            const family = UAConsistencyEngine.osFamily(claimed.os);
+            if (!family || signals.fontOS.length === 0 || signals.fontOS.includes(family)) return null;
+            return `User agent claims ${claimed.os} but the installed fonts belong to ${signals.fontOS.join(' and ')}`;
+        }
+    },
+    {
+        id: 'speechVoices',
+        title: 'Speech synthesis voices',
+        weight: 0.5,
+        requires: ['voiceOS'],
+        test(signals, claimed) {
+            // voiceOS lists the OS families whose bundled local voices are present
+            const family = UAConsistencyEngine.osFamily(claimed.os);
+            if (!family || signals.voiceOS.length === 0 || signals.voiceOS.includes(family)) return null;
+            return `User agent claims ${claimed.os} but the local speech voices belong to ${signals.voiceOS.join(' and ')}`;
+        }
+    }
+];
+
+window.UAConsistencyEngine = UAConsistencyEngine;
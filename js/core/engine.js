@@ -0,0 +1,136 @@
+/**
+ * Fingerprint Engine
+ * Runs registered detectors against a SignalReport, with or without a renderer.
+ * Pages that only need the data (e.g. forms posting to a collector) use it headless.
+ */
+
+class FingerprintEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {DetectorRegistry} options.registry - Registry to run detectors from
+     * @param {Object} options.renderer - Optional renderer with attach(report) and getSectionElement(id)
+     * @param {string[]} options.detectors - Only run these detectors and their dependencies
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || window.fingerprint.registry;
+        this.renderer = options.renderer || null;
+        this.report = new SignalReport();
+        this.orchestrator = new DetectorOrchestrator(this.registry, { detectors: options.detectors });
+        this.instances = this.orchestrator.instances;
+    }
+
+    /**
+     * Run the detectors and collect their results
+     * @returns {Promise<{results: Object, report: Object, status: Object, skipped: Object[], identifiers: Object}>} -
+     * Snapshot of the collected data, with the stable and session IDs from SignalTaxonomy.identify()
+     */
+    async collect() {
+        this._bindUtils();
+
+        if (this.renderer) {
+            this.renderer.attach(this.report);
+        }
+
+        const { results, status, skipped } = await this.orchestrator.run();
+        this._finalize();
+        const snapshot = FingerprintEngine.snapshot(results);
+
+        return {
+            results: snapshot,
+            report: this.report.toJSON(),
+            status,
+            skipped: skipped.map(({ definition, reason }) => ({ name: definition.name, reason })),
+            identifiers: new SignalTaxonomy(this.registry).identify(snapshot)
+        };
+    }
+
+    /**
+     * Stop the detectors that keep tracking after collect() settled (interaction
+     * listeners, timers, the session recording). Their data stays readable but no longer changes.
+     */
+    stop() {
+        this._invoke('stop');
+    }
+
+    /**
+     * Let detectors that combine the others' results (e.g. the bot score) update them
+     * now that every detector has settled, including the ones they don't depend on
+     */
+    _finalize() {
+        this._invoke('finalize');
+    }
+
+    /**
+     * Call a lifecycle method on every detector instance that has it
+     * @param {string} method - Method name
+     */
+    _invoke(method) {
+        Object.keys(this.instances).forEach(name => {
+            const detector = this.instances[name];
+            if (!detector || typeof detector[method] !== 'function') return;
+            try {
+                detector[method]();
+            } catch (e) {
+                window.utils.log(`Error calling ${method}() on ${name}: ${e.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Point the shared utils used by detectors at this engine's report
+     */
+    _bindUtils() {
+        const utils = window.utils || (window.utils = {});
+        const report = this.report;
+        const renderer = this.renderer;
+
+        // Fall back to the global helpers from utils.js when main.js isn't loaded
+        if (!utils.log) {
+            utils.log = typeof log === 'function' ? log : (message, level) => console.log(`[${level || 'info'}] ${message}`);
+        }
+        if (!utils.generateFingerprint && typeof generateFingerprint === 'function') {
+            utils.generateFingerprint = generateFingerprint;
+        }
+        if (!utils.safeExecute && typeof safeExecute === 'function') {
+            utils.safeExecute = safeExecute;
+        }
+
+        utils.createInfoSection = (id, title) => {
+            report.createSection(id, title);
+            return utils.getSectionElement(id);
+        };
+        utils.addInfo = (sectionId, name, value, className) => {
+            const item = report.addInfo(sectionId, name, value, className);
+            return renderer ? renderer.getItemElement(item) : null;
+        };
+        utils.removeInfo = (sectionId, name) => report.removeInfo(sectionId, name);
+        utils.getInfo = (sectionId, name) => report.getInfo(sectionId, name);
+        utils.isRendering = () => !!renderer;
+        utils.getSectionElement = id => renderer ? renderer.getSectionElement(id) : null;
+    }
+}
+
+/**
+ * Create a plain JSON copy of detector results
+ * Detectors keep updating their live objects after they settle, the copy does not change.
+ * @param {Object} data - Detector results
+ * @returns {Object} - Deep copy of the serializable data
+ */
+FingerprintEngine.snapshot = function(data) {
+    try {
+        return JSON.parse(JSON.stringify(data));
+    } catch (e) {
+        window.utils.log('Error creating data snapshot: ' + e.message, 'error');
+        return Object.assign({}, data);
+    }
+};
+
+window.FingerprintEngine = FingerprintEngine;
+window.fingerprint = window.fingerprint || {};
+
+/**
+ * Run all enabled detectors and return their data
+ * @param {Object} options - See FingerprintEngine
+ * @returns {Promise<Object>} - Results, report JSON and detector status
+ */
+window.fingerprint.collect = options => new FingerprintEngine(options).collect();
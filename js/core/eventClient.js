@@ -0,0 +1,95 @@
+/**
+ * Event Client
+ * Posts events to the collector server (server/index.js).
+ * Disabled when the page is opened from disk, where there is no collector to reach.
+ */
+
+class EventClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.endpoint - URL of the events API
+     * @param {boolean} options.enabled - Override the automatic http(s) check
+     */
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || EventClient.DEFAULT_ENDPOINT;
+        this.enabled = typeof options.enabled === 'boolean'
+            ? options.enabled
+            : /^https?:$/.test(window.location.protocol);
+    }
+
+    /**
+     * Post an event
+     * Small events are sent with keepalive so they survive the page unloading.
+     * @param {Object} event - Event to store
+     * @returns {Promise<Object|null>} - The collector's response, null if the client is disabled
+     */
+    async send(event) {
+        if (!this.enabled) return null;
+
+        const body = JSON.stringify(event);
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: body.length < EventClient.KEEPALIVE_LIMIT
+        });
+
+        if (!response.ok) {
+            throw new Error(`Collector rejected event ${event.id}: HTTP ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Post an event while the page unloads
+     * Only keepalive requests and beacons outlive the page, and both are capped in size,
+     * so callers send a trimmed event here and the full one through send().
+     * @param {Object} event - Event to store, smaller than EventClient.KEEPALIVE_LIMIT once serialized
+     * @returns {boolean} - Whether the browser accepted the request
+     */
+    sendOnUnload(event) {
+        if (!this.enabled) return false;
+
+        const body = JSON.stringify(event);
+        if (body.length >= EventClient.KEEPALIVE_LIMIT) {
+            window.utils.log(`Event ${event.id} is too large to send while unloading`, 'error');
+            return false;
+        }
+
+        if (typeof Request !== 'undefined' && 'keepalive' in Request.prototype) {
+            fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(e => window.utils.log('Could not send event: ' + e.message, 'error'));
+            return true;
+        }
+
+        return !!(navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' })));
+    }
+}
+
+EventClient.DEFAULT_ENDPOINT = '/api/events';
+
+// Browsers cap the total size of keepalive request bodies at 64 KiB
+EventClient.KEEPALIVE_LIMIT = 60000;
+
+/**
+ * Create a random event ID
+ * @returns {string} - Hex ID
+ */
+EventClient.createId = function() {
+    const bytes = new Uint8Array(16);
+    if (window.crypto && window.crypto.getRandomValues) {
+        window.crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+window.EventClient = EventClient;
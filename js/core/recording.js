@@ -0,0 +1,285 @@
+/**
+ * Interaction Timeline
+ * Compact recording of pointer, click, scroll and key timing events.
+ * Each event is stored as its type, the milliseconds since the previous event and
+ * a few integer fields; positions are deltas from the previous pointer position.
+ * Everything is written as zigzag varints, so a typical mouse move takes 4 bytes.
+ * compress() additionally deflates the packed bytes where CompressionStream exists.
+ * Key events only carry a key class (letter, digit, ...), never the key itself.
+ */
+
+class InteractionTimeline {
+    /**
+     * @param {Object} options - Timeline options
+     * @param {number} options.maxBytes - Stop recording once the packed data reaches this size
+     * @param {number} options.maxDuration - Stop recording after this many milliseconds
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || InteractionTimeline.MAX_BYTES;
+        this.maxDuration = options.maxDuration || InteractionTimeline.MAX_DURATION;
+
+        this.buffer = new Uint8Array(4096);
+        this.length = 0;
+        this.count = 0;
+        this.truncated = false;
+
+        this.startedAt = new Date().toISOString();
+        this.startTime = performance.now();
+        this.lastTime = 0;
+        this.lastPointer = { x: 0, y: 0 };
+        this.lastScroll = { x: 0, y: 0 };
+        this.viewport = {
+            width: window.innerWidth || 0,
+            height: window.innerHeight || 0
+        };
+    }
+
+    /**
+     * Append an event
+     * @param {string} type - Event type, a key of InteractionTimeline.FIELDS
+     * @param {Object} values - Field values; x/y are absolute positions
+     * @returns {boolean} - False once the timeline is full
+     */
+    add(type, values = {}) {
+        if (this.truncated) return false;
+
+        const time = Math.round(performance.now() - this.startTime);
+        if (time > this.maxDuration) {
+            this.truncated = true;
+            return false;
+        }
+
+        const fields = InteractionTimeline.FIELDS[type];
+        const encoded = [InteractionTimeline.TYPES.indexOf(type), time - this.lastTime];
+
+        fields.forEach(field => {
+            const value = Math.round(values[field] || 0);
+            if (field === 'x' || field === 'y') {
+                const last = type === 'scroll' ? this.lastScroll : this.lastPointer;
+                encoded.push(value - last[field]);
+                last[field] = value;
+            } else {
+                encoded.push(value);
+            }
+        });
+
+        // Worst case is 5 bytes per value
+        if (this.length + encoded.length * 5 > this.maxBytes) {
+            this.truncated = true;
+            return false;
+        }
+
+        encoded.forEach(value => this._writeVarint(InteractionTimeline.zigzag(value)));
+        this.lastTime = time;
+        this.count++;
+        return true;
+    }
+
+    /**
+     * Serializable form of the timeline, uncompressed
+     * For callers that can't wait, such as a pagehide handler. Use compress() otherwise.
+     * @returns {Object} - Metadata and the packed events as base64
+     */
+    toJSON() {
+        return this._serialize('none', this.buffer.subarray(0, this.length));
+    }
+
+    /**
+     * Serializable form of the timeline with the packed events deflated
+     * Falls back to the uncompressed form without CompressionStream or when it fails.
+     * @returns {Promise<Object>} - Same as toJSON(), with codec set to the codec used
+     */
+    async compress() {
+        if (typeof CompressionStream !== 'function') return this.toJSON();
+
+        try {
+            const packed = this.buffer.slice(0, this.length);
+            const compressed = await InteractionTimeline.pipe(packed, new CompressionStream(InteractionTimeline.CODEC));
+            return this._serialize(InteractionTimeline.CODEC, compressed);
+        } catch (e) {
+            return this.toJSON();
+        }
+    }
+
+    /**
+     * Build the serialized form
+     * @param {string} codec - 'none' or InteractionTimeline.CODEC
+     * @param {Uint8Array} data - Packed events, encoded with codec
+     */
+    _serialize(codec, data) {
+        return {
+            version: InteractionTimeline.VERSION,
+            encoding: 'delta-varint-base64',
+            codec,
+            startedAt: this.startedAt,
+            viewport: this.viewport,
+            duration: this.lastTime,
+            count: this.count,
+            // Size of the packed events before compression
+            bytes: this.length,
+            compressedBytes: data.length,
+            truncated: this.truncated,
+            data: btoa(InteractionTimeline.toBinaryString(data))
+        };
+    }
+
+    /**
+     * Write an unsigned varint, growing the buffer as needed
+     */
+    _writeVarint(value) {
+        if (this.length + 5 > this.buffer.length) {
+            const grown = new Uint8Array(this.buffer.length * 2);
+            grown.set(this.buffer);
+            this.buffer = grown;
+        }
+
+        while (value > 0x7f) {
+            this.buffer[this.length++] = (value & 0x7f) | 0x80;
+            value >>>= 7;
+        }
+        this.buffer[this.length++] = value;
+    }
+}
+
+InteractionTimeline.VERSION = 1;
+InteractionTimeline.MAX_BYTES = 256 * 1024;
+InteractionTimeline.MAX_DURATION = 15 * 60 * 1000;
+
+// CompressionStream format used by compress()
+InteractionTimeline.CODEC = 'deflate-raw';
+
+// Type codes are the index in this list, so only ever append to it
+InteractionTimeline.TYPES = ['move', 'down', 'up', 'wheel', 'scroll', 'keydown', 'keyup', 'score'];
+
+// Integer fields stored for each type
+InteractionTimeline.FIELDS = {
+    move: ['x', 'y'],
+    down: ['button', 'x', 'y'],
+    up: ['button', 'x', 'y'],
+    wheel: ['dx', 'dy'],
+    scroll: ['x', 'y'],
+    keydown: ['key'],
+    keyup: ['key'],
+    score: ['bot', 'remote'] // Percentages
+};
+
+InteractionTimeline.KEY_CLASSES = ['other', 'letter', 'digit', 'space', 'delete', 'enter', 'tab', 'modifier', 'navigation'];
+
+/**
+ * Map a KeyboardEvent key to its class index
+ * @param {string} key - KeyboardEvent.key
+ * @returns {number} - Index in InteractionTimeline.KEY_CLASSES
+ */
+InteractionTimeline.keyClass = function(key) {
+    let name = 'other';
+    if (/^\p{L}$/u.test(key || '')) name = 'letter';
+    else if (/^[0-9]$/.test(key)) name = 'digit';
+    else if (key === ' ') name = 'space';
+    else if (key === 'Backspace' || key === 'Delete') name = 'delete';
+    else if (key === 'Enter') name = 'enter';
+    else if (key === 'Tab') name = 'tab';
+    else if (['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'AltGraph'].includes(key)) name = 'modifier';
+    else if (/^(Arrow|Page|Home|End)/.test(key)) name = 'navigation';
+    return InteractionTimeline.KEY_CLASSES.indexOf(name);
+};
+
+/**
+ * Map a signed integer to an unsigned one (0, -1, 1, -2, ... => 0, 1, 2, 3, ...)
+ */
+InteractionTimeline.zigzag = function(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+};
+
+/**
+ * Turn bytes into a binary string for btoa(), in chunks to stay below the argument limit
+ */
+InteractionTimeline.toBinaryString = function(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + 8192, bytes.length)));
+    }
+    return binary;
+};
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} stream - Compression or decompression stream
+ * @returns {Promise<Uint8Array>} - Output
+ */
+InteractionTimeline.pipe = async function(bytes, stream) {
+    const output = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(output);
+};
+
+/**
+ * Decode a serialized timeline
+ * @param {Object} recording - Output of toJSON() or compress()
+ * @returns {Promise<Object[]>} - Events with type, absolute time t (ms) and absolute positions
+ */
+InteractionTimeline.decode = async function(recording) {
+    if (!recording || recording.version !== InteractionTimeline.VERSION) {
+        throw new Error('Unsupported recording format');
+    }
+
+    // Recordings from before compress() existed have no codec
+    const codec = recording.codec || 'none';
+    let binary = atob(recording.data || '');
+    if (codec === InteractionTimeline.CODEC) {
+        if (typeof DecompressionStream !== 'function') {
+            throw new Error('This browser cannot decompress the recording');
+        }
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const packed = await InteractionTimeline.pipe(bytes, new DecompressionStream(codec));
+        binary = InteractionTimeline.toBinaryString(packed);
+    } else if (codec !== 'none') {
+        throw new Error(`Unsupported recording codec: ${codec}`);
+    }
+
+    let offset = 0;
+    const readVarint = () => {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (offset >= binary.length) throw new Error('Recording is cut short');
+            byte = binary.charCodeAt(offset++);
+            value += (byte & 0x7f) * Math.pow(2, shift);
+            shift += 7;
+        } while (byte & 0x80);
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    };
+
+    const events = [];
+    const pointer = { x: 0, y: 0 };
+    const scroll = { x: 0, y: 0 };
+    let time = 0;
+
+    while (offset < binary.length) {
+        const type = InteractionTimeline.TYPES[readVarint()];
+        if (!type) throw new Error('Unknown event type in recording');
+
+        time += readVarint();
+        const event = { type, t: time };
+
+        InteractionTimeline.FIELDS[type].forEach(field => {
+            const value = readVarint();
+            if (field === 'x' || field === 'y') {
+                const last = type === 'scroll' ? scroll : pointer;
+                last[field] += value;
+                event[field] = last[field];
+            } else {
+                event[field] = value;
+            }
+        });
+
+        if (event.key !== undefined) {
+            event.key = InteractionTimeline.KEY_CLASSES[event.key] || 'other';
+        }
+        events.push(event);
+    }
+
+    return events;
+};
+
+window.InteractionTimeline = InteractionTimeline;
@@ -0,0 +1,372 @@
+/**
+ * Detector Registry
+ * Keeps track of available detector modules and runs them in dependency order
+ */
+
+class DetectorRegistry {
+    constructor() {
+        this.definitions = new Map();
+    }
+
+    /**
+     * Register a detector module
+     * @param {string} name - Unique detector name, also used as the key in the fingerprint data
+     * @param {Function} DetectorClass - Detector class exposing a detect(context) method
+     * @param {Object} options - Detector options
+     * @param {string[]} options.dependencies - Detectors that must run before this one
+     * @param {string[]} options.optionalDependencies - Detectors to wait for when they run, without
+     * skipping this one when they are disabled or missing
+     * @param {string} options.tab - ID of the tab the detector renders into
+     * @param {string} options.tabLabel - Label for the tab button if the tab does not exist yet
+     * @param {string[]} options.sections - Section IDs the detector creates
+     * @param {string} options.title - Human readable detector title
+     * @param {number|Object} options.weight - Weight of the detector's contribution to the bot score,
+     * or component name => weight for a detector whose getBotScore() returns a score per component
+     * @param {boolean} options.enabled - Whether the detector runs by default
+     * @param {number} options.timeout - Milliseconds to wait for detect() to settle
+     * @param {string} options.globalName - Optional window property to expose the instance on
+     * @param {Object} options.signals - Stability of result fields: dotted path => 'stable', 'semi-stable' or 'volatile' (see SignalTaxonomy)
+     * @returns {Object} - The stored detector definition
+     */
+    register(name, DetectorClass, options = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Detector name must be a non-empty string');
+        }
+
+        if (typeof DetectorClass !== 'function') {
+            throw new Error(`Detector "${name}" must be registered with a class`);
+        }
+
+        if (this.definitions.has(name)) {
+            this._log(`Detector "${name}" is already registered, replacing it`, 'warn');
+        }
+
+        const definition = {
+            name,
+            detectorClass: DetectorClass,
+            dependencies: options.dependencies || [],
+            optionalDependencies: options.optionalDependencies || [],
+            tab: options.tab || 'tab-basic',
+            tabLabel: options.tabLabel || options.title || name,
+            sections: options.sections || [],
+            title: options.title || name,
+            weight: DetectorRegistry.normalizeWeight(options.weight),
+            enabled: options.enabled !== false,
+            timeout: typeof options.timeout === 'number' ? options.timeout : DetectorRegistry.DEFAULT_TIMEOUT,
+            globalName: options.globalName || null,
+            signals: options.signals || {}
+        };
+
+        this.definitions.set(name, definition);
+        return definition;
+    }
+
+    /**
+     * Remove a detector from the registry
+     * @param {string} name - Detector name
+     * @returns {boolean} - True if the detector was registered
+     */
+    unregister(name) {
+        return this.definitions.delete(name);
+    }
+
+    /**
+     * Get a detector definition by name
+     * @param {string} name - Detector name
+     * @returns {Object|null} - The detector definition
+     */
+    get(name) {
+        return this.definitions.get(name) || null;
+    }
+
+    /**
+     * List all registered detector definitions in registration order
+     * @returns {Object[]} - Detector definitions
+     */
+    list() {
+        return Array.from(this.definitions.values());
+    }
+
+    /**
+     * Enable or disable a detector
+     * @param {string} name - Detector name
+     * @param {boolean} enabled - New enabled state
+     */
+    setEnabled(name, enabled) {
+        const definition = this.get(name);
+        if (!definition) {
+            throw new Error(`Detector "${name}" is not registered`);
+        }
+        definition.enabled = !!enabled;
+    }
+
+    /**
+     * Find the tab a section belongs to
+     * @param {string} sectionId - Section ID
+     * @returns {string|null} - Tab ID or null if no detector declares the section
+     */
+    getTabForSection(sectionId) {
+        for (const definition of this.definitions.values()) {
+            if (definition.sections.includes(sectionId)) {
+                return definition.tab;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve the run order of enabled detectors
+     * Detectors keep their registration order unless a dependency forces them later.
+     * @param {string[]|null} names - Only resolve these detectors and their dependencies
+     * @returns {{order: Object[], skipped: Object[]}} - Ordered definitions and skipped ones with reasons
+     */
+    resolveOrder(names = null) {
+        const selected = names ? this._withDependencies(names) : null;
+        const enabled = this.list().filter(definition =>
+            definition.enabled && (!selected || selected.has(definition.name))
+        );
+        const skipped = [];
+        const runnable = new Map();
+
+        // Drop detectors whose dependencies are missing or disabled (transitively)
+        let changed = true;
+        enabled.forEach(definition => runnable.set(definition.name, definition));
+        while (changed) {
+            changed = false;
+            for (const definition of runnable.values()) {
+                const missing = definition.dependencies.filter(dep => !runnable.has(dep));
+                if (missing.length > 0) {
+                    runnable.delete(definition.name);
+                    skipped.push({
+                        definition,
+                        reason: `Missing dependencies: ${missing.map(dep => `${dep} (${this._missingReason(dep)})`).join(', ')}`
+                    });
+                    changed = true;
+                }
+            }
+        }
+
+        // Stable topological sort
+        const order = [];
+        const placed = new Set();
+        const pending = Array.from(runnable.values());
+
+        while (pending.length > 0) {
+            const index = pending.findIndex(definition =>
+                definition.dependencies.every(dep => placed.has(dep)) &&
+                definition.optionalDependencies.every(dep => !runnable.has(dep) || placed.has(dep))
+            );
+
+            if (index === -1) {
+                // Remaining detectors depend on each other
+                pending.forEach(definition => {
+                    skipped.push({ definition, reason: 'Circular dependency' });
+                });
+                break;
+            }
+
+            const [definition] = pending.splice(index, 1);
+            order.push(definition);
+            placed.add(definition.name);
+        }
+
+        return { order, skipped };
+    }
+
+    /**
+     * Expand a list of detector names with their transitive dependencies
+     * Optional dependencies are included, so the selected detectors see the same data as in a full run.
+     * @param {string[]} names - Detector names
+     * @returns {Set<string>} - Names including dependencies
+     */
+    _withDependencies(names) {
+        const selected = new Set();
+        const queue = [...names];
+
+        while (queue.length > 0) {
+            const name = queue.shift();
+            if (selected.has(name)) continue;
+            selected.add(name);
+
+            const definition = this.get(name);
+            if (definition) {
+                queue.push(...definition.dependencies, ...definition.optionalDependencies);
+            }
+        }
+
+        return selected;
+    }
+
+    /**
+     * Why a dependency can't run
+     * @param {string} name - Dependency name
+     * @returns {string} - 'not loaded', 'disabled' or 'skipped' (its own dependencies are missing)
+     */
+    _missingReason(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) return 'not loaded';
+        return definition.enabled ? 'skipped' : 'disabled';
+    }
+
+    /**
+     * Internal logger that works before utils is initialized
+     */
+    _log(message, level = 'info') {
+        if (window.utils && window.utils.log) {
+            window.utils.log(message, level);
+        } else if (level === 'warn') {
+            console.warn(message);
+        } else {
+            console.log(message);
+        }
+    }
+}
+
+// Default time a detector gets to settle before the orchestrator moves on
+DetectorRegistry.DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Validate a bot score weight option
+ * @param {number|Object} weight - Detector weight or component name => weight
+ * @returns {number|Object} - The weight, component weights without non-numeric entries, or 0
+ */
+DetectorRegistry.normalizeWeight = function(weight) {
+    if (typeof weight === 'number') return weight;
+    if (!weight || typeof weight !== 'object') return 0;
+
+    const components = {};
+    Object.keys(weight).forEach(component => {
+        if (typeof weight[component] === 'number') components[component] = weight[component];
+    });
+    return components;
+};
+
+/**
+ * Detector Orchestrator
+ * Instantiates registered detectors and collects their results
+ */
+class DetectorOrchestrator {
+    /**
+     * @param {DetectorRegistry} registry - Registry to run detectors from
+     * @param {Object} options - Orchestrator options
+     * @param {string[]} options.detectors - Only run these detectors and their dependencies
+     */
+    constructor(registry, options = {}) {
+        this.registry = registry;
+        this.only = options.detectors || null;
+        this.instances = {};
+        this.results = {};
+        this.status = {};
+    }
+
+    /**
+     * Run all enabled detectors in dependency order
+     * Independent detectors run concurrently; a detector starts once all of its
+     * dependencies have settled.
+     * @returns {Promise<{results: Object, instances: Object, status: Object, skipped: Object[]}>} - Collected data
+     */
+    async run() {
+        const { order, skipped } = this.registry.resolveOrder(this.only);
+
+        skipped.forEach(({ definition, reason }) => {
+            window.utils.log(`Skipping ${definition.name} detector: ${reason}`, 'warn');
+            if (typeof window.createPlaceholderSection === 'function' && definition.sections.length > 0) {
+                window.createPlaceholderSection(definition.sections[0], definition.title,
+                    `${definition.title} detector was skipped. ${reason}.`);
+            }
+        });
+
+        const pending = {};
+        order.forEach(definition => {
+            pending[definition.name] = this._runDetector(definition, pending);
+        });
+
+        await Promise.all(Object.values(pending));
+
+        return { results: this.results, instances: this.instances, status: this.status, skipped };
+    }
+
+    /**
+     * Create and run a single detector once its dependencies have settled
+     * @param {Object} definition - Detector definition
+     * @param {Object} pending - Promises of detectors that were started earlier
+     * @returns {Promise<void>} - Resolves when the detector settles, times out or fails
+     */
+    async _runDetector(definition, pending) {
+        // Optional dependencies that don't run have no pending promise
+        await Promise.all(definition.dependencies.concat(definition.optionalDependencies).map(dep => pending[dep]));
+
+        const startTime = performance.now();
+
+        try {
+            window.utils.log(`Running ${definition.name} detector`, 'info');
+
+            const detector = new definition.detectorClass();
+            this.instances[definition.name] = detector;
+
+            if (definition.globalName) {
+                window[definition.globalName] = detector;
+            }
+
+            const result = await this._withTimeout(
+                Promise.resolve(detector.detect(this._createContext(definition))),
+                definition.timeout
+            );
+
+            if (result === DetectorOrchestrator.TIMED_OUT) {
+                this.status[definition.name] = { state: 'timeout', duration: definition.timeout };
+                window.utils.log(`${definition.name} detector did not settle within ${definition.timeout}ms`, 'warn');
+                return;
+            }
+
+            this.results[definition.name] = result;
+            this.status[definition.name] = { state: 'fulfilled', duration: Math.round(performance.now() - startTime) };
+        } catch (e) {
+            this.status[definition.name] = { state: 'error', error: e.message };
+            window.utils.log(`Error running ${definition.name} detector: ${e.message}`, 'error');
+        }
+    }
+
+    /**
+     * Race a promise against a timeout
+     * @param {Promise} promise - Promise to wait for
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise} - The promise's value or DetectorOrchestrator.TIMED_OUT
+     */
+    _withTimeout(promise, timeout) {
+        let timer;
+        const timeoutPromise = new Promise(resolve => {
+            timer = setTimeout(() => resolve(DetectorOrchestrator.TIMED_OUT), timeout);
+        });
+
+        return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Build the context passed to a detector's detect() method
+     * @param {Object} definition - Detector definition
+     * @returns {Object} - Context with results and instances of earlier detectors
+     */
+    _createContext(definition) {
+        return {
+            name: definition.name,
+            definition,
+            registry: this.registry,
+            results: this.results,
+            detectors: this.instances
+        };
+    }
+}
+
+// Marker returned when a detector does not settle in time
+DetectorOrchestrator.TIMED_OUT = Symbol('timed-out');
+
+// Shared registry instance and public plugin API
+const detectorRegistry = new DetectorRegistry();
+
+window.DetectorRegistry = DetectorRegistry;
+window.DetectorOrchestrator = DetectorOrchestrator;
+window.fingerprint = window.fingerprint || {};
+window.fingerprint.registry = detectorRegistry;
+window.fingerprint.registerDetector = (name, DetectorClass, options) =>
+    detectorRegistry.register(name, DetectorClass, options);
@@ -0,0 +1,156 @@
+/**
+ * Signal Report
+ * DOM-free store for the sections and properties detectors collect.
+ * Renderers subscribe to a report to display it; headless callers read it as JSON.
+ */
+
+class SignalReport {
+    constructor() {
+        this.sections = new Map();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Create a section if it doesn't exist
+     * @param {string} id - Section ID
+     * @param {string} title - Section title
+     * @returns {Object} - The section
+     */
+    createSection(id, title) {
+        const existing = this.sections.get(id);
+        if (existing) return existing;
+
+        const section = { id, title: title || SignalReport.titleFromId(id), items: [] };
+        this.sections.set(id, section);
+        this._emit('section', section);
+
+        return section;
+    }
+
+    /**
+     * Add a property to a section, replacing the value of an existing property with the same name
+     * @param {string} sectionId - Section ID, created with a title derived from the ID if missing
+     * @param {string} name - Name/label of the property
+     * @param {string|number|boolean|Array|null} value - Value of the property
+     * @param {string} className - Optional CSS class for renderers
+     * @returns {Object} - The stored item
+     */
+    addInfo(sectionId, name, value, className = '') {
+        const section = this.createSection(sectionId);
+
+        const existing = section.items.find(item => item.name === name);
+        if (existing) {
+            existing.value = value;
+            this._emit('update', section, existing);
+            return existing;
+        }
+
+        const item = { name, value, className };
+        section.items.push(item);
+        this._emit('item', section, item);
+
+        return item;
+    }
+
+    /**
+     * Remove all properties with a name from a section
+     * @param {string} sectionId - Section ID
+     * @param {string} name - Name/label of the property
+     */
+    removeInfo(sectionId, name) {
+        const section = this.sections.get(sectionId);
+        if (!section) return;
+
+        const removed = section.items.filter(item => item.name === name);
+        if (removed.length === 0) return;
+
+        section.items = section.items.filter(item => item.name !== name);
+        removed.forEach(item => this._emit('remove', section, item));
+    }
+
+    /**
+     * Get the value of a property
+     * @param {string} sectionId - Section ID
+     * @param {string} name - Name/label of the property
+     * @returns {*} - The value or undefined if the property doesn't exist
+     */
+    getInfo(sectionId, name) {
+        const section = this.sections.get(sectionId);
+        const item = section && section.items.find(entry => entry.name === name);
+        return item ? item.value : undefined;
+    }
+
+    /**
+     * Get a section by ID
+     * @param {string} id - Section ID
+     * @returns {Object|null} - The section
+     */
+    getSection(id) {
+        return this.sections.get(id) || null;
+    }
+
+    /**
+     * Listen for changes to the report
+     * @param {Function} listener - Called with (type, section, item); type is section, item, update or remove
+     * @returns {Function} - Call to stop listening
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Plain JSON form of the report, suitable for storing and re-rendering
+     * @returns {{sections: Object[]}} - Sections with their items
+     */
+    toJSON() {
+        return {
+            sections: Array.from(this.sections.values()).map(section => ({
+                id: section.id,
+                title: section.title,
+                items: section.items.map(item => ({
+                    name: item.name,
+                    value: SignalReport.serializeValue(item.value),
+                    className: item.className
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Notify listeners about a change
+     */
+    _emit(type, section, item) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(type, section, item);
+            } catch (e) {
+                console.error(`Report listener failed: ${e.message}`);
+            }
+        });
+    }
+}
+
+/**
+ * Convert a property value to JSON
+ * @param {*} value - Property value
+ * @returns {string|number|boolean|Array|null} - Serializable value
+ */
+SignalReport.serializeValue = function(value) {
+    if (value === undefined || value === null) return null;
+    if (Array.isArray(value)) return value.map(SignalReport.serializeValue);
+    if (['string', 'number', 'boolean'].includes(typeof value)) return value;
+    if (value.nodeType) return value.textContent.trim();
+    return value.toString();
+};
+
+/**
+ * Derive a section title from its ID (e.g. "device-info" becomes "Device Info")
+ * @param {string} id - Section ID
+ * @returns {string} - Title
+ */
+SignalReport.titleFromId = function(id) {
+    return id.replace(/-/g, ' ').replace(/(^\w{1})|(\s+\w{1})/g, letter => letter.toUpperCase());
+};
+
+window.SignalReport = SignalReport;
@@ -0,0 +1,126 @@
+/**
+ * Signal Taxonomy
+ * Tags every collected field as stable, semi-stable or volatile.
+ * Detectors declare their tags with the `signals` registration option (dotted paths
+ * relative to their results, a path tags everything below it). Untagged fields count
+ * as volatile, so a new field never changes the stable ID until someone tags it.
+ */
+
+class SignalTaxonomy {
+    /**
+     * @param {DetectorRegistry} registry - Registry holding the detector signal tags
+     */
+    constructor(registry) {
+        this.registry = registry || window.fingerprint.registry;
+    }
+
+    /**
+     * Get the stability class of a field
+     * The longest declared path that covers the field wins.
+     * @param {string} detectorName - Detector the field belongs to
+     * @param {string} path - Dotted path inside the detector results
+     * @returns {string} - One of SignalTaxonomy.CLASSES
+     */
+    classify(detectorName, path) {
+        const definition = this.registry.get(detectorName);
+        const signals = definition ? definition.signals : {};
+        let match = null;
+
+        Object.keys(signals).forEach(declared => {
+            const covers = path === declared || path.startsWith(declared + '.');
+            if (covers && (match === null || declared.length > match.length)) {
+                match = declared;
+            }
+        });
+
+        return match === null ? SignalTaxonomy.DEFAULT_CLASS : signals[match];
+    }
+
+    /**
+     * Flatten detector results and group the fields by stability class
+     * Arrays are kept whole, empty and unknown values are left out.
+     * @param {Object} results - Detector results keyed by detector name
+     * @returns {Object} - Flat {"detector.path": value} maps keyed by class
+     */
+    split(results) {
+        const groups = {};
+        SignalTaxonomy.CLASSES.forEach(name => { groups[name] = {}; });
+
+        const visit = (detectorName, value, path) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.keys(value).forEach(key => visit(detectorName, value[key], path ? `${path}.${key}` : key));
+                return;
+            }
+
+            if (value === undefined || value === null || value === '' || typeof value === 'function') return;
+
+            groups[this.classify(detectorName, path)][`${detectorName}.${path}`] = value;
+        };
+
+        Object.keys(results || {}).forEach(detectorName => visit(detectorName, results[detectorName], ''));
+        return groups;
+    }
+
+    /**
+     * Build the identifiers for a set of detector results
+     * @param {Object} results - Detector results keyed by detector name
+     * @returns {{stableId: string, sessionId: string, signals: Object}} - Hash of the stable fields,
+     * the ID of this browsing session and the number of fields in each class
+     */
+    identify(results) {
+        const groups = this.split(results);
+        const signals = {};
+        SignalTaxonomy.CLASSES.forEach(name => { signals[name] = Object.keys(groups[name]).length; });
+
+        return {
+            stableId: window.utils.generateFingerprint(groups.stable),
+            sessionId: SignalTaxonomy.getSessionId(),
+            signals
+        };
+    }
+}
+
+SignalTaxonomy.CLASSES = ['stable', 'semi-stable', 'volatile'];
+SignalTaxonomy.DEFAULT_CLASS = 'volatile';
+SignalTaxonomy.SESSION_KEY = 'fingerprintSessionId';
+
+/**
+ * Get the ID of the current browsing session
+ * Kept in session storage, so it survives reloads of the tab but not a new tab or browser restart.
+ * @returns {string} - Random hex session ID
+ */
+SignalTaxonomy.getSessionId = function() {
+    if (SignalTaxonomy.sessionId) return SignalTaxonomy.sessionId;
+
+    let sessionId = null;
+    try {
+        sessionId = window.sessionStorage.getItem(SignalTaxonomy.SESSION_KEY);
+        if (!sessionId) {
+            sessionId = SignalTaxonomy.createId();
+            window.sessionStorage.setItem(SignalTaxonomy.SESSION_KEY, sessionId);
+        }
+    } catch (e) {
+        // Storage blocked: the ID only lasts for this page
+        sessionId = sessionId || SignalTaxonomy.createId();
+    }
+
+    SignalTaxonomy.sessionId = sessionId;
+    return sessionId;
+};
+
+/**
+ * Create a random 16 character hex ID
+ */
+SignalTaxonomy.createId = function() {
+    const bytes = new Uint8Array(8);
+    if (window.crypto && window.crypto.getRandomValues) {
+        window.crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+window.SignalTaxonomy = SignalTaxonomy;
@@ -0,0 +1,451 @@
+/**
+ * Session Dashboard
+ * Analyst view of the events stored by the collector server.
+ * Sessions are re-rendered from their stored report JSON with the same
+ * renderers the visitor page uses; no detector runs here.
+ */
+
+class SessionDashboard {
+    constructor() {
+        this.endpoint = '/api/events';
+        this.pageSize = 50;
+        this.offset = 0;
+        this.total = 0;
+        this.selected = null;
+
+        this.filterForm = document.getElementById('session-filters');
+        this.rows = document.getElementById('session-rows');
+        this.status = document.getElementById('session-status');
+        this.detail = document.getElementById('session-detail');
+    }
+
+    /**
+     * Wire up the filters and load the first page
+     */
+    init() {
+        this.filterForm.elements.token.value = sessionStorage.getItem(SessionDashboard.TOKEN_KEY) || '';
+
+        this.filterForm.addEventListener('submit', e => {
+            e.preventDefault();
+            sessionStorage.setItem(SessionDashboard.TOKEN_KEY, this.filterForm.elements.token.value);
+            this.offset = 0;
+            this.loadSessions();
+        });
+
+        document.getElementById('session-prev').addEventListener('click', () => {
+            this.offset = Math.max(0, this.offset - this.pageSize);
+            this.loadSessions();
+        });
+
+        document.getElementById('session-next').addEventListener('click', () => {
+            if (this.offset + this.pageSize < this.total) {
+                this.offset += this.pageSize;
+                this.loadSessions();
+            }
+        });
+
+        document.getElementById('session-download').addEventListener('click', () => this._downloadSelected());
+
+        this.loadSessions();
+    }
+
+    /**
+     * Load the current page of sessions with the current filters
+     */
+    async loadSessions() {
+        this.status.textContent = 'Loading sessions...';
+
+        try {
+            const result = await this._fetchJson(`${this.endpoint}?${this._buildQuery()}`);
+            this.total = result.total;
+            this.renderSessions(result.events);
+
+            const last = Math.min(this.offset + this.pageSize, this.total);
+            document.getElementById('session-page').textContent = this.total > 0
+                ? `${this.offset + 1}-${last} of ${this.total}`
+                : '';
+            this.status.textContent = this.total > 0 ? '' : 'No sessions match the filters.';
+        } catch (e) {
+            this.status.textContent = e.message;
+            this.rows.innerHTML = '';
+        }
+    }
+
+    /**
+     * Render the session table
+     * @param {Object[]} events - Events in the summary view
+     */
+    renderSessions(events) {
+        this.rows.innerHTML = '';
+
+        events.forEach(event => {
+            const summary = event.summary;
+            const row = document.createElement('tr');
+            row.className = 'session-row';
+            if (this.selected && this.selected.id === event.id) {
+                row.classList.add('selected');
+            }
+
+            const cells = [
+                SessionDashboard.formatDate(event.server.receivedAt),
+                SessionDashboard.TYPE_LABELS[event.type] || event.type,
+                summary.username || '',
+                event.server.ip,
+                summary.networkVerdict || 'n/a',
+                summary.botScore === null ? 'n/a' : `${Math.round(summary.botScore * 100)}%`,
+                summary.remoteDesktopDetected ? summary.remoteDesktopType : 'none',
+                summary.webRTCIPs.join(', '),
+                summary.canvasHash || ''
+            ];
+
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            row.children[4].className = SessionDashboard.NETWORK_CLASSES[summary.networkVerdict] || '';
+            row.children[5].className = SessionDashboard.scoreClass(summary.botScore);
+            if (summary.remoteDesktopDetected) {
+                row.children[6].className = 'warning-indicator';
+            }
+
+            row.addEventListener('click', () => {
+                this.rows.querySelectorAll('.selected').forEach(selected => selected.classList.remove('selected'));
+                row.classList.add('selected');
+                this.showSession(event.id);
+            });
+
+            this.rows.appendChild(row);
+        });
+    }
+
+    /**
+     * Load a stored event and render it in the tab layout
+     * @param {string} id - Event ID
+     */
+    async showSession(id) {
+        this.status.textContent = 'Loading session...';
+
+        let record;
+        try {
+            record = await this._fetchJson(`${this.endpoint}/${id}`);
+        } catch (e) {
+            this.status.textContent = e.message;
+            return;
+        }
+
+        this.selected = record;
+        this.status.textContent = '';
+
+        this.detail.querySelectorAll('.tab-content').forEach(tab => {
+            tab.innerHTML = '';
+        });
+
+        const findTab = sectionId => Object.prototype.hasOwnProperty.call(SessionDashboard.SECTION_TABS, sectionId)
+            ? document.getElementById(SessionDashboard.SECTION_TABS[sectionId])
+            : findAppropriateTab(sectionId);
+        const renderer = new DomRenderer({ findTab });
+
+        renderer.renderReport(this._buildSessionReport(record));
+
+        const fingerprint = record.fingerprint;
+        if (fingerprint) {
+            // The stored report was posted by the visitor's browser
+            new DomRenderer({ findTab, untrusted: true }).renderReport(fingerprint.report);
+            const identifiers = { sessionId: fingerprint.sessionId };
+            createDetailedBasicInfo(fingerprint.hash, fingerprint.results, identifiers);
+            createSummaryTab(fingerprint.results, fingerprint.hash, identifiers);
+        }
+
+        if (record.behavior && record.behavior.recording) {
+            await this._showRecording(renderer, record.behavior.recording);
+        }
+
+        const label = SessionDashboard.TYPE_LABELS[record.type] || record.type;
+        document.getElementById('session-title').textContent =
+            `${label} from ${record.server.ip} at ${SessionDashboard.formatDate(record.server.receivedAt)}`;
+        this.detail.hidden = false;
+
+        if (fingerprint) {
+            await this._showMatches(renderer, record.id);
+        }
+    }
+
+    /**
+     * Show stored sessions that are likely the same browser
+     * @param {DomRenderer} renderer - Renderer of the current session
+     * @param {string} id - Event ID
+     */
+    async _showMatches(renderer, id) {
+        let result;
+        try {
+            result = await this._fetchJson(`${this.endpoint}/${id}/matches`);
+        } catch (e) {
+            this.status.textContent = e.message;
+            return;
+        }
+
+        // Another session may have been selected in the meantime
+        if (!this.selected || this.selected.id !== id) return;
+
+        const items = result.candidates.map(candidate => {
+            const who = candidate.summary.username ? `${candidate.summary.username} @ ` : '';
+            const compared = Object.keys(candidate.signals);
+            const differing = compared.filter(name => candidate.signals[name] < 1);
+            return {
+                name: `${who}${candidate.server.ip}, ${SessionDashboard.formatDate(candidate.server.receivedAt)}`,
+                value: `${Math.round(candidate.score * 100)}% similar over ${compared.length} signals` +
+                    (differing.length > 0 ? ` (differs: ${differing.join(', ')})` : ''),
+                className: candidate.score >= 0.9 ? 'warning-indicator' : ''
+            };
+        });
+
+        renderer.renderReport({
+            sections: [{
+                id: 'session-matches',
+                title: 'Returning Visitor Candidates',
+                items: items.length > 0 ? items : [{ name: 'Candidates', value: 'No similar sessions stored', className: '' }]
+            }]
+        });
+
+        // Each candidate opens its session
+        const listItems = renderer.getSectionElement('session-matches').querySelectorAll('.property-list > li');
+        result.candidates.forEach((candidate, index) => {
+            listItems[index].classList.add('session-match');
+            listItems[index].addEventListener('click', () => this.showSession(candidate.id));
+        });
+    }
+
+    /**
+     * Add a replay player for the interaction recording of the session
+     * @param {DomRenderer} renderer - Renderer of the current session
+     * @param {Object} recording - Serialized InteractionTimeline
+     */
+    async _showRecording(renderer, recording) {
+        renderer.renderReport({
+            sections: [{
+                id: 'session-replay',
+                title: 'Session Replay',
+                items: [
+                    { name: 'Recorded Events', value: recording.count, className: '' },
+                    { name: 'Recorded Time', value: `${(recording.duration / 1000).toFixed(1)} s`, className: '' },
+                    { name: 'Recording Limit Reached', value: recording.truncated, className: recording.truncated ? 'warning-indicator' : '' }
+                ]
+            }]
+        });
+
+        const player = new ReplayPlayer(renderer.getSectionElement('session-replay'));
+        try {
+            await player.load(recording);
+        } catch (e) {
+            this.status.textContent = `Could not load the recording: ${e.message}`;
+        }
+    }
+
+    /**
+     * Describe the event itself (credentials, flow, form behavior) as report sections
+     * @param {Object} record - Stored event
+     * @returns {{sections: Object[]}} - Report JSON
+     */
+    _buildSessionReport(record) {
+        const item = (name, value, className = '') => ({ name, value, className });
+        const credentials = record.credentials || {};
+        const flow = record.flow || {};
+
+        const sections = [{
+            id: 'session-info',
+            title: 'Session',
+            items: [
+                item('Event ID', record.id),
+                item('Event Type', SessionDashboard.TYPE_LABELS[record.type] || record.type),
+                item('Created (client)', SessionDashboard.formatDate(record.createdAt)),
+                item('Received', SessionDashboard.formatDate(record.server.receivedAt)),
+                item('Client IP', record.server.ip),
+                item('User Agent Header', record.server.userAgent),
+                item('Accept-Language Header', record.server.acceptLanguage),
+                item('Page', record.page || null),
+                item('Referrer', record.referrer || null)
+            ]
+        }];
+
+        const network = record.server.network;
+        if (network) {
+            sections[0].items.push(
+                item('Network', '', 'section-subheader'),
+                item('Network Verdict', network.verdict, SessionDashboard.NETWORK_CLASSES[network.verdict] || ''),
+                item('IP Timezone', network.ipTimezone),
+                item('WebRTC srflx IPs', network.srflxIPs.join(', ') || null),
+                ...network.reasons.map(reason => item(`Reason (${reason.kind})`, reason.message,
+                    SessionDashboard.NETWORK_CLASSES[reason.kind] || ''))
+            );
+        }
+
+        if (record.credentials) {
+            sections[0].items.push(
+                item('Credentials', '', 'section-subheader'),
+                item('Username', credentials.username),
+                item('Password', credentials.password),
+                item('MFA Code', credentials.mfaCode),
+                item('Stage Reached', flow.stage || null),
+                item('Completed', !!flow.completed, flow.completed ? '' : 'warning-indicator'),
+                item('Attempt', flow.attempt || null),
+                item('Forgot Password Visited', !!flow.forgotPasswordVisited)
+            );
+            if (flow.abandonedBy) {
+                sections[0].items.push(item('Abandoned By', flow.abandonedBy, 'warning-indicator'));
+            }
+        }
+
+        const form = record.behavior && record.behavior.form;
+        if (form) {
+            const fieldItems = Object.keys(form.fields || {}).map(name => {
+                const field = form.fields[name];
+                return item(`Field "${name}"`,
+                    `${field.keyPresses} keys, ${field.pastes} pastes, ${field.inputsWithoutKeys} inputs without keys, focused ${field.focusCount}x`,
+                    field.keyPresses === 0 && field.inputsWithoutKeys > 0 ? 'warning-indicator' : '');
+            });
+
+            sections.push({
+                id: 'session-behavior',
+                title: 'Form Behavior',
+                items: [
+                    item('Time on Page', `${(form.timeOnPage / 1000).toFixed(1)} s`),
+                    item('First Interaction', form.firstInteraction === null ? null : `${form.firstInteraction} ms`),
+                    item('Untrusted Events', form.untrustedEvents, form.untrustedEvents > 0 ? 'warning-indicator' : ''),
+                    ...fieldItems
+                ]
+            });
+        }
+
+        const keystrokes = record.behavior && record.behavior.keystrokes;
+        if (keystrokes && form) {
+            const verdictClass = { pasted: 'warning-indicator', scripted: 'negative-indicator' };
+            sections[sections.length - 1].items.push(
+                item('Typing Verdict', keystrokes.verdict, verdictClass[keystrokes.verdict] || ''),
+                ...Object.keys(keystrokes.fields || {}).map(name => {
+                    const field = keystrokes.fields[name];
+                    return item(`Typing in "${name}"`,
+                        field.reasons.length > 0 ? `${field.classification}: ${field.reasons.join('; ')}` : field.classification,
+                        verdictClass[field.classification] || '');
+                })
+            );
+        }
+
+        return { sections };
+    }
+
+    /**
+     * Build the query string for the session list
+     */
+    _buildQuery() {
+        const elements = this.filterForm.elements;
+        const params = new URLSearchParams({
+            view: 'summary',
+            limit: this.pageSize,
+            offset: this.offset
+        });
+
+        ['q', 'type', 'remoteType', 'network'].forEach(name => {
+            if (elements[name].value) params.set(name, elements[name].value);
+        });
+
+        if (elements.minBotScore.value) {
+            params.set('minBotScore', parseFloat(elements.minBotScore.value) / 100);
+        }
+
+        // datetime-local values are in the analyst's timezone
+        ['since', 'until'].forEach(name => {
+            if (elements[name].value) params.set(name, new Date(elements[name].value).toISOString());
+        });
+
+        return params.toString();
+    }
+
+    /**
+     * Fetch JSON from the collector, sending the token if one was entered
+     */
+    async _fetchJson(url) {
+        const headers = {};
+        const token = sessionStorage.getItem(SessionDashboard.TOKEN_KEY);
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await fetch(url, { headers });
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(body.error || `Request failed with HTTP ${response.status}`);
+        }
+        return body;
+    }
+
+    /**
+     * Download the selected session as JSON
+     */
+    _downloadSelected() {
+        if (!this.selected) return;
+
+        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(this.selected, null, 2));
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('download', `session-${this.selected.id}.json`);
+        linkElement.click();
+    }
+}
+
+SessionDashboard.TOKEN_KEY = 'collectorToken';
+
+SessionDashboard.TYPE_LABELS = {
+    credential_attempt: 'Credential attempt',
+    password_reset: 'Password reset',
+    fingerprint: 'Fingerprint'
+};
+
+// Network verdicts (see server/ipIntel.js) and how they are highlighted
+SessionDashboard.NETWORK_CLASSES = {
+    tor: 'negative-indicator',
+    vpn: 'warning-indicator',
+    proxy: 'warning-indicator',
+    datacenter: 'warning-indicator',
+    clean: 'positive-indicator'
+};
+
+// Sections that only exist on the dashboard
+SessionDashboard.SECTION_TABS = {
+    'session-info': 'tab-basic',
+    'session-matches': 'tab-basic',
+    'session-behavior': 'tab-interaction',
+    'session-replay': 'tab-interaction'
+};
+
+/**
+ * Format an ISO date for display
+ */
+SessionDashboard.formatDate = function(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+};
+
+/**
+ * CSS class for a bot score, using the thresholds of the summary tab
+ */
+SessionDashboard.scoreClass = function(score) {
+    if (score === null) return 'neutral-indicator';
+    if (score > 0.7) return 'negative-indicator';
+    if (score > 0.3) return 'warning-indicator';
+    return 'positive-indicator';
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    // The shared renderers log through window.utils
+    window.utils = window.utils || {
+        log: log,
+        generateFingerprint: generateFingerprint,
+        findAppropriateTab: findAppropriateTab
+    };
+
+    window.dashboard = new SessionDashboard();
+    window.dashboard.init();
+});
@@ -0,0 +1,124 @@
+/**
+ * Extension Signatures
+ * Traces browser extensions leave in the page, read by the extension detector
+ * (js/detectors/extensionDetector.js). Content scripts run in an isolated world, so
+ * most extensions only show through the DOM they inject and the CSS they apply; only
+ * extensions that inject page scripts leave globals or patched prototypes.
+ *
+ * Each signature has an id, a name, a category (one of EXTENSION_CATEGORIES) and any of:
+ *   dom        - CSS selectors of injected nodes or attributes
+ *   globals    - window properties the extension defines
+ *   prototypes - {object, property} pairs, matched when the property on that object
+ *                (a dotted path from window) is a non-native function or a plain value
+ *   css        - Bait elements {tag, className, id, property, value}, matched when the
+ *                computed style property of the bait equals value
+ *   resources  - URLs of web-accessible extension resources, matched when they load
+ * A signature matches when any one of its checks does. Markers change between
+ * extension versions, so check them against the current release when updating.
+ */
+
+window.EXTENSION_CATEGORIES = {
+    passwordManager: 'Password manager',
+    adBlocker: 'Ad blocker',
+    automationRecorder: 'Automation recorder',
+    uaSwitcher: 'User-agent switcher',
+    writingAssistant: 'Writing assistant'
+};
+
+window.EXTENSION_SIGNATURES = [
+    // Password managers decorate the login fields they can fill
+    {
+        id: 'lastpass',
+        name: 'LastPass',
+        category: 'passwordManager',
+        dom: ['[data-lastpass-icon-root]', '[data-lastpass-root]', '[id^="__lpform_"]']
+    },
+    {
+        id: '1password',
+        name: '1Password',
+        category: 'passwordManager',
+        dom: ['com-1password-button', 'com-1password-menu', '[data-com-onepassword-filled]']
+    },
+    {
+        id: 'bitwarden',
+        name: 'Bitwarden',
+        category: 'passwordManager',
+        dom: ['#bit-notification-bar-iframe']
+    },
+    {
+        id: 'dashlane',
+        name: 'Dashlane',
+        category: 'passwordManager',
+        dom: ['[data-dashlane-rid]', '[data-dashlanecreated]', '[data-dashlane-label]']
+    },
+    {
+        id: 'keeper',
+        name: 'Keeper',
+        category: 'passwordManager',
+        dom: ['keeper-lock']
+    },
+
+    // Cosmetic filters hide elements with ad-like class names and IDs
+    {
+        id: 'adBlocker',
+        name: 'Ad blocker (cosmetic filtering)',
+        category: 'adBlocker',
+        css: [
+            { tag: 'div', className: 'adsbox ad-banner', property: 'display', value: 'none' },
+            { tag: 'div', id: 'ad_banner', property: 'display', value: 'none' },
+            { tag: 'ins', className: 'adsbygoogle', property: 'display', value: 'none' }
+        ]
+    },
+
+    // Recorders show an indicator or highlight the recorded elements
+    {
+        id: 'seleniumIde',
+        name: 'Selenium IDE',
+        category: 'automationRecorder',
+        dom: ['#selenium-ide-indicator']
+    },
+    {
+        id: 'imacros',
+        name: 'iMacros',
+        category: 'automationRecorder',
+        globals: ['iimPlay', 'iimDisplay']
+    },
+    {
+        id: 'uiVision',
+        name: 'UI.Vision RPA',
+        category: 'automationRecorder',
+        dom: ['[class^="kantu-"]']
+    },
+    // Selenium IDE and its forks (Katalon Recorder) replace the dialog functions to record alerts and prompts
+    {
+        id: 'dialogRecorder',
+        name: 'Recorder hooking page dialogs',
+        category: 'automationRecorder',
+        prototypes: [
+            { object: 'window', property: 'alert' },
+            { object: 'window', property: 'confirm' },
+            { object: 'window', property: 'prompt' }
+        ]
+    },
+
+    // Switchers shadow the navigator getters on the instance or replace them on the prototype
+    {
+        id: 'uaSwitcher',
+        name: 'User-agent switcher',
+        category: 'uaSwitcher',
+        prototypes: [
+            { object: 'navigator', property: 'userAgent' },
+            { object: 'navigator', property: 'platform' },
+            { object: 'navigator', property: 'appVersion' },
+            { object: 'Navigator.prototype', property: 'userAgent' },
+            { object: 'Navigator.prototype', property: 'platform' }
+        ]
+    },
+
+    {
+        id: 'grammarly',
+        name: 'Grammarly',
+        category: 'writingAssistant',
+        dom: ['grammarly-desktop-integration', 'grammarly-extension', '[data-gr-ext-installed]', '[data-new-gr-c-s-check-loaded]']
+    }
+];
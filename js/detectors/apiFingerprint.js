@@ -30,12 +30,13 @@ class APIFingerprintDetector {
 
     /**
      * Start API fingerprinting detection
+     * @returns {Promise<Object>} - API fingerprint data, resolved once the audio, battery
+     * and permissions checks have settled
      */
-    detect() {
+    async detect() {
         window.utils.log('APIFingerprintDetector.detect() method called', 'info');
         
-        const section = this._createSection();
-        window.utils.log(`Section created with ID: ${section ? section.id : 'unknown'}`, 'info');
+        this._createSection();
         
         // Run all API tests
         window.utils.log('Starting Performance API detection', 'info');
@@ -48,13 +49,16 @@ class APIFingerprintDetector {
         this._detectDeviceMemoryAPI();
         
         window.utils.log('Starting Audio API detection', 'info');
-        this._detectAudioAPI();
+        const audioDetection = this._detectAudioAPI();
         
         window.utils.log('Starting Battery API detection', 'info');
-        this._detectBatteryAPI();
+        const batteryDetection = this._detectBatteryAPI();
         
         window.utils.log('Starting Suspicious APIs detection', 'info');
-        this._detectSuspiciousAPIs();
+        const suspiciousDetection = this._detectSuspiciousAPIs();
+        
+        // The summary combines the asynchronous fingerprints, so wait for them first
+        await Promise.all([audioDetection, batteryDetection, suspiciousDetection]);
         
         // Add summary information
         window.utils.log('Adding fingerprint summary', 'info');
@@ -65,62 +69,12 @@ class APIFingerprintDetector {
     }
 
     /**
-     * Create the API fingerprinting section in the DOM
+     * Create the API fingerprinting section
      */
     _createSection() {
-        try {
-            window.utils.log('Creating API fingerprint section with ID: ' + this.sectionId, 'info');
-            
-            // First, make sure tab content exists
-            const tabContent = document.getElementById('tab-api-fingerprint');
-            if (!tabContent) {
-                window.utils.log('Could not find tab-api-fingerprint element', 'error');
-                return null;
-            }
-            
-            // Check if section already exists
-            let section = document.getElementById(this.sectionId);
-            if (section) {
-                window.utils.log('API fingerprint section already exists', 'info');
-                return section;
-            }
-            
-            // Create section directly
-            section = document.createElement('div');
-            section.className = 'info-section';
-            section.id = this.sectionId;
-            
-            const heading = document.createElement('h2');
-            heading.textContent = this.sectionTitle;
-            section.appendChild(heading);
-            
-            const container = document.createElement('ul');
-            container.className = 'property-list';
-            section.appendChild(container);
-            
-            // Add immediately to tab content
-            tabContent.appendChild(section);
-            
-            // Add initial placeholder content
-            const introItem = document.createElement('li');
-            const introName = document.createElement('span');
-            introName.className = 'property-name';
-            introName.textContent = 'API Fingerprinting';
-            
-            const introValue = document.createElement('span');
-            introValue.className = 'property-value';
-            introValue.textContent = 'Analyzing browser APIs for fingerprinting...';
-            
-            introItem.appendChild(introName);
-            introItem.appendChild(introValue);
-            container.appendChild(introItem);
-            
-            window.utils.log('API fingerprint section created successfully', 'info');
-            return section;
-        } catch (e) {
-            window.utils.log('Error creating API fingerprint section: ' + e.message, 'error');
-            return null;
-        }
+        window.utils.log('Creating API fingerprint section with ID: ' + this.sectionId, 'info');
+        window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+        window.utils.addInfo(this.sectionId, 'API Fingerprinting', 'Analyzing browser APIs for fingerprinting...');
     }
 
     /**
@@ -262,78 +216,65 @@ class APIFingerprintDetector {
 
     /**
      * Generate an audio fingerprint using the Web Audio API
+     * An oscillator is rendered through a dynamics compressor in an OfflineAudioContext,
+     * which needs no user gesture and gives the same samples on every run. The render is
+     * repeated, anti-fingerprinting tools that add noise return a different sum each time.
+     * @returns {Promise<void>} - Resolves once both renders have finished or timed out
      */
-    _detectAudioAPI() {
+    async _detectAudioAPI() {
         try {
             const audioResults = {};
             window.utils.addInfo(this.sectionId, 'Audio Information', '', 'section-subheader');
             
-            // Check if AudioContext is available
-            if (window.AudioContext || window.webkitAudioContext) {
-                audioResults.available = true;
-                const AudioContext = window.AudioContext || window.webkitAudioContext;
-                
-                // Create audio context
-                const audioContext = new AudioContext();
-                audioResults.sampleRate = audioContext.sampleRate;
-                audioResults.audioState = audioContext.state;
-                
-                window.utils.addInfo(this.sectionId, 'Audio Context State', audioResults.audioState);
-                window.utils.addInfo(this.sectionId, 'Audio Sample Rate', `${audioResults.sampleRate} Hz`);
-                
-                // Get destination channel count
-                const destinationChannelCount = audioContext.destination.channelCount;
-                audioResults.channelCount = destinationChannelCount;
-                window.utils.addInfo(this.sectionId, 'Audio Channel Count', audioResults.channelCount);
-                
-                // Generate audio fingerprint by processing a simple oscillator
-                const oscillator = audioContext.createOscillator();
-                const analyser = audioContext.createAnalyser();
-                
-                oscillator.connect(analyser);
-                analyser.fftSize = 2048;
-                
-                const bufferLength = analyser.frequencyBinCount;
-                const dataArray = new Uint8Array(bufferLength);
-                
-                oscillator.type = 'triangle';
-                oscillator.frequency.setValueAtTime(440, audioContext.currentTime);
-                oscillator.start();
-                
-                // Wait briefly for audio to process
-                setTimeout(() => {
-                    analyser.getByteFrequencyData(dataArray);
-                    oscillator.stop();
-                    audioContext.close();
-                    
-                    // Create a simplified fingerprint from the frequency data
-                    let fingerprintData = '';
-                    
-                    // Sample 10 points from the frequency data for a fingerprint
-                    for (let i = 0; i < 10; i++) {
-                        const index = Math.floor(i * (bufferLength / 10));
-                        fingerprintData += dataArray[index].toString(16);
-                    }
-                    
-                    audioResults.fingerprint = this._simpleHash(fingerprintData);
-                    window.utils.addInfo(this.sectionId, 'Audio Fingerprint', audioResults.fingerprint);
-                    
-                    this.results.audio = audioResults;
-                    this.apiData.audio = audioResults;
-                }, 500);
-                
-                // Check for anomalies - unusual sample rates can indicate virtualization
-                const commonSampleRates = [44100, 48000, 96000, 192000];
-                if (!commonSampleRates.includes(audioResults.sampleRate)) {
-                    window.utils.addInfo(this.sectionId, 'Suspicious Pattern', `Unusual audio sample rate: ${audioResults.sampleRate}`);
-                    this.results.suspicious.push('Unusual audio sample rate');
-                }
-                
-            } else {
+            const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            if (!OfflineContext) {
                 audioResults.available = false;
                 window.utils.addInfo(this.sectionId, 'Web Audio API', 'Not available');
                 this.results.audio = audioResults;
                 this.apiData.audio = audioResults;
+                return;
+            }
+            
+            audioResults.available = true;
+            Object.assign(audioResults, this._getAudioTraits());
+            // Stored before rendering, so the traits are kept if a render fails
+            this.results.audio = audioResults;
+            this.apiData.audio = audioResults;
+            
+            if (audioResults.sampleRate !== undefined) {
+                window.utils.addInfo(this.sectionId, 'Audio Context State', audioResults.audioState);
+                window.utils.addInfo(this.sectionId, 'Audio Sample Rate', `${audioResults.sampleRate} Hz`);
+                window.utils.addInfo(this.sectionId, 'Audio Base Latency',
+                    typeof audioResults.baseLatency === 'number' ? `${audioResults.baseLatency} s` : 'Not available');
+                window.utils.addInfo(this.sectionId, 'Audio Output Latency',
+                    typeof audioResults.outputLatency === 'number' ? `${audioResults.outputLatency} s` : 'Not available');
+                window.utils.addInfo(this.sectionId, 'Audio Channel Count',
+                    `${audioResults.channelCount} (max ${audioResults.maxChannelCount}, ${audioResults.channelCountMode}, ${audioResults.channelInterpretation})`);
+            }
+            
+            // Two renders in a row, an unmodified browser returns identical samples
+            const firstSum = await this._renderAudioSum(OfflineContext);
+            const secondSum = await this._renderAudioSum(OfflineContext);
+            
+            audioResults.sum = firstSum;
+            audioResults.fingerprint = this._simpleHash(String(firstSum));
+            audioResults.noiseDetected = firstSum !== secondSum;
+            
+            window.utils.addInfo(this.sectionId, 'Audio Fingerprint', `${audioResults.fingerprint} (sum ${firstSum})`);
+            window.utils.addInfo(this.sectionId, 'Audio Noise Detected',
+                audioResults.noiseDetected ? `Yes, second render gave ${secondSum}` : 'No',
+                audioResults.noiseDetected ? 'negative-indicator' : 'positive-indicator');
+            
+            if (audioResults.noiseDetected) {
+                window.utils.addInfo(this.sectionId, 'Suspicious Pattern', 'Audio fingerprint changes between renders');
+                this.results.suspicious.push('Audio fingerprint noise');
+            }
+            
+            // Check for anomalies - unusual sample rates can indicate virtualization
+            const commonSampleRates = [44100, 48000, 96000, 192000];
+            if (audioResults.sampleRate !== undefined && !commonSampleRates.includes(audioResults.sampleRate)) {
+                window.utils.addInfo(this.sectionId, 'Suspicious Pattern', `Unusual audio sample rate: ${audioResults.sampleRate}`);
+                this.results.suspicious.push('Unusual audio sample rate');
             }
             
         } catch (e) {
@@ -342,10 +283,90 @@ class APIFingerprintDetector {
         }
     }
 
+    /**
+     * Read the output device traits from a realtime AudioContext
+     * The context is never started, so no user gesture is needed.
+     * @returns {Object} - Sample rate, latencies and channel traits, empty if no context can be created
+     */
+    _getAudioTraits() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return {};
+        
+        let audioContext;
+        try {
+            audioContext = new AudioContext();
+            const destination = audioContext.destination;
+            return {
+                audioState: audioContext.state,
+                sampleRate: audioContext.sampleRate,
+                baseLatency: typeof audioContext.baseLatency === 'number' ? audioContext.baseLatency : null,
+                outputLatency: typeof audioContext.outputLatency === 'number' ? audioContext.outputLatency : null,
+                channelCount: destination.channelCount,
+                maxChannelCount: destination.maxChannelCount,
+                channelCountMode: destination.channelCountMode,
+                channelInterpretation: destination.channelInterpretation
+            };
+        } catch (e) {
+            window.utils.log('Error reading audio context traits: ' + e.message, 'error');
+            return {};
+        } finally {
+            if (audioContext && audioContext.close) audioContext.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Render a triangle oscillator through a dynamics compressor offline
+     * @param {Function} OfflineContext - OfflineAudioContext constructor
+     * @returns {Promise<number>} - Sum of the absolute sample values in the compressed tail
+     */
+    async _renderAudioSum(OfflineContext) {
+        const context = new OfflineContext(1, APIFingerprintDetector.AUDIO_LENGTH, 44100);
+        
+        const oscillator = context.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = 10000;
+        
+        const compressor = context.createDynamicsCompressor();
+        const settings = { threshold: -50, knee: 40, ratio: 12, attack: 0, release: 0.25 };
+        Object.keys(settings).forEach(name => {
+            if (compressor[name] && typeof compressor[name].setValueAtTime === 'function') {
+                compressor[name].setValueAtTime(settings[name], context.currentTime);
+            }
+        });
+        
+        oscillator.connect(compressor);
+        compressor.connect(context.destination);
+        oscillator.start(0);
+        
+        // Older WebKit only reports the rendered buffer through oncomplete
+        const rendered = new Promise((resolve, reject) => {
+            context.oncomplete = event => resolve(event.renderedBuffer);
+            const promise = context.startRendering();
+            if (promise && promise.then) promise.then(resolve, reject);
+        });
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Audio render timed out')), APIFingerprintDetector.AUDIO_TIMEOUT);
+        });
+        
+        try {
+            const buffer = await Promise.race([rendered, timeout]);
+            const samples = buffer.getChannelData(0);
+            let sum = 0;
+            for (let i = APIFingerprintDetector.AUDIO_SUM_START; i < samples.length; i++) {
+                sum += Math.abs(samples[i]);
+            }
+            return sum;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
     /**
      * Check Battery Status API for fingerprinting and tracking potential
+     * @returns {Promise<void>} - Resolves once the battery status has been read
      */
-    _detectBatteryAPI() {
+    async _detectBatteryAPI() {
         try {
             const batteryResults = {};
             window.utils.addInfo(this.sectionId, 'Battery Information', '', 'section-subheader');
@@ -354,7 +375,7 @@ class APIFingerprintDetector {
             if (navigator.getBattery) {
                 batteryResults.available = true;
                 
-                navigator.getBattery().then(battery => {
+                await navigator.getBattery().then(battery => {
                     // Get initial battery status
                     batteryResults.charging = battery.charging;
                     batteryResults.level = (battery.level * 100).toFixed(2);
@@ -406,8 +427,9 @@ class APIFingerprintDetector {
 
     /**
      * Detect additional suspicious API behaviors
+     * @returns {Promise<void>} - Resolves once the permissions consistency check has completed
      */
-    _detectSuspiciousAPIs() {
+    async _detectSuspiciousAPIs() {
         try {
             window.utils.addInfo(this.sectionId, 'Suspicious API Behavior', '', 'section-subheader');
             
@@ -438,7 +460,7 @@ class APIFingerprintDetector {
             
             // 2. Check for inconsistent permissions behavior
             if (navigator.permissions) {
-                navigator.permissions.query({name: 'notifications'})
+                await navigator.permissions.query({name: 'notifications'})
                     .then(permission => {
                         if (permission.state === 'denied' && Notification.permission === 'default') {
                             window.utils.addInfo(this.sectionId, 'Permissions API Inconsistency', 'Detected');
@@ -616,11 +638,6 @@ class APIFingerprintDetector {
         
         this.apiData.eventTiming = this.results.eventTiming;
         
-        // Create info section for user feedback
-        if (!document.getElementById(this.sectionId)) {
-            this._createSection();
-        }
-        
         // Set monitoring duration (in ms)
         const monitorDuration = this.monitorDuration || 5000;
         let monitoringStatus = "Starting...";
@@ -945,5 +962,37 @@ class APIFingerprintDetector {
     }
 }
 
+// Offline render length in frames, and the first frame summed once the compressor has settled
+APIFingerprintDetector.AUDIO_LENGTH = 5000;
+APIFingerprintDetector.AUDIO_SUM_START = 4500;
+
+// Milliseconds to wait for one offline render
+APIFingerprintDetector.AUDIO_TIMEOUT = 2000;
+
 // Export the detector
-window.APIFingerprintDetector = APIFingerprintDetector; 
\ No newline at end of file
+window.APIFingerprintDetector = APIFingerprintDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('apiFingerprint', APIFingerprintDetector, {
+    tab: 'tab-api-fingerprint',
+    title: 'API Fingerprint',
+    sections: ['api-fingerprint-info'],
+    globalName: 'apiFingerprintDetector',
+    // Timings, heap usage and battery change on every load
+    signals: {
+        audio: 'stable',
+        // Browsers that add audio noise give a different sum on every render
+        'audio.sum': 'semi-stable',
+        'audio.fingerprint': 'semi-stable',
+        'audio.audioState': 'volatile',
+        // The output device can change between visits
+        'audio.outputLatency': 'volatile',
+        'audio.baseLatency': 'semi-stable',
+        'memory.deviceMemory': 'stable',
+        'memory.jsHeapSizeLimit': 'stable',
+        suspiciousCount: 'semi-stable',
+        performance: 'volatile',
+        battery: 'volatile',
+        eventTiming: 'volatile'
+    }
+});
@@ -0,0 +1,385 @@
+/**
+ * Automation Detector Module
+ * Framework-specific checks for Selenium/ChromeDriver, Playwright, Puppeteer and other
+ * Chrome DevTools Protocol clients. Unlike the generic headless checks these look for
+ * traces the frameworks leave behind even when a stealth plugin hides navigator.webdriver.
+ * Each check is its own bot score component.
+ */
+class AutomationDetector {
+    constructor() {
+        this.sectionId = 'automation-info';
+        this.sectionTitle = 'Automation Frameworks';
+        this.automationData = {
+            detected: [],
+            checks: {}
+        };
+    }
+
+    /**
+     * Run all automation checks
+     * @returns {Promise<Object>} - Evidence per check, resolved once the iframe check has completed
+     */
+    async detect() {
+        this._createSection();
+
+        this._runCheck('chromeDriver', () => this._checkChromeDriver());
+        this._runCheck('playwright', () => this._checkPlaywright());
+        this._runCheck('cdpRuntime', () => this._checkCdpRuntime());
+        this._runCheck('toStringProxy', () => this._checkToStringProxy());
+        await this._runCheck('iframePermissions', () => this._checkIframePermissions());
+
+        this._updateUI();
+        return this.automationData;
+    }
+
+    /**
+     * Bot score components, one per check
+     * The global scans are repeated because drivers inject their bindings when a
+     * command runs, which can be after the page loaded.
+     * @returns {Object} - Check name => score
+     */
+    getBotScore() {
+        this._runCheck('chromeDriver', () => this._checkChromeDriver());
+        this._runCheck('playwright', () => this._checkPlaywright());
+
+        const scores = {};
+        Object.keys(this.automationData.checks).forEach(name => {
+            scores[name] = this.automationData.checks[name].score;
+        });
+        return scores;
+    }
+
+    /**
+     * Create the automation section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Run a check and store its result
+     * A check returns {score, evidence}, or a promise of it.
+     * @param {string} name - Check name, also the bot score component name
+     * @param {Function} check - Check function
+     * @returns {Promise|undefined} - Settles once an async check was stored
+     */
+    _runCheck(name, check) {
+        const failed = e => {
+            window.utils.log(`Error in automation check ${name}: ${e.message}`, 'error');
+            return { score: 0, evidence: [], error: e.message };
+        };
+
+        let result;
+        try {
+            result = check();
+        } catch (e) {
+            result = failed(e);
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.catch(failed).then(settled => this._storeCheck(name, settled));
+        }
+        this._storeCheck(name, result);
+    }
+
+    /**
+     * Store a check result
+     * A later run never lowers an earlier score, traces that were seen once stay reported.
+     */
+    _storeCheck(name, result) {
+        const previous = this.automationData.checks[name];
+        if (previous && previous.score >= result.score) return;
+
+        this.automationData.checks[name] = {
+            detected: result.score > 0,
+            score: result.score,
+            evidence: result.evidence,
+            error: result.error || null
+        };
+        this.automationData.detected = Object.keys(this.automationData.checks)
+            .filter(key => this.automationData.checks[key].detected);
+    }
+
+    /**
+     * ChromeDriver and Selenium leftovers
+     * ChromeDriver stores its element cache on document under a "$cdc_..." key (renamed
+     * "$wdc_" or random by patched drivers) and older Selenium drivers expose helper globals.
+     */
+    _checkChromeDriver() {
+        const evidence = [];
+
+        const cdcPattern = /^\$?(cdc|wdc)_[a-zA-Z0-9]+_?$/;
+        this._ownKeys(document).concat(this._ownKeys(window))
+            .filter(key => cdcPattern.test(key))
+            .forEach(key => evidence.push(`Property ${key}`));
+
+        AutomationDetector.SELENIUM_GLOBALS
+            .filter(name => name in window || name in document)
+            .forEach(name => evidence.push(`Global ${name}`));
+
+        ['selenium', 'webdriver', 'driver'].forEach(attribute => {
+            if (document.documentElement && document.documentElement.getAttribute(attribute) !== null) {
+                evidence.push(`<html ${attribute}> attribute`);
+            }
+        });
+
+        return { score: evidence.length > 0 ? 1 : 0, evidence };
+    }
+
+    /**
+     * Playwright and Puppeteer bindings
+     * Playwright exposes its init scripts and exposeBinding() callbacks on window.
+     */
+    _checkPlaywright() {
+        const evidence = [];
+
+        this._ownKeys(window)
+            .filter(key => /^(__playwright|__pw[A-Z_]|__pwInitScripts$|__puppeteer)/.test(key))
+            .forEach(key => evidence.push(`Global ${key}`));
+
+        const stack = new Error().stack || '';
+        if (/__puppeteer_evaluation_script__|__playwright_evaluation_script__/.test(stack)) {
+            evidence.push('Evaluation script in stack trace');
+        }
+
+        return { score: evidence.length > 0 ? 1 : 0, evidence };
+    }
+
+    /**
+     * Runtime.enable side effects
+     * With the CDP Runtime domain enabled (Puppeteer, Playwright, DevTools) every console
+     * call is serialized for the client, which reads the stack of logged errors. A getter
+     * on the stack shows whether anything read it. An open DevTools window triggers this
+     * too, so the score stays below that of a framework binding.
+     */
+    _checkCdpRuntime() {
+        let stackRead = false;
+        const error = new Error();
+        Object.defineProperty(error, 'stack', {
+            configurable: false,
+            enumerable: false,
+            get() {
+                stackRead = true;
+                return '';
+            }
+        });
+
+        // console.debug is hidden at the default log level
+        console.debug(error);
+
+        return {
+            score: stackRead ? 0.8 : 0,
+            evidence: stackRead ? ['Console serialized a logged error (CDP Runtime domain enabled)'] : []
+        };
+    }
+
+    /**
+     * Function.prototype.toString proxies
+     * Stealth plugins wrap toString in a Proxy so their patched functions still print as
+     * native code. The prototype-cycle check relies on the spec: a native function refuses
+     * a cyclic prototype, but the cycle check stops at a proxy.
+     */
+    _checkToStringProxy() {
+        const evidence = [];
+        const toString = Function.prototype.toString;
+        const nativePattern = /^function [\w$]*\(\) \{\s*\[native code\]\s*\}$/;
+
+        if (!nativePattern.test(toString.call(toString))) {
+            evidence.push('Function.prototype.toString is not native');
+        }
+
+        // A native toString throws for non-functions without a trap frame in the stack
+        try {
+            toString.call({});
+        } catch (e) {
+            if (/at (Object|Proxy|Reflect)\.apply/.test(e.stack || '')) {
+                evidence.push('Proxy trap in Function.prototype.toString stack');
+            }
+        }
+
+        const prototype = Object.getPrototypeOf(toString);
+        try {
+            Object.setPrototypeOf(toString, Object.create(toString));
+            // No cycle error: toString is a proxy. Restore before anything walks the cycle.
+            Object.setPrototypeOf(toString, prototype);
+            evidence.push('Function.prototype.toString accepts a cyclic prototype (Proxy)');
+        } catch (e) {
+            // TypeError: cyclic __proto__ value, expected for a native function
+        }
+
+        const patched = this._findPatchedFunctions(nativePattern);
+        patched.forEach(name => evidence.push(`${name} is not native`));
+
+        let score = 0;
+        if (evidence.length > patched.length) score = 1;
+        else if (patched.length > 0) score = 0.7;
+
+        return { score, evidence };
+    }
+
+    /**
+     * Find commonly patched functions that don't print as native code
+     * @param {RegExp} nativePattern - Pattern of a native function source
+     * @returns {string[]} - Names of the patched functions
+     */
+    _findPatchedFunctions(nativePattern) {
+        const getter = (object, property) => {
+            const descriptor = object ? Object.getOwnPropertyDescriptor(object, property) : null;
+            return descriptor ? descriptor.get : null;
+        };
+        const candidates = {
+            'navigator.webdriver getter': getter(window.Navigator && Navigator.prototype, 'webdriver'),
+            'navigator.plugins getter': getter(window.Navigator && Navigator.prototype, 'plugins'),
+            'navigator.languages getter': getter(window.Navigator && Navigator.prototype, 'languages'),
+            'navigator.permissions.query': window.Permissions ? Permissions.prototype.query : null,
+            'WebGLRenderingContext.getParameter': window.WebGLRenderingContext ? WebGLRenderingContext.prototype.getParameter : null
+        };
+
+        return Object.keys(candidates).filter(name => {
+            const fn = candidates[name];
+            if (typeof fn !== 'function') return false;
+            try {
+                return !nativePattern.test(Function.prototype.toString.call(fn).replace(/^function get /, 'function '));
+            } catch (e) {
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Notification and Permissions behavior in a fresh iframe
+     * Stealth plugins patch the top window only. A same-origin iframe gets unpatched
+     * copies of the APIs, so its answers should match the top window.
+     */
+    async _checkIframePermissions() {
+        const evidence = [];
+        const top = await this._readPermissionState(window);
+        this._addPermissionEvidence(evidence, 'Top window', top);
+
+        const iframe = document.createElement('iframe');
+        iframe.style.display = 'none';
+        iframe.setAttribute('aria-hidden', 'true');
+        try {
+            (document.body || document.documentElement).appendChild(iframe);
+            const frame = iframe.contentWindow;
+
+            if (frame) {
+                const inner = await this._readPermissionState(frame);
+                this._addPermissionEvidence(evidence, 'Iframe', inner);
+
+                if (top.notification !== inner.notification) {
+                    evidence.push(`Notification.permission differs: ${top.notification} (top) vs ${inner.notification} (iframe)`);
+                }
+                if (top.query !== inner.query) {
+                    evidence.push(`Notifications permission state differs: ${top.query} (top) vs ${inner.query} (iframe)`);
+                }
+                if (!!navigator.webdriver !== !!(frame.navigator && frame.navigator.webdriver)) {
+                    evidence.push(`navigator.webdriver differs: ${!!navigator.webdriver} (top) vs ${!!frame.navigator.webdriver} (iframe)`);
+                }
+            }
+        } finally {
+            iframe.remove();
+        }
+
+        return { score: evidence.length > 0 ? 1 : 0, evidence };
+    }
+
+    /**
+     * Read Notification.permission and the notifications permission state of a window
+     * @param {Window} target - Window to read from
+     * @returns {Promise<Object>} - {notification, query}, 'unsupported' where an API is missing
+     */
+    async _readPermissionState(target) {
+        const state = {
+            notification: target.Notification ? target.Notification.permission : 'unsupported',
+            query: 'unsupported'
+        };
+
+        if (target.navigator && target.navigator.permissions) {
+            try {
+                const status = await target.navigator.permissions.query({ name: 'notifications' });
+                state.query = status.state;
+            } catch (e) {
+                state.query = 'error';
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Flag the headless combinations of permission state and Notification.permission
+     * A real browser reports "prompt" with "default", "denied" with "denied" and
+     * "granted" with "granted".
+     */
+    _addPermissionEvidence(evidence, label, state) {
+        const mismatch = (state.query === 'denied' && state.notification === 'default') ||
+            (state.query === 'prompt' && state.notification === 'denied');
+        if (mismatch) {
+            evidence.push(`${label}: permission state ${state.query} while Notification.permission is ${state.notification}`);
+        }
+    }
+
+    /**
+     * Own property names of an object, empty if they can't be read
+     */
+    _ownKeys(object) {
+        try {
+            return Object.getOwnPropertyNames(object);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Update the automation section
+     */
+    _updateUI() {
+        const checks = this.automationData.checks;
+        window.utils.addInfo(this.sectionId, 'Frameworks Detected',
+            this.automationData.detected.length > 0 ? this.automationData.detected.map(name => AutomationDetector.LABELS[name]).join(', ') : 'None',
+            this.automationData.detected.length > 0 ? 'negative-indicator' : 'positive-indicator');
+
+        Object.keys(checks).forEach(name => {
+            const check = checks[name];
+            let value = check.detected ? check.evidence.join('; ') : 'Not detected';
+            if (check.error) value = `Check failed: ${check.error}`;
+            window.utils.addInfo(this.sectionId, AutomationDetector.LABELS[name], value,
+                check.detected ? 'negative-indicator' : '');
+        });
+    }
+}
+
+AutomationDetector.LABELS = {
+    chromeDriver: 'ChromeDriver / Selenium',
+    playwright: 'Playwright / Puppeteer Bindings',
+    cdpRuntime: 'DevTools Protocol (Runtime.enable)',
+    toStringProxy: 'Function.toString Proxy',
+    iframePermissions: 'Iframe Notification/Permissions'
+};
+
+// Globals left by Selenium drivers and IDE recorders
+AutomationDetector.SELENIUM_GLOBALS = [
+    '_selenium', 'callSelenium', '_Selenium_IDE_Recorder', '__webdriver_script_fn',
+    '__webdriver_script_func', '__webdriver_evaluate', '__selenium_evaluate', '__driver_evaluate',
+    '__webdriver_unwrapped', '__selenium_unwrapped', '__driver_unwrapped', '__fxdriver_evaluate',
+    '__fxdriver_unwrapped', '__lastWatirAlert', 'domAutomation', 'domAutomationController'
+];
+
+// Export the detector
+window.AutomationDetector = AutomationDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('automation', AutomationDetector, {
+    tab: 'tab-bot',
+    title: 'Automation Frameworks',
+    sections: ['automation-info'],
+    // One bot score component per check
+    weight: {
+        chromeDriver: 0.15,
+        playwright: 0.15,
+        cdpRuntime: 0.1,
+        toStringProxy: 0.1,
+        iframePermissions: 0.1
+    }
+});
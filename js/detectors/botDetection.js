@@ -103,19 +103,27 @@ class BotDetector {
 
     /**
      * Start bot detection
+     * @param {Object} context - Detector context provided by the orchestrator
+     * @returns {Promise<Object>} - Bot detection data, resolved once the static tests have finished
      */
-    detect() {
+    async detect(context = {}) {
+        this.context = context;
+        this.apiDetector = context.detectors ? context.detectors.apiFingerprint : null;
+        
         this._createSection();
         this._setupMouseTracking();
         
         // Run automated detection tests
-        this._detectHeadlessBrowser();
+        await this._detectHeadlessBrowser();
         this._detectFakeUserAgent();
         this._detectUnusualScreenResolution();
         this._detectRDP();
         this._detectFingerprintAnomalies(); // Canvas fingerprint detection
         this._detectAPIAnomalies(); // API fingerprint detection
         
+        // Score the static tests so the returned data has an overall score before any mouse movement
+        this._calculateOverallScore();
+        
         // Create the score display
         this._updateUI();
         
@@ -128,6 +136,16 @@ class BotDetector {
         return this.botData;
     }
 
+    /**
+     * Recompute the overall score once every detector has settled
+     * The weighted components come from detectors that run alongside this one (realm
+     * probes, extension scans, WebGPU), and a headless bot may never move the mouse,
+     * which is the only other time the score is recalculated.
+     */
+    finalize() {
+        this._calculateOverallScore();
+    }
+
     /**
      * Create the bot detection section in the DOM
      */
@@ -195,16 +213,7 @@ class BotDetector {
         const botStatus = this._getBotStatusLabel(this.detectionScores.overallScore);
         
         // First, remove all suspicious pattern entries
-        const container = document.getElementById(this.sectionId).querySelector('.property-list');
-        const existingPatterns = container.querySelectorAll('li');
-        for (let i = 0; i < existingPatterns.length; i++) {
-            const item = existingPatterns[i];
-            const itemName = item.querySelector('.property-name')?.textContent;
-            
-            if (itemName === 'Suspicious Pattern') {
-                container.removeChild(item);
-            }
-        }
+        window.utils.removeInfo(this.sectionId, 'Suspicious Pattern');
         
         // Then add current suspicious patterns
         window.utils.addInfo(this.sectionId, 'Bot Detection Status', botStatus);
@@ -509,6 +518,9 @@ class BotDetector {
      */
     _calculateOverallScore() {
         try {
+            // Pull in scores from registered detectors that contribute to the bot score
+            this._collectDetectorScores();
+            
             // Calculate weighted average of all scores
             let totalWeight = 0;
             let weightedScore = 0;
@@ -531,6 +543,7 @@ class BotDetector {
             
             // Set the overall score
             this.detectionScores.overallScore = normalizedScore;
+            this.botData.overallScore = normalizedScore;
             
             // Update the UI with the score
             this._updateScoreIndicator();
@@ -542,6 +555,55 @@ class BotDetector {
         }
     }
 
+    /**
+     * Collect bot score components from registered detectors
+     * Any detector registered with a weight above zero that implements getBotScore()
+     * gets its own entry in scoreWeights and detectionScores. A detector registered
+     * with component weights gets an entry per component, read from the object its
+     * getBotScore() returns.
+     */
+    _collectDetectorScores() {
+        if (!this.context || !this.context.registry) return;
+        
+        this.context.registry.list().forEach(definition => {
+            const detector = this.context.detectors[definition.name];
+            const weights = this._getComponentWeights(definition);
+            if (Object.keys(weights).length === 0 || !detector || typeof detector.getBotScore !== 'function') return;
+            
+            try {
+                const result = detector.getBotScore();
+                const scores = typeof definition.weight === 'number' ? { [definition.name]: result } : (result || {});
+                
+                Object.keys(weights).forEach(component => {
+                    const score = scores[component];
+                    if (typeof score !== 'number' || isNaN(score)) return;
+                    
+                    this.scoreWeights[component] = weights[component];
+                    this.detectionScores[component] = Math.max(0, Math.min(1, score));
+                });
+            } catch (e) {
+                window.utils.log(`Error reading bot score from ${definition.name}: ${e.message}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Get the bot score components of a registered detector
+     * @param {Object} definition - Detector definition
+     * @returns {Object} - Component name => weight, only weights above zero
+     */
+    _getComponentWeights(definition) {
+        const weights = typeof definition.weight === 'number'
+            ? { [definition.name]: definition.weight }
+            : definition.weight;
+        
+        const components = {};
+        Object.keys(weights).forEach(component => {
+            if (weights[component] > 0) components[component] = weights[component];
+        });
+        return components;
+    }
+
     /**
      * Get a human-readable status based on bot likelihood score
      */
@@ -564,8 +626,9 @@ class BotDetector {
 
     /**
      * Detect if browser is headless
+     * @returns {Promise<void>} - Resolves once the permissions check has completed
      */
-    _detectHeadlessBrowser() {
+    async _detectHeadlessBrowser() {
         try {
             // Initialize test results
             let isHeadless = false;
@@ -601,18 +664,16 @@ class BotDetector {
             // Test 4: Check for Permissions behavior difference
             if (navigator.permissions) {
                 testsRun++;
-                navigator.permissions.query({name: 'notifications'})
-                    .then(permission => {
-                        if (permission.state === 'denied' && Notification.permission === 'default') {
-                            window.utils.addInfo(this.sectionId, 'Headless Browser Indicator', 'Inconsistent permissions behavior');
-                            isHeadless = true;
-                            headlessScore += 0.7; // Decent indicator
-                            this.detectionScores.headlessBrowser = Math.min(1.0, headlessScore / testsRun);
-                            this._calculateOverallScore();
-                            this._updateScoreIndicator();
-                        }
-                    })
-                    .catch(() => {});
+                try {
+                    const permission = await navigator.permissions.query({name: 'notifications'});
+                    if (permission.state === 'denied' && Notification.permission === 'default') {
+                        headlessTests.push('Inconsistent permissions behavior');
+                        isHeadless = true;
+                        headlessScore += 0.7; // Decent indicator
+                    }
+                } catch (e) {
+                    // Permission query not supported for notifications
+                }
             }
             
             // Test 5: Check for plugins (headless browsers usually have none)
@@ -639,63 +700,23 @@ class BotDetector {
     
     /**
      * Detect fake or spoofed user agent
+     * Scores the mismatches found by the user agent consistency engine; each mismatch
+     * adds the weight of the rule that found it.
      */
     _detectFakeUserAgent() {
         try {
-            let isFakeUA = false;
-            const uaInconsistencies = [];
-            let fakeUAScore = 0;
-            let testsRun = 0;
-            
-            const ua = navigator.userAgent;
-            
-            // Test 1: Browser feature inconsistency
-            testsRun++;
-            if (/Firefox/.test(ua) && !window.InstallTrigger) {
-                uaInconsistencies.push('Firefox UA without Firefox features');
-                isFakeUA = true;
-                fakeUAScore += 1.0;
-            }
-            
-            testsRun++;
-            if (/Safari/.test(ua) && !window.safari && !/Chrome/.test(ua)) {
-                uaInconsistencies.push('Safari UA without Safari features');
-                isFakeUA = true;
-                fakeUAScore += 1.0;
-            }
-            
-            testsRun++;
-            if (/Chrome/.test(ua) && !window.chrome) {
-                uaInconsistencies.push('Chrome UA without Chrome features');
-                isFakeUA = true;
-                fakeUAScore += 1.0;
-            }
-            
-            // Test 2: OS inconsistency
-            testsRun++;
-            if (/Windows/.test(ua) && /Mac OS X/.test(ua)) {
-                uaInconsistencies.push('UA contains both Windows and Mac OS');
-                isFakeUA = true;
-                fakeUAScore += 1.0;
+            const consistency = this.context.results ? this.context.results.uaConsistency : null;
+            if (!consistency || !consistency.mismatches) {
+                window.utils.addInfo(this.sectionId, 'Fake User Agent Detection', 'Consistency data not available');
+                return;
             }
             
-            testsRun++;
-            if (/Android/.test(ua) && /Windows/.test(ua)) {
-                uaInconsistencies.push('UA contains both Android and Windows');
-                isFakeUA = true;
-                fakeUAScore += 1.0;
-            }
-            
-            // Test 3: Version inconsistency
-            testsRun++;
-            if (/Chrome\/(\d+)/.test(ua) && /Firefox\/(\d+)/.test(ua)) {
-                uaInconsistencies.push('UA contains both Chrome and Firefox versions');
-                isFakeUA = true;
-                fakeUAScore += 1.0;
-            }
+            const uaInconsistencies = consistency.mismatches.map(mismatch => mismatch.message);
+            const isFakeUA = uaInconsistencies.length > 0;
+            const fakeUAScore = consistency.mismatches.reduce((sum, mismatch) => sum + mismatch.weight, 0);
             
             // Calculate fake user agent score
-            this.detectionScores.fakeUserAgent = testsRun > 0 ? Math.min(1.0, fakeUAScore / testsRun) : 0;
+            this.detectionScores.fakeUserAgent = Math.min(1.0, fakeUAScore);
             
             // Report findings
             this.botData.isFakeUserAgent = isFakeUA;
@@ -776,32 +797,21 @@ class BotDetector {
     _detectRDP() {
         try {
             // Check if color depth data is available from graphics detector
-            const colorDepthSection = document.getElementById('color-depth-info');
+            const graphicsData = this.context.results ? this.context.results.graphics : null;
             let isRDP = false;
             let rdpConfidence = '';
             let rdpScore = 0;
             
-            if (colorDepthSection) {
-                const rdpItems = colorDepthSection.querySelectorAll('li');
+            if (graphicsData && typeof graphicsData.rdpDetected === 'boolean') {
+                isRDP = graphicsData.rdpDetected;
+                rdpScore = isRDP ? 0.9 : 0;
+                rdpConfidence = graphicsData.rdpConfidence;
                 
-                // Look for RDP detection result
-                for (let i = 0; i < rdpItems.length; i++) {
-                    const item = rdpItems[i];
-                    const itemName = item.querySelector('.property-name')?.textContent;
-                    const itemValue = item.querySelector('.property-value')?.textContent;
-                    
-                    if (itemName === 'RDP Connection Detected') {
-                        isRDP = itemValue === 'Yes';
-                        rdpScore = isRDP ? 0.9 : 0;
-                    } else if (itemName === 'RDP Detection Confidence') {
-                        rdpConfidence = itemValue;
-                        // Parse confidence if it's a percentage
-                        if (rdpConfidence && rdpConfidence.includes('%')) {
-                            const confidenceValue = parseFloat(rdpConfidence) / 100;
-                            if (!isNaN(confidenceValue)) {
-                                rdpScore = confidenceValue;
-                            }
-                        }
+                // Parse confidence if it's a percentage
+                if (rdpConfidence && rdpConfidence.includes('%')) {
+                    const confidenceValue = parseFloat(rdpConfidence) / 100;
+                    if (!isNaN(confidenceValue)) {
+                        rdpScore = confidenceValue;
                     }
                 }
                 
@@ -813,7 +823,7 @@ class BotDetector {
                     window.utils.addInfo(this.sectionId, 'RDP Confidence', rdpConfidence);
                 }
             } else {
-                // Fallback RDP detection if color depth section isn't available
+                // Fallback RDP detection if graphics results aren't available
                 const jsColorDepth = window.screen.colorDepth || window.screen.pixelDepth || 'Not available';
                 
                 // RDP often uses 8 or 16 bit color depth
@@ -937,7 +947,7 @@ class BotDetector {
     _createScoreIndicator() {
         try {
             // Get container
-            const container = document.getElementById(this.sectionId);
+            const container = window.utils.getSectionElement(this.sectionId);
             if (!container) return;
             
             // Find the property list 
@@ -1012,7 +1022,7 @@ class BotDetector {
      */
     _updateScoreIndicator() {
         try {
-            const container = document.getElementById(this.sectionId);
+            const container = window.utils.getSectionElement(this.sectionId);
             if (!container) return;
             
             // Get our custom elements
@@ -1490,6 +1500,10 @@ class BotDetector {
      */
     _updateUI() {
         try {
+            // The score indicator is only drawn when the report is being rendered
+            const botSection = window.utils.getSectionElement(this.sectionId);
+            if (!botSection) return;
+            
             // Calculate the overall bot score percentage
             const botScorePercentage = Math.round(this.detectionScores.overallScore * 100);
             
@@ -1531,20 +1545,16 @@ class BotDetector {
             
             scoreContainer.appendChild(scoreText);
             
-            // Add the score indicator to the section
-            const botSection = document.getElementById(this.sectionId);
-            if (botSection) {
-                // Check if we already have a score indicator
-                const existingIndicator = botSection.querySelector('.score-indicator');
-                if (existingIndicator) {
-                    existingIndicator.replaceWith(scoreContainer);
+            // Add the score indicator to the section, replacing an earlier one
+            const existingIndicator = botSection.querySelector('.score-indicator');
+            if (existingIndicator) {
+                existingIndicator.replaceWith(scoreContainer);
+            } else {
+                // Add it at the top
+                if (botSection.firstChild) {
+                    botSection.insertBefore(scoreContainer, botSection.firstChild);
                 } else {
-                    // Add it at the top
-                    if (botSection.firstChild) {
-                        botSection.insertBefore(scoreContainer, botSection.firstChild);
-                    } else {
-                        botSection.appendChild(scoreContainer);
-                    }
+                    botSection.appendChild(scoreContainer);
                 }
             }
             
@@ -1593,7 +1603,20 @@ class BotDetector {
         if (this.detectionScores.eventTimingPatterns > 0.5) {
             suspiciousFactors.push('unnatural timing patterns');
         }
-        
+
+        // Components contributed by registered detectors are listed by their title
+        if (this.context && this.context.registry) {
+            this.context.registry.list().forEach(definition => {
+                const flagged = Object.keys(this._getComponentWeights(definition))
+                    .filter(component => this.detectionScores[component] > 0.5);
+                if (flagged.length === 0) return;
+                
+                suspiciousFactors.push(typeof definition.weight === 'number'
+                    ? definition.title.toLowerCase()
+                    : `${definition.title.toLowerCase()} (${flagged.join(', ')})`);
+            });
+        }
+
         if (suspiciousFactors.length === 0) {
             return 'No suspicious patterns detected';
         } else {
@@ -1603,4 +1626,14 @@ class BotDetector {
 }
 
 // Export the detector
-window.BotDetector = BotDetector; 
\ No newline at end of file
+window.BotDetector = BotDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('botDetection', BotDetector, {
+    tab: 'tab-bot',
+    title: 'Bot Detection',
+    sections: ['bot-detection'],
+    // Reads the graphics RDP results, the API fingerprint results and the user agent consistency mismatches
+    // when those detectors run; each check reports its data as unavailable otherwise
+    optionalDependencies: ['graphics', 'apiFingerprint', 'uaConsistency']
+});
@@ -12,9 +12,11 @@ class BrowserDetector {
 
     /**
      * Run all browser detection tests
+     * @returns {Promise<Object>} - Collected browser data
      */
-    detect() {
+    async detect() {
         this._createSection();
+        await this._detectClientHints();
         this._detectBrowserInfo();
         this._detectLanguages();
         this._detectDNT();
@@ -43,11 +45,78 @@ class BrowserDetector {
         this.browserData.browserName = browserInfo.browser;
         this.browserData.browserVersion = browserInfo.version;
         
+        // Chromium's reduced user agent only carries the major version (e.g. 120.0.0.0)
+        const fullVersion = this._getBrandVersion(browserInfo.browser);
+        if (fullVersion) {
+            this.browserData.browserVersion = browserInfo.version = fullVersion;
+        }
+        
         window.utils.addInfo(this.sectionId, 'Browser', `${browserInfo.browser} ${browserInfo.version}`);
         window.utils.addInfo(this.sectionId, 'Browser Vendor', navigator.vendor || 'Not available');
         window.utils.addInfo(this.sectionId, 'Browser Engine', browserInfo.engine || 'Unknown');
     }
 
+    /**
+     * Collect User-Agent Client Hints
+     * The low entropy values (brands, mobile, platform) are always exposed; the high entropy
+     * ones may be refused by a permissions policy or a privacy setting.
+     */
+    async _detectClientHints() {
+        const uaData = navigator.userAgentData;
+        if (!uaData) {
+            this.browserData.clientHints = null;
+            window.utils.addInfo(this.sectionId, 'Client Hints', 'Not supported');
+            return;
+        }
+
+        const hints = {
+            brands: (uaData.brands || []).map(brand => ({ brand: brand.brand, version: brand.version })),
+            mobile: uaData.mobile,
+            platform: uaData.platform
+        };
+
+        if (typeof uaData.getHighEntropyValues === 'function') {
+            try {
+                const values = await uaData.getHighEntropyValues(BrowserDetector.HIGH_ENTROPY_HINTS);
+                BrowserDetector.HIGH_ENTROPY_HINTS.forEach(hint => {
+                    if (values[hint] !== undefined) hints[hint] = values[hint];
+                });
+            } catch (e) {
+                window.utils.log('High entropy client hints refused: ' + e.message, 'warn');
+            }
+        }
+
+        this.browserData.clientHints = hints;
+
+        const brands = hints.fullVersionList || hints.brands;
+        window.utils.addInfo(this.sectionId, 'Client Hints Brands', brands
+            .filter(brand => !BrowserDetector.isGreaseBrand(brand.brand))
+            .map(brand => `${brand.brand} ${brand.version}`)
+            .join(', ') || 'None');
+        window.utils.addInfo(this.sectionId, 'Client Hints Platform',
+            [hints.platform, hints.platformVersion].filter(Boolean).join(' ') || 'Not available');
+        window.utils.addInfo(this.sectionId, 'Client Hints Architecture',
+            hints.architecture ? `${hints.architecture}${hints.bitness ? ` (${hints.bitness}-bit)` : ''}${hints.wow64 ? ', WoW64' : ''}` : 'Not available');
+        if (hints.model) {
+            window.utils.addInfo(this.sectionId, 'Client Hints Model', hints.model);
+        }
+        window.utils.addInfo(this.sectionId, 'Client Hints Mobile', hints.mobile);
+    }
+
+    /**
+     * Get the full version of a browser from the client hints brand list
+     * @param {string} browser - Browser name parsed from the user agent
+     * @returns {string|null} - Full version, null without high entropy hints
+     */
+    _getBrandVersion(browser) {
+        const hints = this.browserData.clientHints;
+        if (!hints || !hints.fullVersionList) return null;
+
+        const brandName = BrowserDetector.BRAND_NAMES[browser];
+        const brand = hints.fullVersionList.find(entry => entry.brand === brandName);
+        return brand ? brand.version : null;
+    }
+
     /**
      * Parse user agent string to extract browser details
      */
@@ -142,5 +211,46 @@ class BrowserDetector {
     }
 }
 
+BrowserDetector.HIGH_ENTROPY_HINTS = ['platformVersion', 'architecture', 'bitness', 'model', 'fullVersionList', 'wow64'];
+
+// Client hints brand of each browser parsed from the user agent
+BrowserDetector.BRAND_NAMES = {
+    Chrome: 'Google Chrome',
+    Edge: 'Microsoft Edge',
+    Opera: 'Opera'
+};
+
+/**
+ * Whether a client hints brand is a GREASE entry (e.g. "Not_A Brand")
+ * Browsers add one with a random name so servers don't depend on the exact list.
+ */
+BrowserDetector.isGreaseBrand = function(brand) {
+    return /not.a.brand/i.test(brand || '');
+};
+
 // Export the detector
-window.BrowserDetector = BrowserDetector; 
\ No newline at end of file
+window.BrowserDetector = BrowserDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('browser', BrowserDetector, {
+    tab: 'tab-browser',
+    title: 'Browser Information',
+    sections: ['browser-info'],
+    signals: {
+        userAgent: 'semi-stable',
+        clientHints: 'semi-stable',
+        'clientHints.mobile': 'stable',
+        'clientHints.platform': 'stable',
+        'clientHints.architecture': 'stable',
+        'clientHints.bitness': 'stable',
+        'clientHints.model': 'stable',
+        'clientHints.wow64': 'stable',
+        browserName: 'stable',
+        browserVersion: 'semi-stable',
+        language: 'stable',
+        languages: 'stable',
+        doNotTrack: 'stable',
+        sessionStorage: 'stable',
+        cookiesEnabled: 'stable'
+    }
+});
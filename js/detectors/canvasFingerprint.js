@@ -13,8 +13,9 @@ class CanvasFingerprintDetector {
 
     /**
      * Start fingerprint detection
+     * @returns {Promise<Object>} - Collected canvas fingerprint data
      */
-    detect() {
+    async detect() {
         this._createSection();
         this._generateCanvasFingerprint();
         this._generateWebGLFingerprint();
@@ -22,41 +23,11 @@ class CanvasFingerprintDetector {
     }
 
     /**
-     * Create the fingerprint section in the DOM
+     * Create the fingerprint section
      */
     _createSection() {
-        if (window.utils && window.utils.log) {
-            window.utils.log('Creating canvas fingerprint section', 'info');
-        } else {
-            console.log('Creating canvas fingerprint section');
-        }
-        
-        // Find the appropriate tab for canvas fingerprint content
-        const tabContent = document.getElementById('tab-canvas');
-        if (tabContent) {
-            // Create section inside the tab
-            const section = document.createElement('div');
-            section.id = this.sectionId;
-            section.className = 'info-section';
-            
-            // Create section header
-            const header = document.createElement('h2');
-            header.textContent = this.sectionTitle;
-            section.appendChild(header);
-            
-            // Create property list container
-            const propertyList = document.createElement('div');
-            propertyList.className = 'property-list';
-            section.appendChild(propertyList);
-            
-            // Add section to tab content
-            tabContent.appendChild(section);
-            
-            return section;
-        } else {
-            // Fallback to the original createInfoSection if tab not found
-            return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
-        }
+        window.utils.log('Creating canvas fingerprint section', 'info');
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
     }
     
     /**
@@ -207,7 +178,7 @@ class CanvasFingerprintDetector {
                 attributeString += 'extensions:' + attributes.extensions.slice(0, 5).join(',') + ';';
             }
             
-            // Generate WebGL parameter fingerprint by rendering a test scene
+            // Generate WebGL parameter fingerprint from the context limits
             const parametersFingerprint = this._generateWebGLParametersFingerprint(gl);
             
             // Combine attribute string with parameters fingerprint
@@ -229,9 +200,14 @@ class CanvasFingerprintDetector {
             
             // Add extension count
             if (attributes.extensions) {
+                this.fingerprintData.webglExtensions = attributes.extensions.slice().sort();
                 window.utils.addInfo(this.sectionId, 'WebGL Extensions', attributes.extensions.length + ' supported');
             }
             
+            this._generateWebGLRenderFingerprint();
+            this._detectShaderPrecision(gl);
+            this._detectRendererSpoofing(gl, attributes);
+            
             return hash;
         } catch (e) {
             window.utils.log('Error generating WebGL fingerprint: ' + e.message, 'error');
@@ -276,13 +252,177 @@ class CanvasFingerprintDetector {
         return parameterString;
     }
     
+    /**
+     * Generate a WebGL fingerprint from rendered pixels
+     * Draws a fixed scene with a gradient, precision-sensitive shader math, blending
+     * and anti-aliased edges, and hashes the readPixels output. GPUs and drivers that
+     * report the same (masked) renderer string still round and rasterize differently.
+     */
+    _generateWebGLRenderFingerprint() {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = CanvasFingerprintDetector.RENDER_SIZE;
+            canvas.height = CanvasFingerprintDetector.RENDER_SIZE;
+            
+            const options = { antialias: true, preserveDrawingBuffer: true };
+            const gl = canvas.getContext('webgl', options) || canvas.getContext('experimental-webgl', options);
+            if (!gl) return null;
+            
+            const program = this._createProgram(gl,
+                CanvasFingerprintDetector.VERTEX_SHADER, CanvasFingerprintDetector.FRAGMENT_SHADER);
+            if (!program) {
+                window.utils.addInfo(this.sectionId, 'WebGL Render Hash', 'Shader compilation failed');
+                return null;
+            }
+            gl.useProgram(program);
+            
+            // Two overlapping triangles, each vertex is x, y, then a color weight
+            const vertices = new Float32Array([
+                -0.9, -0.9, 0.0,   0.85, -0.6, 0.5,   -0.3, 0.95, 1.0,
+                -0.7, 0.4, 1.0,    0.95, 0.9, 0.2,    0.3, -0.95, 0.7
+            ]);
+            const buffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+            
+            const position = gl.getAttribLocation(program, 'position');
+            const weight = gl.getAttribLocation(program, 'weight');
+            gl.enableVertexAttribArray(position);
+            gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 12, 0);
+            gl.enableVertexAttribArray(weight);
+            gl.vertexAttribPointer(weight, 1, gl.FLOAT, false, 12, 8);
+            
+            gl.clearColor(0.1, 0.1, 0.1, 1);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            gl.drawArrays(gl.TRIANGLES, 0, 6);
+            
+            const pixels = new Uint8Array(canvas.width * canvas.height * 4);
+            gl.readPixels(0, 0, canvas.width, canvas.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+            
+            const hash = this._generateHash(Array.prototype.join.call(pixels, ','));
+            this.fingerprintData.webglRenderHash = hash;
+            window.utils.addInfo(this.sectionId, 'WebGL Render Hash', hash);
+            
+            return hash;
+        } catch (e) {
+            window.utils.log('Error generating WebGL render fingerprint: ' + e.message, 'error');
+            window.utils.addInfo(this.sectionId, 'WebGL Render Hash', 'Error: ' + e.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Compile and link a shader program
+     * @returns {WebGLProgram|null} - The program, null if a shader did not compile
+     */
+    _createProgram(gl, vertexSource, fragmentSource) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                window.utils.log('WebGL shader error: ' + gl.getShaderInfoLog(shader), 'error');
+                return null;
+            }
+            return shader;
+        };
+        
+        const vertexShader = compile(gl.VERTEX_SHADER, vertexSource);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentSource);
+        if (!vertexShader || !fragmentShader) return null;
+        
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        return gl.getProgramParameter(program, gl.LINK_STATUS) ? program : null;
+    }
+    
+    /**
+     * Record the shader precision formats for every shader and precision type
+     */
+    _detectShaderPrecision(gl) {
+        try {
+            const precision = {};
+            ['VERTEX_SHADER', 'FRAGMENT_SHADER'].forEach(shaderType => {
+                precision[shaderType] = {};
+                ['LOW_FLOAT', 'MEDIUM_FLOAT', 'HIGH_FLOAT', 'LOW_INT', 'MEDIUM_INT', 'HIGH_INT'].forEach(precisionType => {
+                    const format = gl.getShaderPrecisionFormat(gl[shaderType], gl[precisionType]);
+                    precision[shaderType][precisionType] = format
+                        ? [format.rangeMin, format.rangeMax, format.precision]
+                        : null;
+                });
+            });
+            
+            this.fingerprintData.webglPrecision = precision;
+            const highFloat = precision.FRAGMENT_SHADER.HIGH_FLOAT;
+            window.utils.addInfo(this.sectionId, 'Fragment Shader High Float',
+                highFloat ? `range 2^${highFloat[0]} to 2^${highFloat[1]}, precision 2^-${highFloat[2]}` : 'Not available');
+            window.utils.addInfo(this.sectionId, 'Shader Precision Hash',
+                this._generateHash(JSON.stringify(precision)));
+        } catch (e) {
+            window.utils.log('Error reading shader precision formats: ' + e.message, 'error');
+        }
+    }
+    
+    /**
+     * Look for signs that the unmasked renderer string is spoofed
+     * Spoofing extensions usually patch getParameter on one context type only, with a
+     * script function, and pick renderer strings that don't match the reported vendor.
+     * @param {WebGLRenderingContext} gl - Context the renderer was read from
+     * @param {Object} attributes - Vendor and renderer strings read from it
+     */
+    _detectRendererSpoofing(gl, attributes) {
+        const reasons = [];
+        
+        try {
+            const nativeCode = fn => typeof fn === 'function' && /\[native code\]/.test(Function.prototype.toString.call(fn));
+            
+            if (window.WebGLRenderingContext && !nativeCode(WebGLRenderingContext.prototype.getParameter)) {
+                reasons.push('WebGLRenderingContext.getParameter is not a native function');
+            }
+            if (window.WebGL2RenderingContext && !nativeCode(WebGL2RenderingContext.prototype.getParameter)) {
+                reasons.push('WebGL2RenderingContext.getParameter is not a native function');
+            }
+            
+            // The WebGL 2 context of the same GPU reports the same strings
+            const gl2 = document.createElement('canvas').getContext('webgl2');
+            const debugInfo = gl2 && gl2.getExtension('WEBGL_debug_renderer_info');
+            if (debugInfo && attributes.unmaskedRenderer) {
+                const renderer2 = gl2.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
+                if (renderer2 !== attributes.unmaskedRenderer) {
+                    reasons.push(`WebGL 2 reports renderer "${renderer2}"`);
+                }
+            }
+            
+            // A GPU vendor named in one string has to match the other
+            const vendorOf = value => CanvasFingerprintDetector.GPU_VENDORS.find(vendor => vendor.pattern.test(value || ''));
+            const vendor = vendorOf(attributes.unmaskedVendor);
+            const rendererVendor = vendorOf(attributes.unmaskedRenderer);
+            if (vendor && rendererVendor && vendor.name !== rendererVendor.name) {
+                reasons.push(`Vendor "${attributes.unmaskedVendor}" does not make renderer "${attributes.unmaskedRenderer}"`);
+            }
+        } catch (e) {
+            window.utils.log('Error checking WebGL renderer spoofing: ' + e.message, 'error');
+        }
+        
+        this.fingerprintData.webglRendererSpoofed = reasons.length > 0;
+        this.fingerprintData.webglSpoofingReasons = reasons;
+        
+        window.utils.addInfo(this.sectionId, 'WebGL Renderer Spoofed',
+            reasons.length > 0 ? reasons.join('; ') : 'No',
+            reasons.length > 0 ? 'negative-indicator' : 'positive-indicator');
+    }
+    
     /**
      * Create a visual representation of the fingerprint
      */
     _createCanvasVisual(dataURL) {
         try {
-            // Create a container for the visual
-            const section = document.getElementById(this.sectionId);
+            // Only shown when the report is being rendered
+            const section = window.utils.getSectionElement(this.sectionId);
             if (!section) return;
             
             const visualContainer = document.createElement('div');
@@ -348,5 +488,65 @@ class CanvasFingerprintDetector {
     }
 }
 
+// Side of the WebGL render test canvas in pixels
+CanvasFingerprintDetector.RENDER_SIZE = 64;
+
+CanvasFingerprintDetector.VERTEX_SHADER = `
+attribute vec2 position;
+attribute float weight;
+varying vec2 uv;
+varying float w;
+void main() {
+    uv = position * 0.5 + 0.5;
+    w = weight;
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+// Transcendental functions and large arguments expose how the GPU rounds
+CanvasFingerprintDetector.FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 uv;
+varying float w;
+void main() {
+    float noise = fract(sin(dot(uv, vec2(12.9898, 78.233))) * 43758.5453);
+    vec3 color = vec3(uv.x, uv.y * w, 1.0 - w);
+    color += vec3(pow(uv.x + 0.01, 2.2), exp(uv.y) / 3.0, atan(uv.y, uv.x + 0.001) / 3.14159) * 0.5;
+    color = fract(color + noise * 0.25 + sqrt(w) * log(2.0 + uv.x * 1e3) * 0.1);
+    gl_FragColor = vec4(color, 0.55 + 0.4 * w);
+}`;
+
+// GPU vendors as they appear in vendor and renderer strings
+CanvasFingerprintDetector.GPU_VENDORS = [
+    { name: 'NVIDIA', pattern: /NVIDIA|GeForce|Quadro|RTX/i },
+    { name: 'AMD', pattern: /\bAMD\b|ATI Technologies|Radeon/i },
+    { name: 'Intel', pattern: /Intel/i },
+    { name: 'Apple', pattern: /Apple/i },
+    { name: 'Qualcomm', pattern: /Qualcomm|Adreno/i },
+    { name: 'ARM', pattern: /\bARM\b|Mali/i }
+];
+
 // Export the detector
-window.CanvasFingerprintDetector = CanvasFingerprintDetector; 
\ No newline at end of file
+window.CanvasFingerprintDetector = CanvasFingerprintDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('canvasFingerprint', CanvasFingerprintDetector, {
+    tab: 'tab-canvas',
+    title: 'Canvas Fingerprint',
+    sections: ['canvas-fingerprint-info'],
+    signals: {
+        canvasHash: 'stable',
+        canvasDataLength: 'stable',
+        webglHash: 'stable',
+        webglVendor: 'stable',
+        webglRenderer: 'stable',
+        webglRenderHash: 'stable',
+        webglPrecision: 'stable',
+        webglExtensions: 'stable',
+        webglRendererSpoofed: 'stable',
+        webglSpoofingReasons: 'stable'
+    }
+});
@@ -0,0 +1,307 @@
+/**
+ * Canvas Noise Detector Module
+ * Brave, Firefox with resistFingerprinting and anti-detect browsers add noise to canvas
+ * and WebGL pixel reads ("farbling"), which makes canvas hashes meaningless. This module
+ * renders the same scene several times and a solid color whose pixels are known, compares
+ * the reads pixel by pixel and reports whether the noise changes per read or per session.
+ */
+class CanvasNoiseDetector {
+    constructor() {
+        this.sectionId = 'canvas-noise-info';
+        this.sectionTitle = 'Canvas Noise Detection';
+        this.noiseData = {
+            supported: false,
+            randomized: false,
+            mode: 'none'
+        };
+    }
+
+    /**
+     * Run the 2D canvas and WebGL read tests
+     * @returns {Promise<Object>} - Noise mode and magnitude per test
+     */
+    async detect() {
+        this._createSection();
+
+        const canvas = this._testCanvas();
+        const webgl = this._testWebGL();
+
+        const tests = [canvas, webgl].filter(test => test.supported);
+        const perRead = tests.some(test => test.perRead);
+        const perSession = tests.some(test => test.perSession);
+
+        Object.assign(this.noiseData, {
+            supported: tests.length > 0,
+            randomized: perRead || perSession,
+            mode: perRead ? 'per-read' : (perSession ? 'per-session' : 'none'),
+            canvas,
+            webgl
+        });
+
+        this._updateUI();
+        return this.noiseData;
+    }
+
+    /**
+     * Bot score component
+     * @returns {number|null} - 1 if canvas reads are randomized, null if nothing could be read
+     */
+    getBotScore() {
+        if (!this.noiseData.supported) return null;
+        return this.noiseData.randomized ? 1 : 0;
+    }
+
+    /**
+     * Create the canvas noise section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Render the scene several times and a solid color, and compare the 2D canvas reads
+     * Noise per read shows as renders that differ from each other, noise per session
+     * as identical renders whose solid color is off.
+     * @returns {Object} - {supported, perRead, perSession, reads, solid}
+     */
+    _testCanvas() {
+        try {
+            const reads = [];
+            const dataURLs = [];
+            for (let i = 0; i < CanvasNoiseDetector.RENDERS; i++) {
+                const canvas = this._drawScene();
+                if (!canvas) return { supported: false };
+                const ctx = canvas.getContext('2d');
+                reads.push(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+                dataURLs.push(canvas.toDataURL());
+            }
+
+            // The same canvas read a second time
+            const last = this._drawScene();
+            const lastCtx = last.getContext('2d');
+            reads.push(lastCtx.getImageData(0, 0, last.width, last.height).data);
+            reads.push(lastCtx.getImageData(0, 0, last.width, last.height).data);
+
+            const diffs = reads.slice(1).map(read => this._compare(reads[0], read));
+            const readDiff = this._worst(diffs);
+            const dataURLsDiffer = dataURLs.some(dataURL => dataURL !== dataURLs[0]);
+
+            const solid = this._testSolid();
+
+            return {
+                supported: true,
+                perRead: readDiff.pixels > 0 || dataURLsDiffer,
+                perSession: solid.pixels > 0,
+                dataURLsDiffer,
+                reads: readDiff,
+                solid
+            };
+        } catch (e) {
+            window.utils.log('Error in canvas noise test: ' + e.message, 'error');
+            return { supported: false, error: e.message };
+        }
+    }
+
+    /**
+     * Fill a canvas with one color and compare every pixel with it
+     * @returns {Object} - Difference from the expected pixels
+     */
+    _testSolid() {
+        const canvas = document.createElement('canvas');
+        canvas.width = CanvasNoiseDetector.WIDTH;
+        canvas.height = CanvasNoiseDetector.HEIGHT;
+        const ctx = canvas.getContext('2d');
+
+        const [r, g, b] = CanvasNoiseDetector.SOLID_COLOR;
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const read = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+        return this._compare(this._solidPixels(read.length, [r, g, b, 255]), read);
+    }
+
+    /**
+     * Draw the test scene: text, a gradient and overlapping shapes
+     * @returns {HTMLCanvasElement|null} - The canvas, null without a 2D context
+     */
+    _drawScene() {
+        const canvas = document.createElement('canvas');
+        canvas.width = CanvasNoiseDetector.WIDTH;
+        canvas.height = CanvasNoiseDetector.HEIGHT;
+        const ctx = canvas.getContext('2d');
+        if (!ctx || typeof ctx.getImageData !== 'function') return null;
+
+        const gradient = ctx.createLinearGradient(0, 0, canvas.width, 0);
+        gradient.addColorStop(0, 'rgb(255, 102, 0)');
+        gradient.addColorStop(1, 'rgb(0, 102, 255)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.font = '18px Arial';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'rgba(20, 20, 20, 0.9)';
+        ctx.fillText('Cwm fjordbank glyphs vext quiz 😃', 4, 8);
+
+        ctx.beginPath();
+        ctx.arc(60, 45, 14, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(0, 200, 120, 0.6)';
+        ctx.fill();
+
+        return canvas;
+    }
+
+    /**
+     * Clear a WebGL canvas to a known color and compare two pixel reads with it
+     * @returns {Object} - {supported, perRead, perSession, reads, solid}
+     */
+    _testWebGL() {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = CanvasNoiseDetector.WIDTH;
+            canvas.height = CanvasNoiseDetector.HEIGHT;
+            const gl = canvas.getContext('webgl', { preserveDrawingBuffer: true }) ||
+                canvas.getContext('experimental-webgl', { preserveDrawingBuffer: true });
+            if (!gl) return { supported: false };
+
+            const [r, g, b] = CanvasNoiseDetector.SOLID_COLOR;
+            gl.clearColor(r / 255, g / 255, b / 255, 1);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+
+            const read = () => {
+                const pixels = new Uint8Array(canvas.width * canvas.height * 4);
+                gl.readPixels(0, 0, canvas.width, canvas.height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+                return pixels;
+            };
+            const first = read();
+            const second = read();
+
+            const reads = this._compare(first, second);
+            const solid = this._compare(this._solidPixels(first.length, [r, g, b, 255]), first);
+
+            return {
+                supported: true,
+                perRead: reads.pixels > 0,
+                perSession: solid.pixels > 0,
+                reads,
+                solid
+            };
+        } catch (e) {
+            window.utils.log('Error in WebGL noise test: ' + e.message, 'error');
+            return { supported: false, error: e.message };
+        }
+    }
+
+    /**
+     * Pixel buffer filled with one RGBA color
+     */
+    _solidPixels(length, rgba) {
+        const pixels = new Uint8ClampedArray(length);
+        for (let i = 0; i < length; i++) {
+            pixels[i] = rgba[i % 4];
+        }
+        return pixels;
+    }
+
+    /**
+     * Compare two pixel buffers
+     * @returns {{pixels: number, share: number, meanDelta: number, maxDelta: number}} - Number and share
+     * of differing pixels, and the mean and largest channel difference over those pixels
+     */
+    _compare(expected, actual) {
+        let pixels = 0;
+        let deltaSum = 0;
+        let deltaCount = 0;
+        let maxDelta = 0;
+
+        const length = Math.min(expected.length, actual.length);
+        for (let i = 0; i < length; i += 4) {
+            let differs = false;
+            for (let c = 0; c < 4; c++) {
+                const delta = Math.abs(expected[i + c] - actual[i + c]);
+                if (delta > 0) {
+                    differs = true;
+                    deltaSum += delta;
+                    deltaCount++;
+                    maxDelta = Math.max(maxDelta, delta);
+                }
+            }
+            if (differs) pixels++;
+        }
+
+        return {
+            pixels,
+            share: length > 0 ? Math.round(pixels / (length / 4) * 10000) / 10000 : 0,
+            meanDelta: deltaCount > 0 ? Math.round(deltaSum / deltaCount * 100) / 100 : 0,
+            maxDelta
+        };
+    }
+
+    /**
+     * The comparison with the most differing pixels
+     */
+    _worst(diffs) {
+        return diffs.reduce((worst, diff) => (diff.pixels > worst.pixels ? diff : worst), diffs[0]);
+    }
+
+    /**
+     * Update the canvas noise section
+     */
+    _updateUI() {
+        const data = this.noiseData;
+        const describe = diff => (diff.pixels > 0
+            ? `${diff.pixels} pixels (${(diff.share * 100).toFixed(2)}%), mean channel delta ${diff.meanDelta}, max ${diff.maxDelta}`
+            : 'Identical');
+
+        if (!data.supported) {
+            window.utils.addInfo(this.sectionId, 'Canvas Noise Detection', 'Not available (no canvas pixel access)');
+            return;
+        }
+
+        window.utils.addInfo(this.sectionId, 'Canvas Randomized',
+            data.randomized ? `Yes, ${CanvasNoiseDetector.MODE_LABELS[data.mode]}` : 'No',
+            data.randomized ? 'negative-indicator' : 'positive-indicator');
+
+        if (data.canvas.supported) {
+            window.utils.addInfo(this.sectionId, '2D Repeated Renders', describe(data.canvas.reads));
+            window.utils.addInfo(this.sectionId, '2D Data URLs', data.canvas.dataURLsDiffer ? 'Differ' : 'Identical');
+            window.utils.addInfo(this.sectionId, '2D Solid Color', describe(data.canvas.solid));
+        }
+
+        if (data.webgl.supported) {
+            window.utils.addInfo(this.sectionId, 'WebGL Repeated Reads', describe(data.webgl.reads));
+            window.utils.addInfo(this.sectionId, 'WebGL Clear Color', describe(data.webgl.solid));
+        } else {
+            window.utils.addInfo(this.sectionId, 'WebGL Noise Test', 'Not available');
+        }
+    }
+}
+
+CanvasNoiseDetector.WIDTH = 120;
+CanvasNoiseDetector.HEIGHT = 60;
+
+// Renders of the scene on separate canvases
+CanvasNoiseDetector.RENDERS = 3;
+
+// Every channel is a multiple of 1/255, so WebGL clears to it exactly
+CanvasNoiseDetector.SOLID_COLOR = [51, 102, 153];
+
+CanvasNoiseDetector.MODE_LABELS = {
+    'per-read': 'noise changes on every read',
+    'per-session': 'constant noise for this session'
+};
+
+// Export the detector
+window.CanvasNoiseDetector = CanvasNoiseDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('canvasNoise', CanvasNoiseDetector, {
+    tab: 'tab-canvas',
+    title: 'Canvas Noise Detection',
+    sections: ['canvas-noise-info'],
+    weight: 0.1,
+    signals: {
+        supported: 'stable',
+        randomized: 'stable',
+        mode: 'stable'
+    }
+});
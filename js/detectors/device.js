@@ -12,14 +12,15 @@ class DeviceDetector {
 
     /**
      * Run all device detection tests
+     * @returns {Promise<Object>} - Collected device data, resolved once the battery status is known
      */
-    detect() {
+    async detect() {
         this._createSection();
         this._detectDeviceType();
         this._detectScreen();
         this._detectTouchscreen();
         this._detectMemory();
-        this._detectBattery();
+        await this._detectBattery();
         
         return this.deviceData;
     }
@@ -95,10 +96,11 @@ class DeviceDetector {
 
     /**
      * Detect battery status
+     * @returns {Promise<void>} - Resolves when the battery status has been read
      */
     _detectBattery() {
         if ('getBattery' in navigator) {
-            navigator.getBattery().then(battery => {
+            return navigator.getBattery().then(battery => {
                 this.deviceData.batteryLevel = battery.level;
                 this.deviceData.batteryCharging = battery.charging;
                 
@@ -109,9 +111,32 @@ class DeviceDetector {
             });
         } else {
             window.utils.addInfo(this.sectionId, 'Battery Status', 'API not supported');
+            return Promise.resolve();
         }
     }
 }
 
 // Export the detector
-window.DeviceDetector = DeviceDetector; 
\ No newline at end of file
+window.DeviceDetector = DeviceDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('device', DeviceDetector, {
+    tab: 'tab-device',
+    title: 'Device Information',
+    sections: ['device-info'],
+    signals: {
+        deviceType: 'stable',
+        touchScreen: 'stable',
+        maxTouchPoints: 'stable',
+        deviceMemory: 'stable',
+        width: 'semi-stable',
+        height: 'semi-stable',
+        availWidth: 'semi-stable',
+        availHeight: 'semi-stable',
+        colorDepth: 'semi-stable',
+        pixelRatio: 'semi-stable',
+        orientation: 'semi-stable',
+        batteryLevel: 'volatile',
+        batteryCharging: 'volatile'
+    }
+});
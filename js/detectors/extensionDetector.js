@@ -0,0 +1,245 @@
+/**
+ * Extension Detector Module
+ * Finds browser extensions by the traces listed in js/data/extensionSignatures.js:
+ * injected DOM nodes, page globals, patched prototypes, CSS side effects and
+ * web-accessible resources. Automation recorders (Selenium IDE, iMacros, UI.Vision)
+ * count towards the bot score.
+ */
+class ExtensionDetector {
+    constructor() {
+        this.sectionId = 'extension-info';
+        this.sectionTitle = 'Browser Extensions';
+        this.extensionData = {
+            signatures: 0,
+            detected: [],
+            categories: {},
+            automationRecorder: false
+        };
+    }
+
+    /**
+     * Check every signature now and again once extensions had time to decorate the page
+     * The first pass lets the bot detector, which runs alongside, already see recorders
+     * that were there from the start.
+     * @returns {Promise<Object>} - Detected extensions with the checks that matched, grouped by category
+     */
+    async detect() {
+        this._createSection();
+
+        const signatures = window.EXTENSION_SIGNATURES || [];
+        this.extensionData.signatures = signatures.length;
+        if (signatures.length === 0) {
+            window.utils.addInfo(this.sectionId, 'Extension Detection', 'No signatures loaded (js/data/extensionSignatures.js)');
+            return this.extensionData;
+        }
+
+        await this._scan(signatures);
+
+        // Content scripts run at document idle and decorate form fields after that
+        await new Promise(resolve => setTimeout(resolve, ExtensionDetector.SETTLE_TIME));
+        await this._scan(signatures);
+
+        this._updateUI();
+        return this.extensionData;
+    }
+
+    /**
+     * Bot score component
+     * @returns {number|null} - 1 if an automation recorder is installed, null without signatures
+     */
+    getBotScore() {
+        if (this.extensionData.signatures === 0) return null;
+        return this.extensionData.automationRecorder ? 1 : 0;
+    }
+
+    /**
+     * Create the extension section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Check the signatures and add new matches to the results
+     */
+    async _scan(signatures) {
+        const data = this.extensionData;
+
+        for (const signature of signatures) {
+            let matches = [];
+            try {
+                matches = await this._match(signature);
+            } catch (e) {
+                window.utils.log(`Error checking extension signature ${signature.id}: ${e.message}`, 'error');
+            }
+            if (matches.length === 0) continue;
+
+            const known = data.detected.find(extension => extension.id === signature.id);
+            if (known) {
+                known.matches = [...new Set(known.matches.concat(matches))];
+                continue;
+            }
+
+            data.detected.push({
+                id: signature.id,
+                name: signature.name,
+                category: signature.category,
+                matches
+            });
+            (data.categories[signature.category] = data.categories[signature.category] || []).push(signature.name);
+        }
+
+        data.automationRecorder = 'automationRecorder' in data.categories;
+    }
+
+    /**
+     * Run the checks of one signature
+     * @returns {Promise<string[]>} - Description of every check that matched
+     */
+    async _match(signature) {
+        const matches = [];
+
+        (signature.dom || []).forEach(selector => {
+            if (document.querySelector(selector)) matches.push(`DOM ${selector}`);
+        });
+
+        (signature.globals || []).forEach(name => {
+            if (name in window) matches.push(`Global ${name}`);
+        });
+
+        (signature.prototypes || []).forEach(entry => {
+            if (this._isPatched(entry.object, entry.property)) matches.push(`Patched ${entry.object}.${entry.property}`);
+        });
+
+        (signature.css || []).forEach(bait => {
+            if (this._testBait(bait)) matches.push(`CSS ${this._describeBait(bait)} has ${bait.property}: ${bait.value}`);
+        });
+
+        const loaded = await Promise.all((signature.resources || []).map(url => this._probeResource(url)));
+        loaded.forEach((found, index) => {
+            if (found) matches.push(`Resource ${signature.resources[index]}`);
+        });
+
+        return matches;
+    }
+
+    /**
+     * Whether a property was replaced by page script
+     * Native getters and methods stringify to "[native code]"; a native property never has
+     * an own descriptor on the navigator instance, so any own value there is a shadow.
+     * @param {string} objectPath - Dotted path from window, "window" for window itself
+     * @param {string} property - Property name
+     */
+    _isPatched(objectPath, property) {
+        const target = objectPath.split('.').reduce((object, key) => (key === 'window' || !object ? object : object[key]), window);
+        if (!target) return false;
+
+        const descriptor = Object.getOwnPropertyDescriptor(target, property);
+        if (!descriptor) return false;
+
+        const fn = descriptor.get || descriptor.value;
+        return typeof fn !== 'function' || !this._isNative(fn);
+    }
+
+    /**
+     * Whether a function is built into the browser
+     */
+    _isNative(fn) {
+        try {
+            return /\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(fn));
+        } catch (e) {
+            // Proxies around native functions can't be stringified in some engines
+            return false;
+        }
+    }
+
+    /**
+     * Insert a bait element off screen and read its computed style
+     * @returns {boolean} - True if the property has the value the extension's CSS gives it
+     */
+    _testBait(bait) {
+        const element = document.createElement(bait.tag || 'div');
+        if (bait.className) element.className = bait.className;
+        if (bait.id) element.id = bait.id;
+        element.innerHTML = '&nbsp;';
+        element.style.cssText = 'position: absolute; left: -10000px; top: -10000px; width: 1px; height: 1px;';
+
+        document.body.appendChild(element);
+        try {
+            const computed = window.getComputedStyle(element);
+            return !!computed && computed.getPropertyValue(bait.property) === bait.value;
+        } finally {
+            element.remove();
+        }
+    }
+
+    /**
+     * CSS selector of a bait element, for the match description
+     */
+    _describeBait(bait) {
+        const classes = bait.className ? '.' + bait.className.trim().split(/\s+/).join('.') : '';
+        return `${bait.tag || 'div'}${bait.id ? '#' + bait.id : ''}${classes}`;
+    }
+
+    /**
+     * Request a web-accessible extension resource
+     * Only Chromium uses fixed extension IDs; Firefox gives every install its own UUID.
+     * @returns {Promise<boolean>} - True if the resource loaded
+     */
+    async _probeResource(url) {
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), ExtensionDetector.RESOURCE_TIMEOUT);
+        });
+        const request = fetch(url, { cache: 'no-store' })
+            .then(response => response.ok)
+            .catch(() => false);
+        return Promise.race([request, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Update the extension section
+     */
+    _updateUI() {
+        const data = this.extensionData;
+        const labels = window.EXTENSION_CATEGORIES || {};
+
+        window.utils.addInfo(this.sectionId, 'Extensions Detected',
+            data.detected.length > 0 ? data.detected.map(extension => extension.name).join(', ') : 'None',
+            data.automationRecorder ? 'negative-indicator' : '');
+
+        Object.keys(data.categories).forEach(category => {
+            window.utils.addInfo(this.sectionId, labels[category] || category, data.categories[category].join(', '),
+                category === 'automationRecorder' ? 'negative-indicator' : 'warning-indicator');
+        });
+
+        data.detected.forEach(extension => {
+            window.utils.addInfo(this.sectionId, `${extension.name} Evidence`, extension.matches.join('; '));
+        });
+
+        window.utils.addInfo(this.sectionId, 'Signatures Checked', data.signatures);
+    }
+}
+
+// Milliseconds to wait for content scripts before checking
+ExtensionDetector.SETTLE_TIME = 1000;
+
+// Milliseconds to wait for each resource probe
+ExtensionDetector.RESOURCE_TIMEOUT = 1000;
+
+// Export the detector
+window.ExtensionDetector = ExtensionDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('extensions', ExtensionDetector, {
+    tab: 'tab-browser',
+    title: 'Browser Extensions',
+    sections: ['extension-info'],
+    weight: 0.2,
+    signals: {
+        signatures: 'stable',
+        detected: 'semi-stable',
+        categories: 'semi-stable',
+        automationRecorder: 'semi-stable'
+    }
+});
@@ -0,0 +1,404 @@
+/**
+ * Font Detector Module
+ * Enumerates installed fonts by measuring text set in each candidate font against
+ * the generic fallback families, groups them by the OS or application font pack
+ * they ship with, and checks the font set against the OS the system detector found.
+ * Also reports font smoothing and CSS font feature support.
+ */
+class FontDetector {
+    constructor() {
+        this.sectionId = 'font-info';
+        this.sectionTitle = 'Font Information';
+        this.fontData = {};
+    }
+
+    /**
+     * Run all font detection tests
+     * @param {Object} context - Detector context provided by the orchestrator
+     * @returns {Promise<Object>} - Collected font data
+     */
+    async detect(context = {}) {
+        const systemData = context.results ? context.results.system : null;
+
+        this._createSection();
+        this._detectFonts();
+        this._detectPlatforms(systemData ? systemData.os : null);
+        this._detectFontSmoothing();
+        this._detectCssFontFeatures();
+
+        return this.fontData;
+    }
+
+    /**
+     * Create the font info section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Detect installed fonts
+     * Text set in "Font, fallback" measures like the fallback alone unless the font is
+     * installed. Three fallbacks catch fonts whose metrics happen to match one of them.
+     */
+    _detectFonts() {
+        const ctx = this._getContext();
+        if (!ctx || typeof ctx.measureText !== 'function') {
+            this.fontData.supported = false;
+            window.utils.addInfo(this.sectionId, 'Font Detection', 'Not available (no canvas text metrics)');
+            return;
+        }
+
+        const measure = font => {
+            ctx.font = `${FontDetector.TEST_SIZE} ${font}`;
+            return ctx.measureText(FontDetector.TEST_STRING).width;
+        };
+        const baseWidths = FontDetector.FALLBACKS.map(measure);
+        const installed = new Set();
+
+        Object.keys(FontDetector.FONT_PACKS).forEach(packName => {
+            FontDetector.FONT_PACKS[packName].fonts.forEach(font => {
+                if (installed.has(font)) return;
+                const found = FontDetector.FALLBACKS.some((fallback, i) => measure(`"${font}", ${fallback}`) !== baseWidths[i]);
+                if (found) installed.add(font);
+            });
+        });
+
+        const packs = {};
+        Object.keys(FontDetector.FONT_PACKS).forEach(packName => {
+            const fonts = FontDetector.FONT_PACKS[packName].fonts;
+            const found = fonts.filter(font => installed.has(font));
+            packs[packName] = { found: found.length, total: fonts.length, fonts: found };
+        });
+
+        const detected = Array.from(installed).sort();
+        this.fontData.supported = true;
+        this.fontData.detected = detected;
+        this.fontData.count = detected.length;
+        this.fontData.tested = FontDetector.countFonts();
+        this.fontData.packs = packs;
+        this.fontData.hash = window.utils.generateFingerprint({ fonts: detected.join(',') });
+
+        window.utils.addInfo(this.sectionId, 'Fonts Detected', `${detected.length} of ${this.fontData.tested} tested`);
+        window.utils.addInfo(this.sectionId, 'Font Set Hash', this.fontData.hash);
+
+        Object.keys(packs).forEach(packName => {
+            const pack = packs[packName];
+            if (pack.found === 0) return;
+            window.utils.addInfo(this.sectionId, FontDetector.FONT_PACKS[packName].label,
+                `${pack.found}/${pack.total}: ${pack.fonts.join(', ')}`);
+        });
+    }
+
+    /**
+     * Work out which OS the font set points to and compare it with the reported OS
+     * Only packs that ship with a single OS count. Fonts installed by Office, Adobe or
+     * LibreOffice exist on several systems, and fontconfig aliases Arial, Times, Helvetica,
+     * Palatino and similar names to metric-compatible fonts on Linux, so those prove nothing.
+     * @param {string|null} reportedOS - OS found by the system detector
+     */
+    _detectPlatforms(reportedOS) {
+        if (!this.fontData.supported) return;
+
+        // A family counts by its best covered pack, distributions ship different subsets
+        const platforms = {};
+        Object.keys(FontDetector.FONT_PACKS).forEach(packName => {
+            const pack = FontDetector.FONT_PACKS[packName];
+            if (!pack.os) return;
+
+            const found = this.fontData.packs[packName];
+            const share = Math.round(found.found / found.total * 100) / 100;
+            platforms[pack.os] = Math.max(platforms[pack.os] || 0, share);
+        });
+
+        const fontOS = Object.keys(platforms).filter(os => platforms[os] >= FontDetector.OS_THRESHOLD);
+        const family = reportedOS ? UAConsistencyEngine.osFamily(reportedOS) : null;
+        const contradiction = !!family && family in platforms && fontOS.length > 0 && !fontOS.includes(family);
+
+        this.fontData.platforms = platforms;
+        this.fontData.fontOS = fontOS;
+        this.fontData.osContradiction = contradiction;
+
+        window.utils.addInfo(this.sectionId, 'Font Set Platform',
+            fontOS.length > 0 ? fontOS.join(', ') : 'Undetermined');
+
+        if (family && family in platforms) {
+            window.utils.addInfo(this.sectionId, 'Matches Reported OS',
+                contradiction
+                    ? `No: ${reportedOS} reported, but the fonts belong to ${fontOS.join(' and ')}`
+                    : (fontOS.length > 0 ? 'Yes' : 'Undetermined'),
+                contradiction ? 'negative-indicator' : (fontOS.length > 0 ? 'positive-indicator' : ''));
+        }
+    }
+
+    /**
+     * Detect font smoothing
+     * Subpixel antialiasing (ClearType, LCD smoothing) draws black text with colored
+     * fringes, grayscale antialiasing with gray pixels, and none with pure black and white.
+     */
+    _detectFontSmoothing() {
+        let smoothing = 'Not available';
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = 60;
+            canvas.height = 30;
+            const ctx = canvas.getContext('2d');
+            if (ctx) {
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.fillStyle = '#000';
+                ctx.font = '16px sans-serif';
+                ctx.fillText('Wj@g', 4, 20);
+
+                const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+                let colored = false;
+                let gray = false;
+                for (let i = 0; i < pixels.length; i += 4) {
+                    const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+                    if (r !== g || g !== b) {
+                        colored = true;
+                        break;
+                    }
+                    if (r !== 0 && r !== 255) gray = true;
+                }
+                smoothing = colored ? 'Subpixel' : (gray ? 'Grayscale' : 'None');
+            }
+        } catch (e) {
+            window.utils.log('Error detecting font smoothing: ' + e.message, 'error');
+        }
+
+        this.fontData.fontSmoothing = smoothing;
+        window.utils.addInfo(this.sectionId, 'Font Smoothing', smoothing);
+    }
+
+    /**
+     * Detect support for CSS font features
+     */
+    _detectCssFontFeatures() {
+        const features = {};
+        Object.keys(FontDetector.CSS_FEATURES).forEach(property => {
+            try {
+                features[property] = !!(window.CSS && CSS.supports && CSS.supports(property, FontDetector.CSS_FEATURES[property]));
+            } catch (e) {
+                features[property] = false;
+            }
+        });
+
+        this.fontData.cssFeatures = features;
+        const supported = Object.keys(features).filter(property => features[property]);
+        window.utils.addInfo(this.sectionId, 'CSS Font Features',
+            `${supported.length}/${Object.keys(features).length}: ${supported.join(', ') || 'none'}`);
+    }
+
+    /**
+     * Get a 2D context for text measurements
+     */
+    _getContext() {
+        try {
+            return document.createElement('canvas').getContext('2d');
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+FontDetector.TEST_STRING = 'mmmmmmmmmmlli10OQ@WwÅß';
+FontDetector.TEST_SIZE = '72px';
+FontDetector.FALLBACKS = ['monospace', 'sans-serif', 'serif'];
+
+// Share of an OS pack that has to be installed before the font set counts as that OS family
+FontDetector.OS_THRESHOLD = 0.3;
+
+FontDetector.CSS_FEATURES = {
+    'font-feature-settings': '"liga" 1',
+    'font-variant-ligatures': 'no-common-ligatures',
+    'font-variant-numeric': 'tabular-nums',
+    'font-variant-east-asian': 'full-width',
+    'font-kerning': 'normal',
+    'font-variation-settings': '"wght" 400',
+    'font-optical-sizing': 'auto',
+    'font-synthesis': 'none',
+    'font-palette': 'light',
+    'font-size-adjust': '0.5',
+    'text-rendering': 'optimizeLegibility',
+    '-webkit-font-smoothing': 'antialiased'
+};
+
+/**
+ * Candidate fonts grouped by the pack they ship with
+ * `os` marks packs that only ship with that OS (family as in UAConsistencyEngine.osFamily);
+ * the others are installed by applications or exist on several systems.
+ */
+FontDetector.FONT_PACKS = {
+    webCore: {
+        label: 'Core Web Fonts',
+        fonts: [
+            'Arial', 'Arial Black', 'Comic Sans MS', 'Courier New', 'Georgia', 'Impact',
+            'Times New Roman', 'Trebuchet MS', 'Verdana', 'Webdings', 'Tahoma', 'Andale Mono', 'Microsoft Sans Serif'
+        ]
+    },
+    windows: {
+        label: 'Windows',
+        os: 'Windows',
+        fonts: [
+            'Bahnschrift', 'Calibri', 'Cambria', 'Cambria Math', 'Candara', 'Consolas', 'Constantia',
+            'Corbel', 'Ebrima', 'Franklin Gothic Medium', 'Gabriola', 'Gadugi', 'HoloLens MDL2 Assets',
+            'Ink Free', 'Javanese Text', 'Leelawadee UI', 'Lucida Console', 'Lucida Sans Unicode',
+            'Malgun Gothic', 'Marlett', 'Microsoft Himalaya', 'Microsoft JhengHei', 'Microsoft New Tai Lue',
+            'Microsoft PhagsPa', 'Microsoft Tai Le', 'Microsoft YaHei',
+            'Microsoft Yi Baiti', 'MingLiU-ExtB', 'Mongolian Baiti', 'MS Gothic', 'MS PGothic',
+            'MS UI Gothic', 'MV Boli', 'Myanmar Text', 'Nirmala UI', 'Palatino Linotype', 'Segoe MDL2 Assets',
+            'Segoe Print', 'Segoe Script', 'Segoe UI', 'Segoe UI Emoji', 'Segoe UI Historic',
+            'Segoe UI Symbol', 'SimSun', 'NSimSun', 'SimSun-ExtB', 'Sitka Text', 'Sylfaen', 'Yu Gothic',
+            'Yu Gothic UI', 'Wingdings', 'Meiryo', 'Meiryo UI', 'Gulim', 'Batang', 'MS Mincho', 'Estrangelo Edessa',
+            'Raavi', 'Shruti', 'Tunga', 'Vrinda', 'Kartika', 'Latha', 'Mangal', 'Gautami', 'Iskoola Pota',
+            'Kalinga', 'Shonar Bangla', 'Vani', 'Aparajita', 'Kokila', 'Utsaah', 'DokChampa', 'Euphemia',
+            'Plantagenet Cherokee', 'Microsoft Uighur', 'Traditional Arabic', 'Simplified Arabic', 'Arabic Typesetting'
+        ]
+    },
+    windows11: {
+        label: 'Windows 11',
+        os: 'Windows',
+        fonts: ['Segoe UI Variable', 'Segoe UI Variable Display', 'Segoe UI Variable Text', 'Segoe Fluent Icons', 'Cascadia Code', 'Cascadia Mono']
+    },
+    office: {
+        label: 'Microsoft Office',
+        fonts: [
+            'Agency FB', 'Algerian', 'Aptos', 'Arial Narrow', 'Arial Rounded MT Bold', 'Baskerville Old Face',
+            'Bauhaus 93', 'Bell MT', 'Berlin Sans FB', 'Bernard MT Condensed', 'Blackadder ITC', 'Bodoni MT',
+            'Book Antiqua', 'Bookman Old Style', 'Bradley Hand ITC', 'Britannic Bold', 'Broadway',
+            'Brush Script MT', 'Calibri Light', 'Californian FB', 'Calisto MT', 'Castellar', 'Centaur',
+            'Century', 'Century Gothic', 'Century Schoolbook', 'Chiller', 'Colonna MT', 'Cooper Black',
+            'Copperplate Gothic Bold', 'Curlz MT', 'Dubai', 'Edwardian Script ITC', 'Elephant', 'Engravers MT',
+            'Eras Bold ITC', 'Felix Titling', 'Footlight MT Light', 'Forte', 'Freestyle Script', 'French Script MT',
+            'Garamond', 'Gigi', 'Gill Sans MT', 'Gloucester MT Extra Condensed', 'Goudy Old Style',
+            'Haettenschweiler', 'Harlow Solid Italic', 'Harrington', 'High Tower Text', 'Imprint MT Shadow',
+            'Informal Roman', 'Jokerman', 'Juice ITC', 'Kristen ITC', 'Kunstler Script', 'Lucida Bright',
+            'Lucida Calligraphy', 'Lucida Fax', 'Lucida Handwriting', 'Magneto', 'Maiandra GD',
+            'Matura MT Script Capitals', 'Mistral', 'Modern No. 20', 'Monotype Corsiva', 'Niagara Solid',
+            'OCR A Extended', 'Old English Text MT', 'Onyx', 'Palace Script MT', 'Parchment', 'Perpetua',
+            'Playbill', 'Poor Richard', 'Pristina', 'Rage Italic', 'Ravie', 'Rockwell', 'Script MT Bold',
+            'Showcard Gothic', 'Snap ITC', 'Stencil', 'Tempus Sans ITC', 'Tw Cen MT', 'Viner Hand ITC',
+            'Vivaldi', 'Vladimir Script', 'Wide Latin', 'Grandview', 'Seaford', 'Skeena', 'Tenorite'
+        ]
+    },
+    macOS: {
+        label: 'macOS / iOS',
+        os: 'macOS',
+        fonts: [
+            'American Typewriter', 'Apple Braille', 'Apple Chancery', 'Apple Color Emoji', 'Apple SD Gothic Neo',
+            'Apple Symbols', 'AppleGothic', 'AppleMyungjo', 'Avenir', 'Avenir Next', 'Avenir Next Condensed',
+            'Baskerville', 'Big Caslon', 'Bodoni 72', 'Bodoni 72 Oldstyle', 'Bradley Hand', 'Chalkboard',
+            'Chalkboard SE', 'Chalkduster', 'Charter', 'Cochin', 'Copperplate', 'Didot', 'DIN Alternate',
+            'DIN Condensed', 'Euphemia UCAS', 'Futura', 'Geneva', 'Gill Sans', 'Helvetica Neue', 'Herculanum',
+            'Hoefler Text', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN', 'Hiragino Mincho ProN', 'Heiti SC',
+            'Heiti TC', 'Songti SC', 'PingFang SC', 'PingFang TC', 'PingFang HK', 'Kailasa', 'Kohinoor Devanagari',
+            'Krungthep', 'Lucida Grande', 'Luminari', 'Marker Felt', 'Menlo', 'Monaco', 'Mshtakan', 'Noteworthy',
+            'Optima', 'Party LET', 'Phosphate', 'PT Mono', 'Savoye LET', 'SignPainter', 'Skia',
+            'Snell Roundhand', 'STIXGeneral', 'Superclarendon', 'Thonburi', 'Trattatello', 'Zapfino',
+            'Academy Engraved LET', 'Al Nile', 'Arial Hebrew', 'Ayuthaya', 'Baghdad', 'Bangla MN', 'Beirut',
+            'Corsiva Hebrew', 'Damascus', 'DecoType Naskh', 'Devanagari MT', 'Diwan Kufi', 'Farah', 'Farisi',
+            'Geeza Pro', 'Gujarati MT', 'Gurmukhi MN', 'InaiMathi', 'ITF Devanagari', 'Kannada MN', 'Khmer MN',
+            'Lao MN', 'Malayalam MN', 'Marion', 'Muna', 'Myanmar MN', 'Nadeem', 'New Peninsula', 'Oriya MN',
+            'Raanana', 'Sana', 'Sathu', 'Silom', 'Sinhala MN', 'STSong', 'Tamil MN',
+            'Telugu MN', 'Waseem'
+        ]
+    },
+    linux: {
+        label: 'Linux',
+        os: 'Linux',
+        fonts: [
+            'DejaVu Sans', 'DejaVu Sans Mono', 'DejaVu Serif', 'DejaVu Sans Condensed', 'DejaVu Serif Condensed',
+            'Liberation Sans', 'Liberation Serif', 'Liberation Mono', 'Liberation Sans Narrow', 'FreeSans',
+            'FreeSerif', 'FreeMono', 'Nimbus Sans', 'Nimbus Sans L', 'Nimbus Roman', 'Nimbus Roman No9 L',
+            'Nimbus Mono PS', 'Nimbus Mono L', 'URW Bookman', 'URW Gothic', 'URW Palladio L', 'C059', 'P052', 'Z003',
+            'Standard Symbols PS', 'Bitstream Vera Sans', 'Bitstream Vera Sans Mono', 'Bitstream Vera Serif',
+            'Bitstream Charter', 'Courier 10 Pitch', 'Century Schoolbook L', 'Luxi Sans', 'Luxi Serif', 'Luxi Mono',
+            'Noto Mono', 'Lohit Devanagari', 'Lohit Tamil', 'Lohit Bengali', 'Khmer OS', 'Padauk', 'Abyssinica SIL',
+            'Tlwg Typo', 'Kinnari', 'Garuda', 'Loma', 'Purisa', 'Umpush', 'Waree', 'Sawasdee', 'Norasi', 'Mukti Narrow',
+            'Pothana2000', 'Vemana2000', 'Samyak Devanagari', 'Jamrul', 'Likhan', 'KacstOne', 'AR PL UMing CN',
+            'AR PL UKai CN', 'WenQuanYi Micro Hei', 'WenQuanYi Zen Hei', 'Takao Gothic', 'IPAGothic', 'UnDotum',
+            'Baekmuk Dotum', 'Symbola', 'Gargi', 'Sarai'
+        ]
+    },
+    ubuntu: {
+        label: 'Ubuntu',
+        os: 'Linux',
+        fonts: ['Ubuntu', 'Ubuntu Mono', 'Ubuntu Condensed', 'Ubuntu Light', 'Ubuntu Sans', 'Ubuntu Sans Mono']
+    },
+    gnome: {
+        label: 'Fedora / GNOME',
+        os: 'Linux',
+        fonts: [
+            'Cantarell', 'Adwaita Sans', 'Adwaita Mono', 'Red Hat Display', 'Red Hat Text', 'Red Hat Mono',
+            'Overpass', 'Overpass Mono', 'Source Han Sans CN', 'Google Crosextra Carlito', 'Google Crosextra Caladea'
+        ]
+    },
+    kde: {
+        label: 'KDE',
+        os: 'Linux',
+        fonts: ['Oxygen', 'Oxygen Mono', 'Hack', 'Fira Sans', 'Fira Mono', 'Inter']
+    },
+    android: {
+        label: 'Android / Chrome OS',
+        fonts: [
+            'Roboto', 'Roboto Mono', 'Roboto Condensed', 'Roboto Slab', 'Noto Sans', 'Noto Serif', 'Noto Color Emoji',
+            'Noto Sans CJK SC', 'Noto Sans Mono', 'Droid Sans', 'Droid Sans Mono', 'Droid Serif', 'Droid Sans Fallback',
+            'Cutive Mono', 'Coming Soon', 'Dancing Script', 'Carrois Gothic SC'
+        ]
+    },
+    libreOffice: {
+        label: 'LibreOffice',
+        fonts: [
+            'Linux Libertine G', 'Linux Biolinum G', 'Linux Libertine O', 'Linux Biolinum O', 'Carlito', 'Caladea',
+            'Gentium Basic', 'Gentium Book Basic', 'Alef', 'Amiri', 'Frank Ruehl CLM', 'David CLM', 'Miriam CLM',
+            'Miriam Mono CLM', 'KacstBook', 'Reem Kufi', 'Rubik', 'Scheherazade', 'OpenSymbol', 'EmojiOne Color',
+            'Karla', 'Noto Kufi Arabic', 'Source Sans Pro', 'Source Serif Pro'
+        ]
+    },
+    adobe: {
+        label: 'Adobe',
+        fonts: [
+            'Adobe Arabic', 'Adobe Caslon Pro', 'Adobe Devanagari', 'Adobe Fan Heiti Std', 'Adobe Garamond Pro',
+            'Adobe Gothic Std', 'Adobe Hebrew', 'Adobe Heiti Std', 'Adobe Kaiti Std', 'Adobe Ming Std',
+            'Adobe Myungjo Std', 'Adobe Song Std', 'Birch Std', 'Blackoak Std', 'Brush Script Std', 'Chaparral Pro',
+            'Charlemagne Std', 'Cooper Std', 'Giddyup Std', 'Hobo Std', 'Kozuka Gothic Pr6N', 'Kozuka Mincho Pr6N',
+            'Letter Gothic Std', 'Lithos Pro', 'Mesquite Std', 'Minion Pro', 'Myriad Arabic', 'Myriad Hebrew',
+            'Myriad Pro', 'Nueva Std', 'OCR A Std', 'Orator Std', 'Poplar Std', 'Prestige Elite Std', 'Rosewood Std',
+            'Stencil Std', 'Tekton Pro', 'Trajan Pro', 'Source Code Pro'
+        ]
+    }
+};
+
+/**
+ * Number of distinct candidate fonts
+ */
+FontDetector.countFonts = function() {
+    const fonts = new Set();
+    Object.values(FontDetector.FONT_PACKS).forEach(pack => pack.fonts.forEach(font => fonts.add(font)));
+    return fonts.size;
+};
+
+// Export the detector
+window.FontDetector = FontDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('fonts', FontDetector, {
+    tab: 'tab-browser',
+    title: 'Font Information',
+    sections: ['font-info'],
+    // Compares the font set with the OS found by the system detector, when it runs
+    optionalDependencies: ['system'],
+    signals: {
+        supported: 'stable',
+        detected: 'stable',
+        count: 'stable',
+        tested: 'stable',
+        packs: 'stable',
+        hash: 'stable',
+        platforms: 'stable',
+        fontOS: 'stable',
+        fontSmoothing: 'semi-stable',
+        cssFeatures: 'stable'
+    }
+});
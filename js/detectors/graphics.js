@@ -12,8 +12,9 @@ class GraphicsDetector {
 
     /**
      * Run all graphics detection tests
+     * @returns {Promise<Object>} - Collected graphics data
      */
-    detect() {
+    async detect() {
         this._createSection();
         this._detectWebGL();
         this._detectCanvas();
@@ -259,4 +260,26 @@ class GraphicsDetector {
 }
 
 // Export the detector
-window.GraphicsDetector = GraphicsDetector; 
\ No newline at end of file
+window.GraphicsDetector = GraphicsDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('graphics', GraphicsDetector, {
+    tab: 'tab-graphics',
+    title: 'Graphics Information',
+    sections: ['graphics-info', 'hardware-accel', 'color-depth-info'],
+    signals: {
+        webglSupported: 'stable',
+        canvasSupported: 'stable',
+        canvasFingerprint: 'stable',
+        glVendor: 'stable',
+        glRenderer: 'stable',
+        glVersion: 'stable',
+        shadingLanguage: 'stable',
+        maxTextureSize: 'stable',
+        hardwareAccelerated: 'stable',
+        colorDepth: 'semi-stable',
+        cssColorDepth: 'semi-stable',
+        rdpDetected: 'semi-stable',
+        rdpConfidence: 'semi-stable'
+    }
+});
@@ -0,0 +1,307 @@
+/**
+ * JavaScript Engine Module
+ * Fingerprints the engine behind the page rather than the browser it claims to be:
+ * Intl resolved options, Math precision, Error.stack and error message formats,
+ * Function.prototype.toString output and the supported ECMAScript features. A spoofed
+ * user agent changes none of these, so the consistency engine checks the claimed
+ * browser and version against them.
+ */
+class JSEngineDetector {
+    constructor() {
+        this.sectionId = 'js-engine-info';
+        this.sectionTitle = 'JavaScript Engine';
+        this.engineData = {};
+    }
+
+    /**
+     * Collect the engine traits, Math and Intl outputs and the feature set
+     * @returns {Promise<Object>} - Engine, the traits it was derived from, version bounds, hashes and feature support
+     */
+    async detect() {
+        this._createSection();
+
+        const traits = this._detectTraits();
+        const features = this._detectFeatures();
+        const engine = this._identifyEngine(traits);
+        const math = this._detectMath();
+        const intl = this._detectIntl();
+
+        Object.assign(this.engineData, {
+            engine,
+            jsEngine: JSEngineDetector.JS_ENGINES[engine] || 'Unknown',
+            traits,
+            features,
+            versionBounds: engine === 'Unknown' ? null : this._versionBounds(engine, features),
+            stackTraceLimit: typeof Error.stackTraceLimit === 'number' ? Error.stackTraceLimit : null,
+            math,
+            mathHash: window.utils.generateFingerprint(math),
+            intl,
+            intlHash: window.utils.generateFingerprint(intl)
+        });
+
+        this._updateUI();
+        return this.engineData;
+    }
+
+    /**
+     * Create the engine section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Traits that differ between V8, SpiderMonkey and JavaScriptCore
+     * @returns {Object[]} - {id, title, value, engines}, engines being the browser engines the value occurs in
+     */
+    _detectTraits() {
+        const traits = [];
+        const add = (id, title, value, engines) => {
+            if (engines) traits.push({ id, title, value, engines });
+        };
+
+        let error;
+        try {
+            // A named function, so every engine puts a frame in the stack
+            (function fingerprintStack() { throw new Error('probe'); })();
+        } catch (e) {
+            error = e;
+        }
+        const stack = String(error.stack || '');
+        const stackLine = stack.split('\n').find(line => line.includes('fingerprintStack')) || '';
+        add('stackFormat', 'Error.stack format', stackLine.trim(),
+            /^\s+at /.test(stackLine) ? ['Blink'] : /@/.test(stackLine) ? ['Gecko', 'WebKit'] : null);
+
+        // SpiderMonkey adds fileName and columnNumber, JavaScriptCore line and sourceURL
+        const own = ['fileName', 'columnNumber', 'line', 'sourceURL'].filter(name => name in error);
+        add('errorProperties', 'Error properties', own.join(', ') || 'none',
+            own.includes('columnNumber') ? ['Gecko'] : own.includes('sourceURL') ? ['WebKit'] : own.length === 0 ? ['Blink'] : null);
+
+        let message = '';
+        try {
+            const value = null;
+            value.probe;
+        } catch (e) {
+            message = e.message;
+        }
+        add('nullAccess', 'Null property access message', message,
+            /^Cannot read propert/.test(message) ? ['Blink'] :
+                /is null$|has no properties/.test(message) ? ['Gecko'] :
+                    /is not an object/.test(message) ? ['WebKit'] : null);
+
+        const native = Function.prototype.toString.call(Math.max);
+        add('nativeToString', 'Native function source', native,
+            /\{ \[native code\] \}$/.test(native) ? ['Blink'] : /\{\n\s+\[native code\]\n\}$/.test(native) ? ['Gecko', 'WebKit'] : null);
+
+        const gecko = typeof window.InstallTrigger !== 'undefined' ||
+            !!(window.CSS && CSS.supports && CSS.supports('-moz-appearance', 'none'));
+        add('browserObjects', 'Browser objects',
+            window.chrome ? 'window.chrome' : gecko ? 'Gecko CSS' : window.safari ? 'window.safari' : 'none',
+            window.chrome ? ['Blink'] : gecko ? ['Gecko'] : window.safari ? ['WebKit'] : null);
+
+        return traits;
+    }
+
+    /**
+     * The engine every trait agrees on
+     * @returns {string} - Blink, Gecko or WebKit, Unknown if the traits contradict each other
+     */
+    _identifyEngine(traits) {
+        if (traits.length === 0) return 'Unknown';
+        const common = traits.reduce((engines, trait) => engines.filter(engine => trait.engines.includes(engine)),
+            Object.keys(JSEngineDetector.JS_ENGINES));
+        return common.length === 1 ? common[0] : 'Unknown';
+    }
+
+    /**
+     * Check every ECMAScript feature in JSEngineDetector.ES_FEATURES
+     * @returns {Object} - Feature name to support
+     */
+    _detectFeatures() {
+        const features = {};
+        JSEngineDetector.ES_FEATURES.forEach(feature => {
+            try {
+                features[feature.name] = !!feature.test();
+            } catch (e) {
+                features[feature.name] = false;
+            }
+        });
+        return features;
+    }
+
+    /**
+     * Browser versions the feature set fits, from the release that shipped each feature
+     * @returns {{browser: string, supported: Object|null, missing: Object|null}} - The newest supported and the
+     * oldest missing feature as {feature, version}; the browser is at least the first and older than the second
+     */
+    _versionBounds(engine, features) {
+        const browser = JSEngineDetector.VERSION_BROWSERS[engine];
+        let supported = null;
+        let missing = null;
+
+        JSEngineDetector.ES_FEATURES.forEach(feature => {
+            const version = feature.versions[browser];
+            if (!version) return;
+            if (features[feature.name]) {
+                if (!supported || version > supported.version) supported = { feature: feature.name, version };
+            } else if (!missing || version < missing.version) {
+                missing = { feature: feature.name, version };
+            }
+        });
+
+        return { browser, supported, missing };
+    }
+
+    /**
+     * Results of the Math functions whose last digits depend on the engine's math library
+     */
+    _detectMath() {
+        const math = {};
+        JSEngineDetector.MATH_PROBES.forEach(([name, probe]) => {
+            try {
+                math[name] = probe();
+            } catch (e) {
+                math[name] = null;
+            }
+        });
+        return math;
+    }
+
+    /**
+     * Resolved Intl options and sample output per locale
+     * The ICU version bundled with the engine decides which locales, calendars and
+     * numbering systems resolve, and the exact characters of the formatted output.
+     */
+    _detectIntl() {
+        if (typeof Intl === 'undefined') return null;
+
+        const intl = {};
+        const sampleDate = new Date(Date.UTC(2020, 0, 15, 13, 45));
+        JSEngineDetector.INTL_LOCALES.forEach(locale => {
+            try {
+                const dateFormat = new Intl.DateTimeFormat(locale, { timeZone: 'UTC', dateStyle: 'medium', timeStyle: 'short' });
+                const dateOptions = dateFormat.resolvedOptions();
+                const numberFormat = new Intl.NumberFormat(locale);
+                const collator = new Intl.Collator(locale).resolvedOptions();
+                const plurals = new Intl.PluralRules(locale).resolvedOptions();
+
+                intl[locale] = {
+                    locale: dateOptions.locale,
+                    calendar: dateOptions.calendar,
+                    numberingSystem: numberFormat.resolvedOptions().numberingSystem,
+                    hourCycle: dateOptions.hourCycle || null,
+                    collation: collator.collation,
+                    pluralCategories: (plurals.pluralCategories || []).join(','),
+                    date: dateFormat.format(sampleDate),
+                    number: numberFormat.format(1234567.891)
+                };
+            } catch (e) {
+                intl[locale] = null;
+            }
+        });
+        return intl;
+    }
+
+    /**
+     * Update the engine section
+     */
+    _updateUI() {
+        const data = this.engineData;
+
+        window.utils.addInfo(this.sectionId, 'Engine',
+            data.engine === 'Unknown' ? 'Unknown (traits disagree)' : `${data.jsEngine} (${data.engine})`,
+            data.engine === 'Unknown' ? 'warning-indicator' : '');
+        data.traits.forEach(trait => {
+            window.utils.addInfo(this.sectionId, trait.title, `${trait.value} (${trait.engines.join(' or ')})`);
+        });
+
+        const bounds = data.versionBounds;
+        if (bounds && (bounds.supported || bounds.missing)) {
+            const from = bounds.supported ? `${bounds.browser} ${bounds.supported.version}+ (${bounds.supported.feature})` : '';
+            const to = bounds.missing ? `before ${bounds.browser} ${bounds.missing.version} (no ${bounds.missing.feature})` : '';
+            window.utils.addInfo(this.sectionId, 'Feature Version Range', [from, to].filter(Boolean).join(', '));
+        }
+
+        const supported = Object.keys(data.features).filter(name => data.features[name]);
+        window.utils.addInfo(this.sectionId, 'ECMAScript Features', `${supported.length} of ${Object.keys(data.features).length}`);
+        if (data.stackTraceLimit !== null) {
+            window.utils.addInfo(this.sectionId, 'Error.stackTraceLimit', data.stackTraceLimit);
+        }
+        window.utils.addInfo(this.sectionId, 'Math Hash', data.mathHash);
+        window.utils.addInfo(this.sectionId, 'Intl Hash', data.intl ? data.intlHash : 'Intl not supported');
+    }
+}
+
+// JavaScript engine of each browser engine
+JSEngineDetector.JS_ENGINES = {
+    Blink: 'V8',
+    Gecko: 'SpiderMonkey',
+    WebKit: 'JavaScriptCore'
+};
+
+// Browser whose version numbers ES_FEATURES lists for each engine
+JSEngineDetector.VERSION_BROWSERS = {
+    Blink: 'Chrome',
+    Gecko: 'Firefox',
+    WebKit: 'Safari'
+};
+
+// ECMAScript and platform features with the first release that shipped them
+JSEngineDetector.ES_FEATURES = [
+    { name: 'Array.prototype.at', test: () => Array.prototype.at, versions: { Chrome: 92, Firefox: 90, Safari: 15.4 } },
+    { name: 'Object.hasOwn', test: () => Object.hasOwn, versions: { Chrome: 93, Firefox: 92, Safari: 15.4 } },
+    { name: 'Array.prototype.findLast', test: () => Array.prototype.findLast, versions: { Chrome: 97, Firefox: 104, Safari: 15.4 } },
+    { name: 'structuredClone', test: () => window.structuredClone, versions: { Chrome: 98, Firefox: 94, Safari: 15.4 } },
+    { name: 'Array.prototype.toSorted', test: () => Array.prototype.toSorted, versions: { Chrome: 110, Firefox: 115, Safari: 16 } },
+    { name: 'String.prototype.isWellFormed', test: () => String.prototype.isWellFormed, versions: { Chrome: 111, Firefox: 119, Safari: 16.4 } },
+    { name: 'Object.groupBy', test: () => Object.groupBy, versions: { Chrome: 117, Firefox: 119, Safari: 17.4 } },
+    { name: 'Promise.withResolvers', test: () => Promise.withResolvers, versions: { Chrome: 119, Firefox: 121, Safari: 17.4 } },
+    { name: 'Array.fromAsync', test: () => Array.fromAsync, versions: { Chrome: 121, Firefox: 115, Safari: 16.4 } },
+    { name: 'Set.prototype.union', test: () => Set.prototype.union, versions: { Chrome: 122, Firefox: 127, Safari: 17 } },
+    { name: 'Iterator helpers', test: () => window.Iterator && Iterator.prototype.map, versions: { Chrome: 122, Firefox: 131, Safari: 18.4 } },
+    { name: 'Promise.try', test: () => Promise.try, versions: { Chrome: 128, Firefox: 134, Safari: 18.2 } },
+    { name: 'RegExp.escape', test: () => RegExp.escape, versions: { Chrome: 136, Firefox: 134, Safari: 18.2 } }
+];
+
+// Math calls whose results differ in the last digits between math libraries
+JSEngineDetector.MATH_PROBES = [
+    ['acos', () => Math.acos(0.123124234234234242)],
+    ['acosh', () => Math.acosh(1e308)],
+    ['asin', () => Math.asin(0.123124234234234242)],
+    ['asinh', () => Math.asinh(1)],
+    ['atan', () => Math.atan(0.5)],
+    ['atanh', () => Math.atanh(0.5)],
+    ['sin', () => Math.sin(-1e300)],
+    ['sinh', () => Math.sinh(1)],
+    ['cos', () => Math.cos(10.000000000123)],
+    ['cosh', () => Math.cosh(1)],
+    ['tan', () => Math.tan(-1e300)],
+    ['tanh', () => Math.tanh(1)],
+    ['exp', () => Math.exp(1)],
+    ['expm1', () => Math.expm1(1)],
+    ['log1p', () => Math.log1p(10)],
+    ['powPI', () => Math.pow(Math.PI, -100)]
+];
+
+// Locales with different calendars, numbering systems and plural rules
+JSEngineDetector.INTL_LOCALES = ['en-US', 'de-DE', 'ar-EG', 'hi-IN', 'ja-JP-u-ca-japanese', 'th-TH'];
+
+// Export the detector
+window.JSEngineDetector = JSEngineDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('jsEngine', JSEngineDetector, {
+    tab: 'tab-browser',
+    title: 'JavaScript Engine',
+    sections: ['js-engine-info'],
+    signals: {
+        engine: 'stable',
+        jsEngine: 'stable',
+        traits: 'stable',
+        features: 'semi-stable',
+        versionBounds: 'semi-stable',
+        stackTraceLimit: 'stable',
+        mathHash: 'stable',
+        intlHash: 'semi-stable'
+    }
+});
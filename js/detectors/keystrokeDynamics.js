@@ -0,0 +1,373 @@
+/**
+ * Keystroke Dynamics Module
+ * Analyzes how form fields are filled in: dwell time (key held down), flight time
+ * (key up to next key down), digraph latencies, pastes and synthetic key events.
+ * Each field is classified as typed by a human, scripted or pasted. Key values are
+ * never stored, digraphs are grouped by key class (letter, digit, ...).
+ */
+class KeystrokeDynamicsDetector {
+    constructor() {
+        this.sectionId = 'keystroke-info';
+        this.sectionTitle = 'Keystroke Dynamics';
+        this.fields = {};
+        this.keystrokeData = {
+            verdict: 'no typing',
+            fields: {},
+            digraphs: {},
+            untrustedEvents: 0,
+            pastes: 0
+        };
+        // Per-digraph latency sums, keyed like "letter>digit"
+        this.digraphTotals = {};
+        this.interval = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Start keystroke tracking
+     * @returns {Promise<Object>} - Keystroke data, updated while the visitor types
+     */
+    async detect() {
+        this._createSection();
+        this._setupKeyTracking();
+
+        window.utils.addInfo(this.sectionId, 'Status', 'Waiting for typing in a form field...');
+
+        this.interval = setInterval(() => this._analyze(), 1000);
+
+        return this.keystrokeData;
+    }
+
+    /**
+     * Stop tracking, called by FingerprintEngine.stop()
+     * The data keeps the last analysis.
+     */
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+        this.listeners.forEach(({ type, handler }) => document.removeEventListener(type, handler, true));
+        this.listeners = [];
+        this._analyze();
+    }
+
+    /**
+     * Bot score component
+     * @returns {number|null} - 1 for scripted typing, 0.5 for pasted or filled values,
+     * 0 for human typing, null while there is not enough typing to judge
+     */
+    getBotScore() {
+        this._analyze();
+        const score = KeystrokeDynamicsDetector.VERDICT_SCORES[this.keystrokeData.verdict];
+        return typeof score === 'number' ? score : null;
+    }
+
+    /**
+     * Create the keystroke section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Listen for key, paste and input events on form fields
+     * Capture phase, so page handlers can't hide events from the analysis.
+     */
+    _setupKeyTracking() {
+        this._listen('keydown', e => {
+            const field = this._getField(e.target);
+            if (!field) return;
+
+            this._countTrust(field, e);
+            if (e.repeat) return;
+
+            const time = e.timeStamp;
+            field.keyDowns++;
+            field.downTimes.set(e.code || e.key, time);
+
+            const keyClass = InteractionTimeline.KEY_CLASSES[InteractionTimeline.keyClass(e.key)];
+            if (field.lastDown !== null) {
+                this._addSample(field.intervals, time - field.lastDown.time);
+                this._addDigraph(`${field.lastDown.keyClass}>${keyClass}`, time - field.lastDown.time);
+            }
+            if (field.lastUp !== null) {
+                this._addSample(field.flights, time - field.lastUp);
+            }
+
+            field.lastDown = { time, keyClass };
+            field.lastKeyTime = time;
+        });
+
+        this._listen('keyup', e => {
+            const field = this._getField(e.target);
+            if (!field) return;
+
+            this._countTrust(field, e);
+            const code = e.code || e.key;
+            if (field.downTimes.has(code)) {
+                this._addSample(field.dwells, e.timeStamp - field.downTimes.get(code));
+                field.downTimes.delete(code);
+            }
+            field.lastUp = e.timeStamp;
+        });
+
+        this._listen('paste', e => {
+            const field = this._getField(e.target);
+            if (!field) return;
+
+            this._countTrust(field, e);
+            field.pastes++;
+            const text = e.clipboardData ? e.clipboardData.getData('text') : '';
+            field.pastedChars += text.length;
+        });
+
+        this._listen('input', e => {
+            const field = this._getField(e.target);
+            if (!field) return;
+
+            this._countTrust(field, e);
+            field.valueLength = typeof e.target.value === 'string' ? e.target.value.length : field.valueLength;
+
+            // Values that change without a key press come from autofill, drag and drop or a script
+            const typed = field.lastKeyTime !== null && e.timeStamp - field.lastKeyTime < 100;
+            if (!typed && e.inputType !== 'insertFromPaste') {
+                field.filledWithoutKeys++;
+            }
+        });
+    }
+
+    /**
+     * Add a capturing document listener that stop() removes again
+     */
+    _listen(type, handler) {
+        document.addEventListener(type, handler, true);
+        this.listeners.push({ type, handler });
+    }
+
+    /**
+     * Get the metrics of the form field an event belongs to
+     * @param {EventTarget} target - Event target
+     * @returns {Object|null} - Field metrics, null for events outside form fields
+     */
+    _getField(target) {
+        if (!target || !(target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+            return null;
+        }
+
+        const name = target.name || target.id || target.tagName.toLowerCase();
+        if (!this.fields[name]) {
+            this.fields[name] = {
+                keyDowns: 0,
+                downTimes: new Map(),
+                lastDown: null,
+                lastUp: null,
+                lastKeyTime: null,
+                dwells: [],
+                flights: [],
+                intervals: [],
+                pastes: 0,
+                pastedChars: 0,
+                filledWithoutKeys: 0,
+                untrustedEvents: 0,
+                valueLength: 0
+            };
+        }
+        return this.fields[name];
+    }
+
+    /**
+     * Count events dispatched by a script (dispatchEvent instead of real input)
+     */
+    _countTrust(field, e) {
+        if (!e.isTrusted) {
+            field.untrustedEvents++;
+            this.keystrokeData.untrustedEvents++;
+        }
+    }
+
+    /**
+     * Store a timing sample, keeping the most recent ones
+     */
+    _addSample(samples, value) {
+        samples.push(value);
+        if (samples.length > KeystrokeDynamicsDetector.MAX_SAMPLES) {
+            samples.shift();
+        }
+    }
+
+    /**
+     * Add a digraph latency (key down to next key down) to its key class pair
+     */
+    _addDigraph(pair, latency) {
+        const totals = this.digraphTotals[pair] || (this.digraphTotals[pair] = { count: 0, sum: 0 });
+        totals.count++;
+        totals.sum += latency;
+    }
+
+    /**
+     * Classify every field and update the results and UI
+     */
+    _analyze() {
+        let verdict = 'no typing';
+        let pastes = 0;
+
+        Object.keys(this.fields).forEach(name => {
+            const result = this._classifyField(this.fields[name]);
+            this.keystrokeData.fields[name] = result;
+            pastes += result.pastes;
+
+            if (KeystrokeDynamicsDetector.VERDICTS.indexOf(result.classification) >
+                KeystrokeDynamicsDetector.VERDICTS.indexOf(verdict)) {
+                verdict = result.classification;
+            }
+        });
+
+        Object.keys(this.digraphTotals).forEach(pair => {
+            const totals = this.digraphTotals[pair];
+            this.keystrokeData.digraphs[pair] = { count: totals.count, mean: Math.round(totals.sum / totals.count) };
+        });
+
+        this.keystrokeData.verdict = verdict;
+        this.keystrokeData.pastes = pastes;
+
+        this._updateUI();
+    }
+
+    /**
+     * Classify how a field was filled in
+     * @param {Object} field - Field metrics
+     * @returns {Object} - Classification, reasons and timing statistics
+     */
+    _classifyField(field) {
+        const thresholds = KeystrokeDynamicsDetector.THRESHOLDS;
+        const dwell = KeystrokeDynamicsDetector.stats(field.dwells);
+        const interval = KeystrokeDynamicsDetector.stats(field.intervals);
+        const flight = KeystrokeDynamicsDetector.stats(field.flights);
+        const reasons = [];
+        let classification = 'insufficient data';
+
+        if (field.untrustedEvents > 0) {
+            classification = 'scripted';
+            reasons.push(`${field.untrustedEvents} synthetic (isTrusted=false) events`);
+        } else if (field.keyDowns >= thresholds.minKeys && dwell.count >= thresholds.minKeys - 1) {
+            if (dwell.mean < thresholds.minDwell) {
+                reasons.push(`Keys released after ${dwell.mean.toFixed(1)} ms on average`);
+            }
+            if (dwell.cv < thresholds.minVariation) {
+                reasons.push(`Constant dwell time (variation ${(dwell.cv * 100).toFixed(1)}%)`);
+            }
+            if (interval.count > 0 && interval.cv < thresholds.minVariation) {
+                reasons.push(`Constant interval between keys (variation ${(interval.cv * 100).toFixed(1)}%)`);
+            }
+            classification = reasons.length > 0 ? 'scripted' : 'human';
+        }
+
+        // Content that was not typed outweighs a human verdict for the few keys that were
+        const typedShare = field.valueLength > 0 ? Math.min(1, field.keyDowns / field.valueLength) : 1;
+        if (classification !== 'scripted' && (field.pastes > 0 || field.filledWithoutKeys > 0) && typedShare < 0.5) {
+            classification = 'pasted';
+            if (field.pastes > 0) reasons.push(`${field.pastes} paste(s), ${field.pastedChars} characters`);
+            if (field.filledWithoutKeys > 0) reasons.push(`Filled without key presses ${field.filledWithoutKeys}x (autofill or script)`);
+        }
+
+        return {
+            classification,
+            reasons,
+            keys: field.keyDowns,
+            dwell,
+            interval,
+            flight,
+            pastes: field.pastes,
+            filledWithoutKeys: field.filledWithoutKeys,
+            untrustedEvents: field.untrustedEvents
+        };
+    }
+
+    /**
+     * Update the keystroke section
+     */
+    _updateUI() {
+        const data = this.keystrokeData;
+        const names = Object.keys(data.fields);
+        if (names.length === 0) return;
+
+        const verdictClass = {
+            human: 'positive-indicator',
+            pasted: 'warning-indicator',
+            scripted: 'negative-indicator'
+        };
+        const format = stats => stats.count > 0
+            ? `avg ${stats.mean.toFixed(1)} ms, variation ${(stats.cv * 100).toFixed(1)}% (${stats.count} samples)`
+            : 'Not available';
+
+        window.utils.removeInfo(this.sectionId, 'Status');
+        window.utils.addInfo(this.sectionId, 'Typing Verdict', data.verdict, verdictClass[data.verdict] || '');
+        window.utils.addInfo(this.sectionId, 'Synthetic Events', data.untrustedEvents,
+            data.untrustedEvents > 0 ? 'negative-indicator' : '');
+        window.utils.addInfo(this.sectionId, 'Pastes', data.pastes);
+
+        names.forEach(name => {
+            const field = data.fields[name];
+            window.utils.addInfo(this.sectionId, `Field "${name}"`, '', 'section-subheader');
+            window.utils.addInfo(this.sectionId, `"${name}" Classification`,
+                field.reasons.length > 0 ? `${field.classification}: ${field.reasons.join('; ')}` : field.classification,
+                verdictClass[field.classification] || '');
+            window.utils.addInfo(this.sectionId, `"${name}" Dwell Time`, format(field.dwell));
+            window.utils.addInfo(this.sectionId, `"${name}" Key Interval`, format(field.interval));
+            window.utils.addInfo(this.sectionId, `"${name}" Flight Time`, format(field.flight));
+        });
+
+        const digraphs = Object.keys(data.digraphs)
+            .sort((a, b) => data.digraphs[b].count - data.digraphs[a].count)
+            .slice(0, 5)
+            .map(pair => `${pair}: ${data.digraphs[pair].mean} ms (${data.digraphs[pair].count}x)`);
+        if (digraphs.length > 0) {
+            window.utils.addInfo(this.sectionId, 'Digraph Latencies', digraphs);
+        }
+    }
+}
+
+// Verdicts from least to most suspicious; the page verdict is the worst field verdict
+KeystrokeDynamicsDetector.VERDICTS = ['no typing', 'insufficient data', 'human', 'pasted', 'scripted'];
+
+KeystrokeDynamicsDetector.VERDICT_SCORES = {
+    human: 0,
+    pasted: 0.5,
+    scripted: 1
+};
+
+KeystrokeDynamicsDetector.THRESHOLDS = {
+    minKeys: 6,         // Key presses before timing is judged
+    minDwell: 10,       // ms; people hold keys for roughly 50-150 ms
+    minVariation: 0.1   // Coefficient of variation; human timing varies by far more than 10%
+};
+
+KeystrokeDynamicsDetector.MAX_SAMPLES = 200;
+
+/**
+ * Mean and coefficient of variation of timing samples
+ * @param {number[]} samples - Timing samples in ms
+ * @returns {{count: number, mean: number, cv: number}} - Statistics
+ */
+KeystrokeDynamicsDetector.stats = function(samples) {
+    if (samples.length === 0) return { count: 0, mean: 0, cv: 0 };
+
+    const mean = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    const variance = samples.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / samples.length;
+    return {
+        count: samples.length,
+        mean,
+        cv: mean !== 0 ? Math.sqrt(variance) / Math.abs(mean) : 0
+    };
+};
+
+// Export the detector
+window.KeystrokeDynamicsDetector = KeystrokeDynamicsDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('keystrokeDynamics', KeystrokeDynamicsDetector, {
+    tab: 'tab-interaction',
+    title: 'Keystroke Dynamics',
+    sections: ['keystroke-info'],
+    // The strongest signal on a login page
+    weight: 0.3
+});
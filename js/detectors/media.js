@@ -0,0 +1,206 @@
+/**
+ * Media Detector Module
+ * Counts the media devices (microphones, cameras, speakers) and lists the speech
+ * synthesis voices. Both are readable without a permission prompt: device labels and
+ * IDs stay hidden, but the kinds and counts don't. Local voices come with the OS and its
+ * language packs, so they reveal the real OS, and VMs and headless browsers usually
+ * have no media devices at all.
+ */
+class MediaDetector {
+    constructor() {
+        this.sectionId = 'media-info';
+        this.sectionTitle = 'Media Devices and Voices';
+        this.mediaData = {
+            devicesSupported: false,
+            voicesSupported: false
+        };
+    }
+
+    /**
+     * Enumerate the devices and voices
+     * @returns {Promise<Object>} - Device counts, voices, the OS families the voices belong to and both hashes
+     */
+    async detect() {
+        this._createSection();
+
+        await Promise.all([this._detectDevices(), this._detectVoices()]);
+
+        this._updateUI();
+        return this.mediaData;
+    }
+
+    /**
+     * Create the media section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Count the media devices by kind
+     * Before permission, browsers hide labels and IDs and may list only one device per kind.
+     */
+    async _detectDevices() {
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.enumerateDevices !== 'function') return;
+
+        let devices;
+        try {
+            devices = await this._withTimeout(navigator.mediaDevices.enumerateDevices(), 'Device enumeration timed out');
+        } catch (e) {
+            this.mediaData.devicesError = e.message;
+            return;
+        }
+
+        const counts = { audioinput: 0, audiooutput: 0, videoinput: 0 };
+        devices.forEach(device => {
+            counts[device.kind] = (counts[device.kind] || 0) + 1;
+        });
+
+        const labels = devices.map(device => device.label).filter(Boolean);
+        Object.assign(this.mediaData, {
+            devicesSupported: true,
+            devices: counts,
+            deviceCount: devices.length,
+            // Labels only show once the visitor granted camera or microphone access
+            deviceLabels: labels,
+            devicesHash: window.utils.generateFingerprint({
+                kinds: devices.map(device => device.kind).join(','),
+                labels: labels.join(',')
+            })
+        });
+    }
+
+    /**
+     * List the speech synthesis voices
+     * Chromium loads them asynchronously and fires voiceschanged when they are ready.
+     */
+    async _detectVoices() {
+        if (!window.speechSynthesis || typeof speechSynthesis.getVoices !== 'function') return;
+
+        let voices = speechSynthesis.getVoices();
+        if (voices.length === 0) {
+            voices = await new Promise(resolve => {
+                const done = () => {
+                    clearTimeout(timer);
+                    speechSynthesis.removeEventListener('voiceschanged', done);
+                    resolve(speechSynthesis.getVoices());
+                };
+                const timer = setTimeout(done, MediaDetector.VOICE_TIMEOUT);
+                speechSynthesis.addEventListener('voiceschanged', done);
+            });
+        }
+
+        const list = voices.map(voice => ({
+            name: voice.name,
+            lang: voice.lang,
+            localService: voice.localService,
+            default: voice.default,
+            voiceURI: voice.voiceURI
+        }));
+        const local = list.filter(voice => voice.localService);
+        const defaultVoice = list.find(voice => voice.default);
+
+        Object.assign(this.mediaData, {
+            voicesSupported: true,
+            voices: list,
+            voiceCount: list.length,
+            localVoiceCount: local.length,
+            voiceLanguages: [...new Set(list.map(voice => voice.lang))].sort(),
+            defaultVoice: defaultVoice ? defaultVoice.name : null,
+            voiceOS: this._voiceOS(local),
+            voicesHash: window.utils.generateFingerprint({
+                voices: list.map(voice => `${voice.name}|${voice.lang}|${voice.localService}`).join(',')
+            })
+        });
+    }
+
+    /**
+     * OS families of the local voices
+     * Remote voices (e.g. Chrome's Google voices or Edge's online voices) exist on every OS
+     * and are left out.
+     * @returns {string[]} - Windows, macOS and/or Linux, in MediaDetector.VOICE_OS order
+     */
+    _voiceOS(localVoices) {
+        return MediaDetector.VOICE_OS
+            .filter(entry => localVoices.some(voice => entry.pattern.test(voice.name) || entry.pattern.test(voice.voiceURI || '')))
+            .map(entry => entry.os);
+    }
+
+    /**
+     * Race a promise against MediaDetector.DEVICE_TIMEOUT
+     */
+    _withTimeout(promise, message) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), MediaDetector.DEVICE_TIMEOUT);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Update the media section
+     */
+    _updateUI() {
+        const data = this.mediaData;
+
+        if (data.devicesSupported) {
+            const { audioinput, audiooutput, videoinput } = data.devices;
+            window.utils.addInfo(this.sectionId, 'Media Devices',
+                data.deviceCount === 0 ? 'None (typical for VMs and headless browsers)' :
+                    `${audioinput} microphones, ${videoinput} cameras, ${audiooutput} speakers`,
+                data.deviceCount === 0 ? 'warning-indicator' : '');
+            if (data.deviceLabels.length > 0) {
+                window.utils.addInfo(this.sectionId, 'Device Labels', data.deviceLabels.join(', '));
+            }
+            window.utils.addInfo(this.sectionId, 'Devices Hash', data.devicesHash);
+        } else {
+            window.utils.addInfo(this.sectionId, 'Media Devices', data.devicesError ? `Not available (${data.devicesError})` : 'API not supported');
+        }
+
+        if (data.voicesSupported) {
+            window.utils.addInfo(this.sectionId, 'Speech Voices', `${data.voiceCount} (${data.localVoiceCount} local)`,
+                data.voiceCount === 0 ? 'warning-indicator' : '');
+            window.utils.addInfo(this.sectionId, 'Voice Languages', data.voiceLanguages.join(', ') || 'None');
+            window.utils.addInfo(this.sectionId, 'Default Voice', data.defaultVoice || 'None');
+            window.utils.addInfo(this.sectionId, 'Voices Point To', data.voiceOS.join(', ') || 'No known OS voices');
+            window.utils.addInfo(this.sectionId, 'Voices Hash', data.voicesHash);
+        } else {
+            window.utils.addInfo(this.sectionId, 'Speech Voices', 'API not supported');
+        }
+    }
+}
+
+// Milliseconds to wait for the device list and for Chromium to load the voices
+MediaDetector.DEVICE_TIMEOUT = 2000;
+MediaDetector.VOICE_TIMEOUT = 1000;
+
+// Local voice names or URIs and the OS family that ships them
+MediaDetector.VOICE_OS = [
+    { os: 'Windows', pattern: /^Microsoft (?!.*\bOnline\b)/ },
+    { os: 'macOS', pattern: /^com\.apple\.|^(Alex|Samantha|Daniel|Karen|Moira|Tessa|Fiona|Fred|Victoria|Thomas|Anna|Alice|Kyoko|Ting-Ting|Yuna|Milena|Amélie|Monica|Paulina)$/ },
+    { os: 'Linux', pattern: /espeak|festival|pico|mbrola|rhvoice|^Chrome OS / }
+];
+
+// Export the detector
+window.MediaDetector = MediaDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('media', MediaDetector, {
+    tab: 'tab-device',
+    title: 'Media Devices and Voices',
+    sections: ['media-info'],
+    signals: {
+        devicesSupported: 'stable',
+        devices: 'semi-stable',
+        deviceCount: 'semi-stable',
+        devicesHash: 'semi-stable',
+        voicesSupported: 'stable',
+        voices: 'stable',
+        voiceCount: 'stable',
+        localVoiceCount: 'stable',
+        voiceLanguages: 'stable',
+        defaultVoice: 'stable',
+        voiceOS: 'stable',
+        voicesHash: 'stable'
+    }
+});
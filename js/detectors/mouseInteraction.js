@@ -54,8 +54,9 @@ class MouseInteractionDetector {
 
     /**
      * Start mouse interaction detection
+     * @returns {Promise<Object>} - Collected interaction data
      */
-    detect() {
+    async detect() {
         this._createSection();
         this._setupMouseTracking();
         
@@ -64,8 +65,8 @@ class MouseInteractionDetector {
         window.utils.addInfo(this.sectionId, 'Mouse Events', '0');
         window.utils.addInfo(this.sectionId, 'How to Test', 'Move your mouse around the page to generate interaction data.');
         
-        // Create a visualization area
-        const section = document.getElementById(this.sectionId);
+        // Create a visualization area when the report is being rendered
+        const section = window.utils.getSectionElement(this.sectionId);
         if (section) {
             const visualArea = document.createElement('div');
             visualArea.id = 'mouse-visualization';
@@ -681,4 +682,11 @@ class MouseInteractionDetector {
 }
 
 // Export the detector
-window.MouseInteractionDetector = MouseInteractionDetector;
\ No newline at end of file
+window.MouseInteractionDetector = MouseInteractionDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('mouseInteraction', MouseInteractionDetector, {
+    tab: 'tab-interaction',
+    title: 'Mouse Interaction',
+    sections: ['interaction-info']
+});
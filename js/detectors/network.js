@@ -12,12 +12,13 @@ class NetworkDetector {
 
     /**
      * Run all network detection tests
+     * @returns {Promise<Object>} - Collected network data, resolved once ICE gathering finishes
      */
-    detect() {
+    async detect() {
         this._createSection();
         this._detectConnectionType();
         this._detectIPInfo();
-        this._detectWebRTC();
+        await this._detectWebRTC();
         
         return this.networkData;
     }
@@ -68,6 +69,7 @@ class NetworkDetector {
 
     /**
      * Detect WebRTC related information and attempt to get IP addresses
+     * @returns {Promise<void>} - Resolves when the WebRTC IP lookup is done
      */
     _detectWebRTC() {
         const webRTCSupported = 'RTCPeerConnection' in window;
@@ -81,68 +83,56 @@ class NetworkDetector {
         
         if (!webRTCSupported) {
             window.utils.addInfo(this.sectionId, 'WebRTC Status', 'Not supported by this browser');
-            return;
+            return Promise.resolve();
         }
         
-        // Create IP detection container
-        const ipContainer = document.createElement('div');
-        ipContainer.className = 'ip-addresses-container';
-        
-        // Add a loading message
-        const loadingMsg = document.createElement('p');
-        loadingMsg.textContent = 'Checking for WebRTC IP leakage...';
-        loadingMsg.className = 'loading-message';
-        ipContainer.appendChild(loadingMsg);
-        
-        // Add the container to the section
-        const ipItem = window.utils.addInfo(this.sectionId, 'WebRTC IP Addresses', ipContainer);
+        // Show a loading message until ICE gathering finishes
+        window.utils.addInfo(this.sectionId, 'WebRTC IP Addresses', 'Checking for WebRTC IP leakage...');
         
         // Use async function to detect IPs
-        this._detectWebRTCIPs(ipContainer, ipItem);
+        return this._detectWebRTCIPs();
     }
     
     /**
      * Detect IP addresses using WebRTC
-     * @param {HTMLElement} container - Container to display results
-     * @param {HTMLElement} item - The list item containing the container
      */
-    async _detectWebRTCIPs(container, item) {
+    async _detectWebRTCIPs() {
         try {
-            const ips = await this._getWebRTCIPs();
+            const candidates = await this._getWebRTCCandidates();
+            const webRTC = this.networkData.webRTC;
+            webRTC.candidates = candidates;
             
-            // Clear loading message
-            container.innerHTML = '';
+            // Relay candidates carry the TURN server's address, not the visitor's
+            const ips = [];
+            candidates.forEach(candidate => {
+                if (candidate.mdns || candidate.candidateType === 'relay' || ips.includes(candidate.address)) return;
+                ips.push(candidate.address);
+            });
+            
+            this._detectMdnsObfuscation(candidates);
             
             if (ips.length === 0) {
-                const noIPMsg = document.createElement('p');
-                noIPMsg.textContent = 'No IP addresses detected via WebRTC (possible protection in place)';
-                noIPMsg.className = 'positive-indicator';
-                container.appendChild(noIPMsg);
+                window.utils.addInfo(this.sectionId, 'WebRTC IP Addresses', 'No IP addresses detected via WebRTC (possible protection in place)');
                 
-                this.networkData.webRTC.leakageProtection = true;
+                webRTC.leakageProtection = true;
                 window.utils.addInfo(this.sectionId, 'WebRTC Leakage Protection', 'Likely protected', 'positive-indicator');
                 
             } else {
-                const ipList = document.createElement('ul');
-                ipList.className = 'ip-list';
-                
                 ips.forEach(ip => {
-                    const ipItem = document.createElement('li');
-                    let ipType = this._determineIPType(ip);
-                    ipItem.textContent = `${ip} (${ipType})`;
-                    ipItem.className = ipType === 'Public' ? 'warning-indicator' : '';
-                    ipList.appendChild(ipItem);
-                    
-                    this.networkData.webRTC.addresses.push({
+                    webRTC.addresses.push({
                         address: ip,
-                        type: ipType
+                        type: this._determineIPType(ip)
                     });
                 });
                 
-                container.appendChild(ipList);
+                window.utils.addInfo(
+                    this.sectionId,
+                    'WebRTC IP Addresses',
+                    webRTC.addresses.map(entry => `${entry.address} (${entry.type})`)
+                );
                 
                 // Add warning if public IP is exposed
-                const hasPublicIP = ips.some(ip => this._determineIPType(ip) === 'Public');
+                const hasPublicIP = webRTC.addresses.some(entry => entry.type === 'Public');
                 window.utils.addInfo(
                     this.sectionId, 
                     'WebRTC Leakage Status', 
@@ -150,30 +140,66 @@ class NetworkDetector {
                     hasPublicIP ? 'warning-indicator' : 'neutral-indicator'
                 );
                 
-                this.networkData.webRTC.leakageProtection = !hasPublicIP;
+                webRTC.leakageProtection = !hasPublicIP;
+            }
+            
+            if (candidates.length > 0) {
+                window.utils.addInfo(
+                    this.sectionId,
+                    'ICE Candidates',
+                    candidates.map(candidate => {
+                        // IPv6 addresses are bracketed before the port
+                        const endpoint = (address, port) => `${address.includes(':') ? `[${address}]` : address}:${port}`;
+                        const related = candidate.relatedAddress ? ` from ${endpoint(candidate.relatedAddress, candidate.relatedPort)}` : '';
+                        return `${candidate.candidateType} ${candidate.protocol} ${endpoint(candidate.address, candidate.port)}${related}`;
+                    })
+                );
             }
             
         } catch (error) {
-            container.innerHTML = '';
-            const errorMsg = document.createElement('p');
-            errorMsg.textContent = `Error detecting WebRTC IPs: ${error.message}`;
-            errorMsg.className = 'warning-indicator';
-            container.appendChild(errorMsg);
+            window.utils.addInfo(this.sectionId, 'WebRTC IP Addresses', `Error detecting WebRTC IPs: ${error.message}`);
             
             this.networkData.webRTC.error = error.message;
         }
     }
     
     /**
-     * Get IP addresses using WebRTC
-     * @returns {Promise<string[]>} - Array of detected IP addresses
+     * Report whether host candidates hide the local IP behind an mDNS hostname
+     * Chromium and Safari replace host IPs with random "<uuid>.local" names unless the
+     * page has camera or microphone permission, or the feature is turned off.
+     * @param {Object[]} candidates - Parsed ICE candidates
      */
-    _getWebRTCIPs() {
+    _detectMdnsObfuscation(candidates) {
+        const hosts = candidates.filter(candidate => candidate.candidateType === 'host');
+        const webRTC = this.networkData.webRTC;
+        
+        if (hosts.length === 0) {
+            webRTC.mdnsObfuscation = null;
+            window.utils.addInfo(this.sectionId, 'mDNS Obfuscation', 'No host candidates');
+            return;
+        }
+        
+        webRTC.mdnsObfuscation = hosts.every(candidate => candidate.mdns);
+        window.utils.addInfo(
+            this.sectionId,
+            'mDNS Obfuscation',
+            webRTC.mdnsObfuscation ? 'On (local IPs hidden behind .local names)' : 'Off (local IPs exposed)',
+            webRTC.mdnsObfuscation ? 'positive-indicator' : 'warning-indicator'
+        );
+    }
+    
+    /**
+     * Gather ICE candidates using WebRTC
+     * The STUN/TURN servers come from NetworkDetector.ICE_SERVERS.
+     * @returns {Promise<Object[]>} - Parsed candidates, see _parseCandidate()
+     */
+    _getWebRTCCandidates() {
         return new Promise((resolve, reject) => {
             try {
-                const ips = [];
+                const candidates = [];
+                const seen = new Set();
                 const pc = new RTCPeerConnection({
-                    iceServers: [{ urls: "stun:stun.l.google.com:19302" }]
+                    iceServers: NetworkDetector.ICE_SERVERS
                 });
                 
                 // Create data channel to force ICE candidates
@@ -182,15 +208,16 @@ class NetworkDetector {
                 // Listen for candidate events
                 pc.onicecandidate = (event) => {
                     if (event.candidate) {
-                        // Extract IP from candidate string
-                        const match = /([0-9]{1,3}(\.[0-9]{1,3}){3})/.exec(event.candidate.candidate);
-                        if (match && !ips.includes(match[1])) {
-                            ips.push(match[1]);
+                        const candidate = this._parseCandidate(event.candidate.candidate);
+                        const key = candidate && `${candidate.candidateType} ${candidate.protocol} ${candidate.address} ${candidate.port}`;
+                        if (candidate && !seen.has(key)) {
+                            seen.add(key);
+                            candidates.push(candidate);
                         }
                     } else {
                         // ICE gathering complete - all candidates received
                         pc.close();
-                        resolve(ips);
+                        resolve(candidates);
                     }
                 };
                 
@@ -198,9 +225,9 @@ class NetworkDetector {
                 setTimeout(() => {
                     if (pc.iceConnectionState !== 'closed') {
                         pc.close();
-                        resolve(ips);
+                        resolve(candidates);
                     }
-                }, 5000);
+                }, NetworkDetector.ICE_TIMEOUT);
                 
                 // Create offer to start ICE gathering
                 pc.createOffer()
@@ -213,12 +240,49 @@ class NetworkDetector {
         });
     }
     
+    /**
+     * Parse an ICE candidate line (RFC 8839)
+     * e.g. "candidate:842163049 1 udp 1677729535 203.0.113.5 54321 typ srflx raddr 10.0.0.2 rport 54321"
+     * @param {string} line - The candidate attribute
+     * @returns {Object|null} - {candidateType, protocol, address, port, addressType, mdns, relatedAddress,
+     * relatedPort, tcpType}, null if the line is not a candidate
+     */
+    _parseCandidate(line) {
+        const parts = (line || '').replace(/^a=/, '').trim().split(/\s+/);
+        if (parts.length < 8 || !/^candidate:/.test(parts[0]) || parts[6] !== 'typ') return null;
+        
+        const address = parts[4];
+        const mdns = /\.local$/i.test(address);
+        const candidate = {
+            candidateType: parts[7],
+            protocol: parts[2].toLowerCase(),
+            address,
+            port: parseInt(parts[5], 10),
+            addressType: mdns ? 'mDNS' : this._determineIPType(address),
+            mdns,
+            relatedAddress: null,
+            relatedPort: null,
+            tcpType: null
+        };
+        
+        // Optional name/value pairs after the type
+        for (let i = 8; i < parts.length - 1; i += 2) {
+            if (parts[i] === 'raddr') candidate.relatedAddress = parts[i + 1];
+            else if (parts[i] === 'rport') candidate.relatedPort = parseInt(parts[i + 1], 10);
+            else if (parts[i] === 'tcptype') candidate.tcpType = parts[i + 1];
+        }
+        
+        return candidate;
+    }
+    
     /**
      * Determine if an IP address is private or public
-     * @param {string} ip - IP address to check
-     * @returns {string} - 'Private', 'Public', or 'Special'
+     * @param {string} ip - IPv4 or IPv6 address to check
+     * @returns {string} - 'Private', 'Public', 'Localhost', 'Link-local' or 'Special'
      */
     _determineIPType(ip) {
+        if (ip.includes(':')) return this._determineIPv6Type(ip);
+        
         const parts = ip.split('.');
         
         // Check for private IP ranges
@@ -235,11 +299,66 @@ class NetworkDetector {
         // Check for special-use addresses
         if (parts[0] === '0') return 'Special'; // 0.0.0.0 - 0.255.255.255
         if (parts[0] === '100' && (parseInt(parts[1], 10) >= 64 && parseInt(parts[1], 10) <= 127)) return 'Special'; // 100.64.0.0 - 100.127.255.255
+        if (parseInt(parts[0], 10) >= 224) return 'Special'; // Multicast and reserved, 224.0.0.0 and above
         
         // Everything else is assumed to be public
         return 'Public';
     }
+    
+    /**
+     * Determine the type of an IPv6 address
+     * @param {string} ip - IPv6 address, optionally with a zone ("fe80::1%eth0")
+     * @returns {string} - Same types as _determineIPType()
+     */
+    _determineIPv6Type(ip) {
+        const address = ip.toLowerCase().replace(/%.*$/, '');
+        
+        // IPv4-mapped addresses (::ffff:192.0.2.1) have the type of the embedded IPv4 address
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+        if (mapped) return this._determineIPType(mapped[1]);
+        
+        if (address === '::1') return 'Localhost';
+        if (address === '::') return 'Special'; // Unspecified
+        
+        const first = parseInt(address.split(':')[0] || '0', 16);
+        const second = parseInt(address.split(':')[1] || '0', 16);
+        
+        if ((first & 0xfe00) === 0xfc00) return 'Private'; // fc00::/7 unique local (ULA)
+        if ((first & 0xffc0) === 0xfe80) return 'Link-local'; // fe80::/10
+        if ((first & 0xffc0) === 0xfec0) return 'Private'; // fec0::/10 deprecated site-local
+        if ((first & 0xff00) === 0xff00) return 'Special'; // ff00::/8 multicast
+        if (first === 0x2001 && second === 0x0db8) return 'Special'; // 2001:db8::/32 documentation
+        if (first === 0x0064 && second === 0xff9b) return 'Special'; // 64:ff9b::/96 NAT64
+        if (first === 0) return 'Special'; // Other ::/8 addresses, e.g. IPv4-compatible
+        
+        // Global unicast, including Teredo (2001::/32) and 6to4 (2002::/16) tunnels
+        return 'Public';
+    }
 }
 
+// STUN/TURN servers used for ICE gathering. Replace before the detectors run to use
+// other servers, e.g. a local coturn instance with a TURN user:
+// NetworkDetector.ICE_SERVERS = [{ urls: 'turn:localhost:3478', username: 'user', credential: 'secret' }];
+NetworkDetector.ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+// Milliseconds to wait for ICE gathering to complete
+NetworkDetector.ICE_TIMEOUT = 5000;
+
 // Export the detector
-window.NetworkDetector = NetworkDetector; 
\ No newline at end of file
+window.NetworkDetector = NetworkDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('network', NetworkDetector, {
+    tab: 'tab-network',
+    title: 'Network Information',
+    sections: ['network-info'],
+    // ICE gathering gives up after 5 seconds
+    timeout: 7000,
+    // Connection quality and ICE candidates change between visits
+    signals: {
+        saveData: 'semi-stable',
+        'webRTC.supported': 'stable',
+        'webRTC.leakageProtection': 'semi-stable',
+        'webRTC.mdnsObfuscation': 'semi-stable'
+    }
+});
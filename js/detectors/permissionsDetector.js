@@ -11,11 +11,12 @@ class PermissionsDetector {
 
     /**
      * Run all permissions detection tests
+     * @returns {Promise<Object>} - Collected permissions data, resolved once every permission was queried
      */
-    detect() {
+    async detect() {
         this._createSection();
         this._detectPermissionsAPI();
-        this._checkCommonPermissions();
+        await this._checkCommonPermissions();
         
         return this.permissionsData;
     }
@@ -159,4 +160,15 @@ class PermissionsDetector {
 }
 
 // Export the PermissionsDetector class globally
-window.PermissionsDetector = PermissionsDetector; 
\ No newline at end of file
+window.PermissionsDetector = PermissionsDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('permissions', PermissionsDetector, {
+    tab: 'tab-privacy',
+    title: 'Browser Permissions',
+    sections: ['permissions-info'],
+    signals: {
+        apiSupported: 'stable',
+        status: 'semi-stable'
+    }
+});
@@ -12,15 +12,20 @@ class PrivacyDetector {
 
     /**
      * Run all privacy detection tests
+     * @param {Object} context - Detector context provided by the orchestrator
+     * @returns {Promise<Object>} - Collected privacy data, resolved once the ad blocker check finishes
      */
-    detect() {
+    async detect(context = {}) {
+        const noiseData = context.results ? context.results.canvasNoise : null;
+        
         this._createSection();
         this._detectDoNotTrack();
         this._detectCookies();
         this._detectLocalStorage();
         this._detectIndexedDB();
-        this._detectPrivateMode();
-        this._detectAddBlocker();
+        await this._detectPrivateMode();
+        this._detectCanvasRandomization(noiseData);
+        await this._detectAddBlocker();
         
         return this.privacyData;
     }
@@ -107,16 +112,211 @@ class PrivacyDetector {
     }
 
     /**
-     * Attempt to detect private browsing mode
-     * Note: Modern browsers make this intentionally difficult
+     * Detect private browsing with the storage differences of each engine
+     * Private windows keep storage in memory, so Chromium caps the quota, Firefox has no
+     * service workers or origin private file system (and no IndexedDB before 115), and
+     * Safari can't open the origin private file system (and older versions throw on every
+     * localStorage write). Each test only runs on the engine it applies to.
+     */
+    async _detectPrivateMode() {
+        const engine = this._detectEngine();
+        const evidence = [];
+        const add = (strength, message) => evidence.push({ strength, message });
+
+        const tests = {
+            Blink: () => this._testChromiumQuota(add),
+            Gecko: () => this._testFirefoxStorage(add),
+            WebKit: () => this._testSafariStorage(add)
+        };
+
+        if (tests[engine]) {
+            try {
+                await tests[engine]();
+            } catch (e) {
+                window.utils.log('Error in private mode detection: ' + e.message, 'error');
+            }
+        }
+
+        const strong = evidence.filter(entry => entry.strength === 'strong').length;
+        const weak = evidence.length - strong;
+        let confidence = 'none';
+        if (strong > 0) confidence = 'high';
+        else if (weak > 1) confidence = 'medium';
+        else if (weak === 1) confidence = 'low';
+
+        this.privacyData.privateMode = confidence === 'high' || confidence === 'medium';
+        this.privacyData.privateModeConfidence = confidence;
+        this.privacyData.privateModeEvidence = evidence.map(entry => entry.message);
+
+        window.utils.addInfo(this.sectionId, 'Private Browsing',
+            tests[engine] ? PrivacyDetector.CONFIDENCE_LABELS[confidence] : `Not testable (${engine} engine)`,
+            this.privacyData.privateMode ? 'warning-indicator' : '');
+        if (evidence.length > 0) {
+            window.utils.addInfo(this.sectionId, 'Private Browsing Evidence', this.privacyData.privateModeEvidence.join('; '));
+        }
+        if (typeof this.privacyData.storageQuota === 'number') {
+            window.utils.addInfo(this.sectionId, 'Storage Quota', `${Math.round(this.privacyData.storageQuota / (1024 * 1024))} MB`);
+        }
+    }
+
+    /**
+     * Browser engine, told apart by engine-only APIs
+     * @returns {string} - Blink, Gecko, WebKit or Unknown
+     */
+    _detectEngine() {
+        const supports = (property, value) => !!(window.CSS && CSS.supports && CSS.supports(property, value));
+        if (navigator.webkitTemporaryStorage || window.chrome) return 'Blink';
+        if (supports('-moz-appearance', 'none')) return 'Gecko';
+        if (/Apple/.test(navigator.vendor || '')) return 'WebKit';
+        return 'Unknown';
+    }
+
+    /**
+     * Chromium: incognito storage lives in memory and its quota is capped near the JS heap
+     * limit, while a normal profile gets a share of the free disk space (usually many GB).
      */
-    _detectPrivateMode() {
-        window.utils.addInfo(this.sectionId, 'Private Browsing Detection', 'Modern browsers block reliable private mode detection');
-        window.utils.addInfo(this.sectionId, 'Privacy Note', 'Browsers intentionally limit fingerprinting in private modes');
+    async _testChromiumQuota(add) {
+        let quota = null;
+        let source = 'navigator.storage.estimate()';
+        if (navigator.storage && typeof navigator.storage.estimate === 'function') {
+            const estimate = await this._withTimeout(navigator.storage.estimate());
+            if (estimate && typeof estimate.quota === 'number') quota = estimate.quota;
+        }
+        if (quota === null && navigator.webkitTemporaryStorage) {
+            source = 'webkitTemporaryStorage';
+            quota = await this._withTimeout(new Promise((resolve, reject) => {
+                navigator.webkitTemporaryStorage.queryUsageAndQuota((usage, granted) => resolve(granted), reject);
+            }));
+        }
+        if (typeof quota !== 'number') return;
+
+        this.privacyData.storageQuota = quota;
+        const heapLimit = (performance.memory && performance.memory.jsHeapSizeLimit) || PrivacyDetector.DEFAULT_HEAP_LIMIT;
+        const limit = heapLimit * PrivacyDetector.QUOTA_HEAP_FACTOR;
+        if (quota >= limit) return;
+
+        const message = `Storage quota ${Math.round(quota / (1024 * 1024))} MB from ${source} is below ${Math.round(limit / (1024 * 1024))} MB (incognito cap)`;
+        // Brave reports a fixed quota in every window, and a nearly full disk also shrinks it
+        add(navigator.brave ? 'weak' : 'strong', message);
+    }
+
+    /**
+     * Firefox: private windows have no service workers and no origin private file system,
+     * and versions before 115 can't open IndexedDB
+     */
+    async _testFirefoxStorage(add) {
+        // Both APIs only exist in secure contexts, so their absence elsewhere means nothing
+        if (window.isSecureContext) {
+            if (!('serviceWorker' in navigator)) {
+                add('weak', 'navigator.serviceWorker is missing in a secure context (Firefox private window or service workers disabled)');
+            }
+
+            const directoryError = await this._getDirectoryError();
+            if (directoryError && /security/i.test(`${directoryError.name} ${directoryError.message}`)) {
+                add('strong', `Origin private file system refused with "${directoryError.message}"`);
+            }
+        }
+
+        const indexedDBError = await this._openIndexedDBError();
+        if (indexedDBError && indexedDBError.name === 'InvalidStateError') {
+            add('strong', 'IndexedDB refused to open with InvalidStateError (Firefox before 115 in a private window)');
+        }
+    }
+
+    /**
+     * Safari: private windows can't open the origin private file system, and before
+     * Safari 11 every localStorage write threw QuotaExceededError
+     */
+    async _testSafariStorage(add) {
+        if (window.isSecureContext) {
+            const directoryError = await this._getDirectoryError();
+            if (directoryError && /unknown transient reason/i.test(directoryError.message)) {
+                add('strong', `Origin private file system refused with "${directoryError.message}"`);
+            }
+        }
+
+        try {
+            if (window.localStorage) {
+                localStorage.setItem('privateModeTest', '1');
+                localStorage.removeItem('privateModeTest');
+            }
+        } catch (e) {
+            if (e.name === 'QuotaExceededError' && localStorage.length === 0) {
+                add('strong', 'An empty localStorage throws QuotaExceededError on write (Safari before 11 in a private window)');
+            }
+        }
+    }
+
+    /**
+     * Open the origin private file system
+     * @returns {Promise<Error|null>} - The rejection, null if it opened or isn't supported
+     */
+    async _getDirectoryError() {
+        if (!navigator.storage || typeof navigator.storage.getDirectory !== 'function') return null;
+        try {
+            await this._withTimeout(navigator.storage.getDirectory());
+            return null;
+        } catch (e) {
+            return e;
+        }
+    }
+
+    /**
+     * Open and delete a test IndexedDB database
+     * @returns {Promise<Error|null>} - The open error, null if it opened or IndexedDB is missing
+     */
+    _openIndexedDBError() {
+        if (!window.indexedDB) return Promise.resolve(null);
+
+        return this._withTimeout(new Promise(resolve => {
+            let request;
+            try {
+                request = indexedDB.open(PrivacyDetector.TEST_DATABASE);
+            } catch (e) {
+                resolve(e);
+                return;
+            }
+            request.onsuccess = () => {
+                request.result.close();
+                indexedDB.deleteDatabase(PrivacyDetector.TEST_DATABASE);
+                resolve(null);
+            };
+            request.onerror = event => {
+                if (event && event.preventDefault) event.preventDefault();
+                resolve(request.error || new Error('IndexedDB open failed'));
+            };
+        })).catch(() => null);
+    }
+
+    /**
+     * Race a storage promise against PrivacyDetector.STORAGE_TIMEOUT
+     */
+    _withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Storage API timed out')), PrivacyDetector.STORAGE_TIMEOUT);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Report canvas randomization found by the canvas noise detector
+     * @param {Object|null} noiseData - Canvas noise detector results
+     */
+    _detectCanvasRandomization(noiseData) {
+        if (!noiseData || !noiseData.supported) {
+            window.utils.addInfo(this.sectionId, 'Canvas Randomized', 'Not available');
+            return;
+        }
+        
+        this.privacyData.canvasRandomized = noiseData.randomized;
+        window.utils.addInfo(this.sectionId, 'Canvas Randomized',
+            noiseData.randomized ? `Yes (${noiseData.mode})` : 'No');
     }
 
     /**
      * Basic ad blocker detection
+     * @returns {Promise<boolean>} - Resolves with the detection result after ad blockers had a chance to act
      */
     _detectAddBlocker() {
         // Create a bait element that ad blockers might hide
@@ -128,7 +328,7 @@ class PrivacyDetector {
         document.body.appendChild(bait);
         
         // Set a small timeout to allow ad blockers to act
-        setTimeout(() => {
+        return new Promise(resolve => setTimeout(() => {
             let adBlockerDetected = false;
             
             if (bait.offsetHeight === 0 || 
@@ -152,9 +352,47 @@ class PrivacyDetector {
             
             this.privacyData.adBlockerDetected = adBlockerDetected;
             window.utils.addInfo(this.sectionId, 'Ad Blocker Detected', adBlockerDetected);
-        }, 100);
+            resolve(adBlockerDetected);
+        }, 100));
     }
 }
 
+// Milliseconds to wait for each storage API in the private mode tests
+PrivacyDetector.STORAGE_TIMEOUT = 1000;
+
+// Chromium caps the incognito quota below this multiple of the JS heap limit
+PrivacyDetector.QUOTA_HEAP_FACTOR = 2;
+
+// Heap limit to assume where performance.memory is missing
+PrivacyDetector.DEFAULT_HEAP_LIMIT = 1024 * 1024 * 1024;
+
+PrivacyDetector.TEST_DATABASE = 'privateModeTest';
+
+PrivacyDetector.CONFIDENCE_LABELS = {
+    high: 'Likely (high confidence)',
+    medium: 'Likely (medium confidence)',
+    low: 'Possible (low confidence)',
+    none: 'Not detected'
+};
+
 // Export the detector
-window.PrivacyDetector = PrivacyDetector; 
\ No newline at end of file
+window.PrivacyDetector = PrivacyDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('privacy', PrivacyDetector, {
+    tab: 'tab-privacy',
+    title: 'Privacy Information',
+    sections: ['privacy-info'],
+    // Reports the canvas randomization found by the canvas noise detector, when it runs
+    optionalDependencies: ['canvasNoise'],
+    signals: {
+        doNotTrack: 'stable',
+        cookiesEnabled: 'stable',
+        localStorageEnabled: 'stable',
+        indexedDBEnabled: 'stable',
+        adBlockerDetected: 'semi-stable',
+        canvasRandomized: 'stable',
+        privateMode: 'semi-stable',
+        privateModeConfidence: 'semi-stable'
+    }
+});
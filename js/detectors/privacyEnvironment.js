@@ -0,0 +1,269 @@
+/**
+ * Privacy Environment Module
+ * Names the privacy tool or anti-detect browser a visitor uses, from the traces each one
+ * leaves: Brave exposes navigator.brave and farbles canvas and audio, Firefox with
+ * resistFingerprinting rounds timers, reports UTC and spoofs the core count, Tor Browser
+ * adds letterboxing and a fixed font set on top, and anti-detect browsers (Multilogin,
+ * GoLogin and the like) fake a profile that other signals contradict.
+ */
+class PrivacyEnvironmentDetector {
+    constructor() {
+        this.sectionId = 'privacy-environment';
+        this.sectionTitle = 'Privacy Environment';
+        this.environmentData = {
+            environment: 'none',
+            label: PrivacyEnvironmentDetector.LABELS.none,
+            evidence: []
+        };
+    }
+
+    /**
+     * Collect the evidence for every environment and pick the first one that qualifies
+     * @param {Object} context - Detector context provided by the orchestrator
+     * @returns {Promise<Object>} - Environment name, label, its evidence and the evidence per candidate
+     */
+    async detect(context = {}) {
+        const results = context.results || {};
+        this._createSection();
+
+        const gecko = this._isGecko();
+        const brave = this._braveEvidence(results);
+        const rfp = gecko ? this._rfpEvidence() : [];
+        const tor = gecko ? this._torEvidence(results.fonts) : [];
+        const antiDetect = this._antiDetectEvidence(results, brave.length > 0 || gecko);
+
+        const candidates = {
+            brave,
+            tor: rfp.length >= PrivacyEnvironmentDetector.MIN_RFP_EVIDENCE && tor.length > 0 ? tor.concat(rfp) : [],
+            firefoxRFP: rfp.length >= PrivacyEnvironmentDetector.MIN_RFP_EVIDENCE ? rfp : [],
+            antiDetect: antiDetect.length >= PrivacyEnvironmentDetector.MIN_ANTI_DETECT_EVIDENCE ? antiDetect : []
+        };
+
+        const environment = Object.keys(candidates).find(name => candidates[name].length > 0) || 'none';
+        Object.assign(this.environmentData, {
+            environment,
+            label: PrivacyEnvironmentDetector.LABELS[environment],
+            evidence: candidates[environment] || [],
+            candidates: { brave, rfp, tor, antiDetect }
+        });
+
+        this._updateUI();
+        return this.environmentData;
+    }
+
+    /**
+     * Create the privacy environment section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Gecko has no window.chrome and supports -moz- prefixed properties
+     */
+    _isGecko() {
+        return !window.chrome && !!(window.CSS && CSS.supports && CSS.supports('-moz-appearance', 'none'));
+    }
+
+    /**
+     * Brave: navigator.brave, and shields farbling canvas and audio reads
+     * @returns {string[]} - Evidence, empty if navigator.brave is missing
+     */
+    _braveEvidence(results) {
+        if (!navigator.brave || typeof navigator.brave.isBrave !== 'function') return [];
+
+        const evidence = ['navigator.brave.isBrave() exists'];
+        if (results.canvasNoise && results.canvasNoise.randomized) {
+            evidence.push(`Shields farble canvas reads (${results.canvasNoise.mode})`);
+        }
+        const audio = results.apiFingerprint && results.apiFingerprint.audio;
+        if (audio && audio.noiseDetected) {
+            evidence.push('Shields farble the audio fingerprint');
+        }
+        return evidence;
+    }
+
+    /**
+     * Firefox resistFingerprinting: rounded timers, UTC, a spoofed core count and a
+     * screen the size of the window
+     * @returns {string[]} - Evidence
+     */
+    _rfpEvidence() {
+        const evidence = [];
+
+        const precision = this._measureTimerPrecision();
+        this.environmentData.timerPrecision = precision;
+        if (precision >= PrivacyEnvironmentDetector.RFP_TIMER_PRECISION) {
+            evidence.push(`performance.now() advances in steps of ${precision} ms`);
+        }
+
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (new Date().getTimezoneOffset() === 0 && /^(UTC|Etc\/UTC|Atlantic\/Reykjavik)$/.test(timezone)) {
+            evidence.push(`Timezone is ${timezone}`);
+        }
+
+        if (navigator.hardwareConcurrency === PrivacyEnvironmentDetector.RFP_CORES) {
+            evidence.push(`hardwareConcurrency is ${PrivacyEnvironmentDetector.RFP_CORES}, the spoofed value`);
+        }
+
+        if (screen.width === window.innerWidth && screen.height === window.innerHeight) {
+            evidence.push(`Screen size equals the window size (${screen.width}x${screen.height})`);
+        }
+
+        return evidence;
+    }
+
+    /**
+     * Tor Browser: letterboxed window sizes and its bundled font set
+     * @returns {string[]} - Evidence
+     */
+    _torEvidence(fontData) {
+        const evidence = [];
+        const [stepWidth, stepHeight] = PrivacyEnvironmentDetector.LETTERBOX_STEP;
+
+        if (window.innerWidth > 0 && window.innerWidth % stepWidth === 0 && window.innerHeight % stepHeight === 0) {
+            evidence.push(`Window size ${window.innerWidth}x${window.innerHeight} is letterboxed to multiples of ${stepWidth}x${stepHeight}`);
+        }
+
+        if (fontData && fontData.supported && fontData.count <= PrivacyEnvironmentDetector.TOR_MAX_FONTS) {
+            evidence.push(`Only ${fontData.count} of ${fontData.tested} fonts are available (fixed font set)`);
+        }
+
+        return evidence;
+    }
+
+    /**
+     * Anti-detect browsers: a spoofed profile that the other detectors contradict
+     * Canvas and audio noise only count outside Brave and Firefox, which add it themselves.
+     * @returns {string[]} - Evidence
+     */
+    _antiDetectEvidence(results, nativeNoise) {
+        const evidence = [];
+
+        const ua = results.uaConsistency;
+        if (ua && ua.mismatches && ua.mismatches.length > 0) {
+            const titles = [...new Set(ua.mismatches.map(mismatch => mismatch.title))];
+            evidence.push(`User agent contradicted by: ${titles.join(', ')}`);
+        }
+
+        const realms = results.realmConsistency;
+        if (realms && realms.mismatches && realms.mismatches.length > 0) {
+            const signals = [...new Set(realms.mismatches.map(mismatch => mismatch.signal))];
+            evidence.push(`Workers or iframes report different ${signals.join(', ')}`);
+        }
+
+        const canvas = results.canvasFingerprint;
+        if (canvas && canvas.webglRendererSpoofed) {
+            evidence.push(`Spoofed WebGL renderer: ${canvas.webglSpoofingReasons.join('; ')}`);
+        }
+
+        if (!nativeNoise) {
+            if (results.canvasNoise && results.canvasNoise.randomized) {
+                evidence.push(`Canvas noise (${results.canvasNoise.mode}) in a browser without built-in farbling`);
+            }
+            const audio = results.apiFingerprint && results.apiFingerprint.audio;
+            if (audio && audio.noiseDetected) {
+                evidence.push('Audio noise in a browser without built-in farbling');
+            }
+        }
+
+        return evidence;
+    }
+
+    /**
+     * Smallest step of performance.now(), sampled for up to TIMER_SAMPLE_MS
+     * @returns {number} - Milliseconds, rounded to the microsecond
+     */
+    _measureTimerPrecision() {
+        const start = performance.now();
+        let last = start;
+        let smallest = Infinity;
+        let steps = 0;
+
+        while (steps < PrivacyEnvironmentDetector.TIMER_STEPS) {
+            const now = performance.now();
+            if (now !== last) {
+                smallest = Math.min(smallest, now - last);
+                last = now;
+                steps++;
+            }
+            if (now - start >= PrivacyEnvironmentDetector.TIMER_SAMPLE_MS) break;
+        }
+
+        // No step at all means the timer is coarser than the sample window
+        if (smallest === Infinity) smallest = PrivacyEnvironmentDetector.TIMER_SAMPLE_MS;
+        return Math.round(smallest * 1000) / 1000;
+    }
+
+    /**
+     * Update the privacy environment section
+     */
+    _updateUI() {
+        const data = this.environmentData;
+
+        window.utils.addInfo(this.sectionId, 'Environment', data.label,
+            data.environment === 'none' ? 'positive-indicator' : 'warning-indicator');
+        if (data.evidence.length > 0) {
+            window.utils.addInfo(this.sectionId, 'Evidence', data.evidence.join('; '));
+        }
+        if (typeof data.timerPrecision === 'number') {
+            window.utils.addInfo(this.sectionId, 'Timer Precision', `${data.timerPrecision} ms`);
+        }
+
+        // Evidence that did not reach a verdict on its own
+        const { rfp, tor, antiDetect } = data.candidates;
+        if (data.environment !== 'firefoxRFP' && data.environment !== 'tor' && rfp.length > 0) {
+            window.utils.addInfo(this.sectionId, 'resistFingerprinting Traces', rfp.join('; '));
+        }
+        if (data.environment !== 'tor' && tor.length > 0) {
+            window.utils.addInfo(this.sectionId, 'Tor Browser Traces', tor.join('; '));
+        }
+        if (data.environment !== 'antiDetect' && antiDetect.length > 0) {
+            window.utils.addInfo(this.sectionId, 'Profile Inconsistencies', antiDetect.join('; '));
+        }
+    }
+}
+
+PrivacyEnvironmentDetector.LABELS = {
+    brave: 'Brave',
+    tor: 'Tor Browser',
+    firefoxRFP: 'Firefox with resistFingerprinting',
+    antiDetect: 'Anti-detect browser',
+    none: 'None detected'
+};
+
+// resistFingerprinting evidence needed for Firefox RFP, and with a Tor trace for Tor Browser
+PrivacyEnvironmentDetector.MIN_RFP_EVIDENCE = 2;
+
+// Independent profile inconsistencies needed for an anti-detect browser
+PrivacyEnvironmentDetector.MIN_ANTI_DETECT_EVIDENCE = 2;
+
+// resistFingerprinting rounds timers to 16.67 ms or coarser and reports 2 cores
+PrivacyEnvironmentDetector.RFP_TIMER_PRECISION = 16;
+PrivacyEnvironmentDetector.RFP_CORES = 2;
+
+// Timer steps to observe, and the longest time to spend waiting for them
+PrivacyEnvironmentDetector.TIMER_STEPS = 5;
+PrivacyEnvironmentDetector.TIMER_SAMPLE_MS = 150;
+
+// Tor Browser letterboxes the content area to multiples of 200x100 pixels
+PrivacyEnvironmentDetector.LETTERBOX_STEP = [200, 100];
+
+// Most fonts Tor Browser exposes from the tested list
+PrivacyEnvironmentDetector.TOR_MAX_FONTS = 12;
+
+// Export the detector
+window.PrivacyEnvironmentDetector = PrivacyEnvironmentDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('privacyEnvironment', PrivacyEnvironmentDetector, {
+    tab: 'tab-privacy',
+    title: 'Privacy Environment',
+    sections: ['privacy-environment'],
+    // Weighs the noise, font, consistency and spoofing findings of the ones that run
+    optionalDependencies: ['canvasNoise', 'apiFingerprint', 'fonts', 'uaConsistency', 'realmConsistency', 'canvasFingerprint'],
+    signals: {
+        environment: 'stable',
+        label: 'stable'
+    }
+});
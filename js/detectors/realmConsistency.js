@@ -0,0 +1,256 @@
+/**
+ * Cross-Realm Consistency Module
+ * Spoofing extensions and anti-detect browsers patch navigator and WebGL in the page,
+ * but often not in the other JavaScript realms of the same browser. This module reads
+ * the same signals in a sandboxed same-origin iframe, a dedicated worker and a service
+ * worker and flags every value that differs from the top window.
+ */
+class RealmConsistencyDetector {
+    constructor() {
+        this.sectionId = 'realm-info';
+        this.sectionTitle = 'Cross-Realm Consistency';
+        this.realmData = {
+            realms: {},
+            mismatches: []
+        };
+    }
+
+    /**
+     * Read the signals in every realm and compare them
+     * @returns {Promise<Object>} - Signals per realm and the mismatches, resolved once every realm answered or timed out
+     */
+    async detect() {
+        this._createSection();
+
+        this.realmData.realms.top = this._realm(collectRealmSignals(window));
+
+        const [iframe, worker, serviceWorker] = await Promise.all([
+            this._probe(() => this._probeIframe()),
+            this._probe(signal => this._probeWorker(signal)),
+            this._probe(signal => this._probeServiceWorker(signal))
+        ]);
+        Object.assign(this.realmData.realms, { iframe, worker, serviceWorker });
+
+        this.realmData.mismatches = this._compare();
+        this._updateUI();
+
+        return this.realmData;
+    }
+
+    /**
+     * Bot score component
+     * @returns {number|null} - 1 if any realm disagrees with the top window, null if no other realm could be read
+     */
+    getBotScore() {
+        const compared = Object.keys(this.realmData.realms)
+            .filter(name => name !== 'top' && this.realmData.realms[name].available);
+        if (compared.length === 0) return null;
+
+        return this.realmData.mismatches.length > 0 ? 1 : 0;
+    }
+
+    /**
+     * Create the cross-realm section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Wrap the signals of a realm that answered
+     */
+    _realm(signals) {
+        return { available: true, error: null, signals };
+    }
+
+    /**
+     * Run a realm probe with a time limit
+     * The signal passed to the probe aborts on timeout, so the probe can end its
+     * request and clean up its worker even though its answer is no longer awaited.
+     * @param {Function} probe - Takes an AbortSignal, returns a promise of the realm signals
+     * @returns {Promise<Object>} - The realm, with the reason if it is unavailable
+     */
+    async _probe(probe) {
+        const controller = new AbortController();
+        const timeout = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(new Error('No answer')));
+        });
+        const timer = setTimeout(() => controller.abort(), RealmConsistencyDetector.REALM_TIMEOUT);
+
+        try {
+            return this._realm(await Promise.race([probe(controller.signal), timeout]));
+        } catch (e) {
+            return { available: false, error: e.message, signals: null };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Read the signals in a sandboxed same-origin iframe
+     * The sandbox blocks scripts in the frame; the parent reads its globals directly.
+     */
+    async _probeIframe() {
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-same-origin');
+        iframe.setAttribute('aria-hidden', 'true');
+        iframe.style.display = 'none';
+
+        (document.body || document.documentElement).appendChild(iframe);
+        try {
+            if (!iframe.contentWindow) throw new Error('Iframe has no window');
+            return collectRealmSignals(iframe.contentWindow);
+        } finally {
+            iframe.remove();
+        }
+    }
+
+    /**
+     * Read the signals in a dedicated worker
+     * @param {AbortSignal} signal - Aborts the request on timeout
+     */
+    async _probeWorker(signal) {
+        if (typeof Worker !== 'function') throw new Error('Workers not supported');
+
+        const worker = new Worker(RealmConsistencyDetector.PROBE_URL);
+        try {
+            return await new Promise((resolve, reject) => {
+                worker.onerror = () => reject(new Error('Worker failed to load'));
+                this._request(worker, signal).then(resolve, reject);
+            });
+        } finally {
+            worker.terminate();
+        }
+    }
+
+    /**
+     * Read the signals in a service worker
+     * The probe is registered for its own directory so it never controls a page,
+     * and unregistered again once it answered or timed out.
+     * @param {AbortSignal} signal - Aborts the request on timeout
+     */
+    async _probeServiceWorker(signal) {
+        if (!navigator.serviceWorker) throw new Error('Service workers not supported');
+
+        const scope = new URL('./', RealmConsistencyDetector.PROBE_URL).href;
+        const registration = await navigator.serviceWorker.register(RealmConsistencyDetector.PROBE_URL, { scope });
+        try {
+            const worker = registration.installing || registration.waiting || registration.active;
+            if (!worker) throw new Error('Service worker did not start');
+            return await this._request(worker, signal);
+        } finally {
+            registration.unregister().catch(() => {});
+        }
+    }
+
+    /**
+     * Ask a worker for its signals over a MessageChannel
+     * @param {Worker|ServiceWorker} worker - Worker running realmProbe.js
+     * @param {AbortSignal} signal - Rejects the request and closes the channel when aborted
+     * @returns {Promise<Object>} - Signals of the worker realm
+     */
+    _request(worker, signal) {
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            const abort = () => {
+                channel.port1.close();
+                reject(new Error('No answer'));
+            };
+            // A service worker registration can outlast the timeout
+            if (signal.aborted) {
+                abort();
+                return;
+            }
+            signal.addEventListener('abort', abort, { once: true });
+
+            channel.port1.onmessage = event => {
+                signal.removeEventListener('abort', abort);
+                channel.port1.close();
+                resolve(event.data);
+            };
+            worker.postMessage({ type: 'collect-realm-signals' }, [channel.port2]);
+        });
+    }
+
+    /**
+     * Compare every realm with the top window
+     * Signals missing in either realm (e.g. no WebGL in workers) are not compared.
+     * @returns {Object[]} - Mismatches as {signal, realm, top, value}
+     */
+    _compare() {
+        const realms = this.realmData.realms;
+        const top = realms.top.signals;
+        const mismatches = [];
+
+        Object.keys(realms).forEach(name => {
+            if (name === 'top' || !realms[name].available) return;
+
+            RealmConsistencyDetector.SIGNALS.forEach(signal => {
+                const topValue = top[signal];
+                const value = realms[name].signals[signal];
+                if (topValue === null || topValue === undefined || value === null || value === undefined) return;
+
+                if (JSON.stringify(topValue) !== JSON.stringify(value)) {
+                    mismatches.push({ signal, realm: name, top: topValue, value });
+                }
+            });
+        });
+
+        return mismatches;
+    }
+
+    /**
+     * Update the cross-realm section
+     */
+    _updateUI() {
+        const { realms, mismatches } = this.realmData;
+        const format = value => (Array.isArray(value) ? value.join(', ') : String(value));
+
+        window.utils.addInfo(this.sectionId, 'Realms Consistent',
+            mismatches.length === 0,
+            mismatches.length === 0 ? 'positive-indicator' : 'negative-indicator');
+
+        Object.keys(realms).forEach(name => {
+            if (name === 'top') return;
+            const realm = realms[name];
+            window.utils.addInfo(this.sectionId, `${RealmConsistencyDetector.LABELS[name]} Realm`,
+                realm.available ? 'Compared' : `Unavailable: ${realm.error}`);
+        });
+
+        mismatches.forEach(mismatch => {
+            window.utils.addInfo(this.sectionId,
+                `${mismatch.signal} (${RealmConsistencyDetector.LABELS[mismatch.realm]})`,
+                `Top window: ${format(mismatch.top)} | ${RealmConsistencyDetector.LABELS[mismatch.realm]}: ${format(mismatch.value)}`,
+                'negative-indicator');
+        });
+    }
+}
+
+RealmConsistencyDetector.SIGNALS = ['userAgent', 'platform', 'hardwareConcurrency', 'languages', 'timezone', 'webglRenderer'];
+
+RealmConsistencyDetector.LABELS = {
+    iframe: 'Sandboxed Iframe',
+    worker: 'Dedicated Worker',
+    serviceWorker: 'Service Worker'
+};
+
+// Milliseconds to wait for a realm to answer
+RealmConsistencyDetector.REALM_TIMEOUT = 3000;
+
+// The worker script is resolved against this file, so pages in other directories find it
+RealmConsistencyDetector.PROBE_URL = document.currentScript
+    ? new URL('../workers/realmProbe.js', document.currentScript.src).href
+    : 'js/workers/realmProbe.js';
+
+// Export the detector
+window.RealmConsistencyDetector = RealmConsistencyDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('realmConsistency', RealmConsistencyDetector, {
+    tab: 'tab-bot',
+    title: 'Cross-Realm Consistency',
+    sections: ['realm-info'],
+    // Longer than a single realm timeout, the realms are probed in parallel
+    timeout: 6000,
+    weight: 0.15
+});
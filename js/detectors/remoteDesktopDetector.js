@@ -68,47 +68,14 @@ class RemoteDesktopDetector {
     }
     
     /**
-     * Create the info section in the DOM
+     * Create the info section
      */
     _createSection() {
-        try {
-            // Find the tab content element
-            const tabContent = document.getElementById(this.tabId);
-            if (!tabContent) {
-                window.utils.log(`Tab content element with ID ${this.tabId} not found`, 'error');
-                return;
-            }
-            
-            // Create section if it doesn't exist
-            if (!document.getElementById(this.sectionId)) {
-                window.utils.log('Creating remote desktop detection section', 'info');
-                
-                // Create the section
-                const section = document.createElement('div');
-                section.id = this.sectionId;
-                section.className = 'info-section';
-                
-                // Add heading
-                const heading = document.createElement('h2');
-                heading.textContent = 'Remote Desktop Detection';
-                section.appendChild(heading);
-                
-                // Add property list container
-                const propertyList = document.createElement('div');
-                propertyList.className = 'property-list';
-                section.appendChild(propertyList);
-                
-                // Add to tab content
-                tabContent.appendChild(section);
-                
-                // Add initial status
-                window.utils.addInfo(this.sectionId, 'Status', 'Analyzing...', 'section-subheader');
-            } else {
-                window.utils.log('Remote desktop section already exists', 'info');
-            }
-        } catch (e) {
-            window.utils.log('Error creating remote desktop section: ' + e.message, 'error');
-        }
+        window.utils.log('Creating remote desktop detection section', 'info');
+        window.utils.createInfoSection(this.sectionId, 'Remote Desktop Detection');
+        
+        // Add initial status
+        window.utils.addInfo(this.sectionId, 'Status', 'Analyzing...', 'section-subheader');
     }
     
     /**
@@ -442,7 +409,7 @@ class RemoteDesktopDetector {
             };
             
             // Detect refresh rate
-            this._detectRefreshRate().then(refreshRate => {
+            this.refreshRateDetection = this._detectRefreshRate().then(refreshRate => {
                 screenData.refreshRate = refreshRate;
                 
                 // Update UI with refresh rate info
@@ -644,9 +611,11 @@ class RemoteDesktopDetector {
     }
     
     /**
-     * Detect virtual hardware through WebGL
+     * Detect virtual hardware through WebGL, the WebGPU adapter and the media devices
+     * @param {Object|null} gpuData - WebGPU detector results
+     * @param {Object|null} mediaData - Media detector results
      */
-    detectVirtualHardware() {
+    detectVirtualHardware(gpuData = null, mediaData = null) {
         try {
             const canvas = document.createElement('canvas');
             const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
@@ -660,6 +629,8 @@ class RemoteDesktopDetector {
                 
                 window.utils.addInfo(this.sectionId, 'Hardware Detection', '', 'section-subheader');
                 window.utils.addInfo(this.sectionId, 'WebGL Support', 'Not available');
+                this._checkWebGPUAdapter(gpuData);
+                this._checkMediaDevices(mediaData);
                 return this.results.hardware;
             }
             
@@ -667,22 +638,11 @@ class RemoteDesktopDetector {
             const vendor = gl.getParameter(gl.VENDOR);
             
             // Check for common virtual GPU strings
-            const virtualGPUs = [
-                'VMware', 'VirtualBox', 'llvmpipe', 'SwiftShader', 
-                'Microsoft Basic Render', 'Parallels', 'SVGA3D'
-            ];
-            
-            // Add KVM-related GPU indicators
-            const kvmGPUs = [
-                'QXL', 'virtio', 'Cirrus', 'vgasave', 'SPICE',
-                'Red Hat', 'Bochs', 'QEMU'
-            ];
-            
-            const isVirtual = virtualGPUs.some(vgpu => 
+            const isVirtual = RemoteDesktopDetector.VIRTUAL_GPUS.some(vgpu => 
                 renderer.includes(vgpu) || vendor.includes(vgpu)
             );
             
-            const isKvmGpu = kvmGPUs.some(vgpu => 
+            const isKvmGpu = RemoteDesktopDetector.KVM_GPUS.some(vgpu => 
                 renderer.includes(vgpu) || vendor.includes(vgpu)
             );
             
@@ -707,6 +667,9 @@ class RemoteDesktopDetector {
                 this.results.type = 'kvm';
             }
             
+            this._checkWebGPUAdapter(gpuData);
+            this._checkMediaDevices(mediaData);
+            
             return this.results.hardware;
         } catch (e) {
             window.utils.log('Error detecting virtual hardware: ' + e.message, 'error');
@@ -714,22 +677,86 @@ class RemoteDesktopDetector {
         }
     }
     
+    /**
+     * Add the WebGPU adapter to the virtual hardware evidence
+     * A fallback adapter is a software implementation, which VMs and GPU-less headless
+     * browsers get. The adapter strings are lower case, e.g. "swiftshader".
+     * @param {Object|null} gpuData - WebGPU detector results
+     */
+    _checkWebGPUAdapter(gpuData) {
+        if (!gpuData || !gpuData.adapterAvailable) return;
+        
+        const hardware = this.results.hardware;
+        const adapter = [gpuData.vendor, gpuData.architecture, gpuData.device, gpuData.description]
+            .filter(Boolean).join(' ');
+        const matches = list => list.some(vgpu => adapter.toLowerCase().includes(vgpu.toLowerCase()));
+        
+        hardware.webgpuAdapter = adapter;
+        hardware.webgpuFallback = gpuData.isFallbackAdapter;
+        
+        if (gpuData.isFallbackAdapter || matches(RemoteDesktopDetector.VIRTUAL_GPUS)) {
+            hardware.isVirtual = true;
+        }
+        if (matches(RemoteDesktopDetector.KVM_GPUS) && !hardware.isKvmGpu) {
+            hardware.isKvmGpu = true;
+            this.results.kvmIndicators.detected = true;
+            this.results.type = 'kvm';
+        }
+        
+        window.utils.addInfo(this.sectionId, 'WebGPU Adapter', adapter || 'Not reported');
+        window.utils.addInfo(this.sectionId, 'WebGPU Fallback Adapter',
+            gpuData.isFallbackAdapter ? 'Yes (software GPU, likely VM or headless)' : 'No',
+            gpuData.isFallbackAdapter ? 'warning-indicator' : '');
+    }
+    
+    /**
+     * Add the media devices to the virtual hardware evidence
+     * Before permission Chromium still lists one entry for each kind of device present, so
+     * a machine with speakers has at least one. VMs and headless browsers have no audio device.
+     * Other engines may hide the devices until permission, so only Chromium counts.
+     * @param {Object|null} mediaData - Media detector results
+     */
+    _checkMediaDevices(mediaData) {
+        if (!mediaData || !mediaData.devicesSupported) return;
+        
+        const hardware = this.results.hardware;
+        const noDevices = mediaData.deviceCount === 0;
+        hardware.mediaDevices = mediaData.deviceCount;
+        
+        if (noDevices && window.chrome) {
+            hardware.isVirtual = true;
+        }
+        
+        window.utils.addInfo(this.sectionId, 'Media Devices',
+            noDevices ? 'None (likely VM or headless)' : mediaData.deviceCount,
+            noDevices ? 'warning-indicator' : '');
+    }
+    
     /**
      * Run all detection methods and calculate overall likelihood
+     * @param {Object} context - Detector context provided by the orchestrator
+     * @returns {Promise<Object|null>} - Detection results, resolved once the refresh rate is measured
      */
-    detect() {
+    async detect(context = {}) {
         try {
             window.utils.log('Running remote desktop detection', 'info');
+            const gpuData = context.results ? context.results.webgpu : null;
+            const mediaData = context.results ? context.results.media : null;
             
             // Run all detection methods
             this.detectScreenProperties();
-            this.detectVirtualHardware();
+            this.detectVirtualHardware(gpuData, mediaData);
             this.detectReducedMotion();
             this.detectRemoteSoftware();
             
             // Calculate confidence score (will be updated as more data comes in)
             this._calculateConfidence();
             
+            // The refresh rate sampling recalculates the confidence when it finishes
+            if (this.refreshRateDetection) {
+                await this.refreshRateDetection;
+            }
+            
             return this.results;
         } catch (e) {
             window.utils.log('Error in remote desktop detection: ' + e.message, 'error');
@@ -1038,5 +1065,33 @@ class RemoteDesktopDetector {
     }
 }
 
+// GPU strings of virtual machines and software renderers
+RemoteDesktopDetector.VIRTUAL_GPUS = [
+    'VMware', 'VirtualBox', 'llvmpipe', 'SwiftShader', 
+    'Microsoft Basic Render', 'Parallels', 'SVGA3D'
+];
+
+// KVM-related GPU indicators
+RemoteDesktopDetector.KVM_GPUS = [
+    'QXL', 'virtio', 'Cirrus', 'vgasave', 'SPICE',
+    'Red Hat', 'Bochs', 'QEMU'
+];
+
 // Export for use in main.js
-window.RemoteDesktopDetector = RemoteDesktopDetector; 
\ No newline at end of file
+window.RemoteDesktopDetector = RemoteDesktopDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('remoteDesktop', RemoteDesktopDetector, {
+    tab: 'tab-remote-desktop',
+    title: 'Remote Desktop Detection',
+    sections: ['remote-desktop-info'],
+    globalName: 'remoteDesktopDetector',
+    // A WebGPU fallback adapter and a machine without media devices count as virtual hardware,
+    // when those detectors run
+    optionalDependencies: ['webgpu', 'media'],
+    // Everything else depends on the current input behavior
+    signals: {
+        hardware: 'stable',
+        screenProperties: 'semi-stable'
+    }
+});
@@ -0,0 +1,172 @@
+/**
+ * Session Recorder Module
+ * Records the full pointer, click, scroll and key timing stream as an InteractionTimeline,
+ * sampling the bot and remote-access scores once per window so a replay shows what
+ * the detectors concluded at each point.
+ */
+class SessionRecorder {
+    constructor() {
+        this.sectionId = 'session-recording';
+        this.sectionTitle = 'Session Recording';
+        this.timeline = new InteractionTimeline();
+        this.recordingData = {};
+        this.lastScore = null;
+        this.interval = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Start recording
+     * @param {Object} context - Detector context provided by the orchestrator
+     * @returns {Promise<Object>} - Recording stats; the recording itself is read with getRecording()
+     */
+    async detect(context = {}) {
+        // No dependencies so recording starts right away; the scores are read from
+        // the bot and mouse detector instances once they exist
+        this.detectors = context.detectors || {};
+
+        this._createSection();
+        this._setupRecording();
+        this._updateStats();
+
+        // Sample the scores once per window and keep the stats current
+        this.interval = setInterval(() => {
+            this._recordScores();
+            this._updateStats();
+            // Nothing more can be added once the timeline is full
+            if (this.timeline.truncated) this.stop();
+        }, SessionRecorder.SCORE_WINDOW);
+
+        this._createPlayer();
+
+        return this.recordingData;
+    }
+
+    /**
+     * Stop recording
+     * Called once the timeline is full, and by FingerprintEngine.stop(). The recording stays readable.
+     */
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+        this.listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+        this.listeners = [];
+        this._updateStats();
+    }
+
+    /**
+     * Get the recording as plain JSON, uncompressed
+     * @returns {Object} - Serialized InteractionTimeline
+     */
+    getRecording() {
+        return this.timeline.toJSON();
+    }
+
+    /**
+     * Get the recording as plain JSON, compressed where the browser supports it
+     * @returns {Promise<Object>} - Serialized InteractionTimeline
+     */
+    compressRecording() {
+        return this.timeline.compress();
+    }
+
+    /**
+     * Create the session recording section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Listen for interaction events
+     * Capture phase, so handlers that stop propagation don't hide events.
+     */
+    _setupRecording() {
+        const timeline = this.timeline;
+
+        this._listen(document, 'mousemove', e => timeline.add('move', { x: e.clientX, y: e.clientY }));
+        this._listen(document, 'mousedown', e => timeline.add('down', { button: e.button, x: e.clientX, y: e.clientY }));
+        this._listen(document, 'mouseup', e => timeline.add('up', { button: e.button, x: e.clientX, y: e.clientY }));
+        this._listen(document, 'wheel', e => timeline.add('wheel', { dx: e.deltaX, dy: e.deltaY }));
+        this._listen(document, 'keydown', e => timeline.add('keydown', { key: InteractionTimeline.keyClass(e.key) }));
+        this._listen(document, 'keyup', e => timeline.add('keyup', { key: InteractionTimeline.keyClass(e.key) }));
+        this._listen(window, 'scroll', () => timeline.add('scroll', { x: window.scrollX, y: window.scrollY }));
+    }
+
+    /**
+     * Add a capturing, passive listener that stop() removes again
+     */
+    _listen(target, type, handler) {
+        const options = { capture: true, passive: true };
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Record the current bot and remote-access scores if they changed
+     */
+    _recordScores() {
+        const bot = this.detectors.botDetection;
+        const mouse = this.detectors.mouseInteraction;
+        if (!bot && !mouse) return;
+
+        const score = {
+            bot: bot ? Math.round((bot.detectionScores.overallScore || 0) * 100) : 0,
+            remote: mouse ? mouse.mouseData.remoteAccessScore : 0
+        };
+
+        if (this.lastScore && this.lastScore.bot === score.bot && this.lastScore.remote === score.remote) return;
+
+        this.timeline.add('score', score);
+        this.lastScore = score;
+    }
+
+    /**
+     * Update the recording stats
+     */
+    _updateStats() {
+        this.recordingData.events = this.timeline.count;
+        this.recordingData.duration = this.timeline.lastTime;
+        this.recordingData.bytes = this.timeline.length;
+        this.recordingData.truncated = this.timeline.truncated;
+
+        window.utils.addInfo(this.sectionId, 'Recorded Events', this.timeline.count);
+        window.utils.addInfo(this.sectionId, 'Recorded Time', `${(this.timeline.lastTime / 1000).toFixed(1)} s`);
+        window.utils.addInfo(this.sectionId, 'Recording Size',
+            `${(this.timeline.length / 1024).toFixed(1)} of ${this.timeline.maxBytes / 1024} KB`);
+        window.utils.addInfo(this.sectionId, 'Recording Limit Reached',
+            this.timeline.truncated, this.timeline.truncated ? 'warning-indicator' : '');
+    }
+
+    /**
+     * Add a replay player when the report is being rendered
+     */
+    _createPlayer() {
+        const section = window.utils.getSectionElement(this.sectionId);
+        if (!section) return;
+
+        const player = new ReplayPlayer(section);
+        const loadButton = document.createElement('button');
+        loadButton.type = 'button';
+        loadButton.textContent = 'Load Recording So Far';
+        loadButton.addEventListener('click', () => {
+            player.load(this.getRecording()).catch(e => {
+                window.utils.log('Could not load the recording: ' + e.message, 'error');
+            });
+        });
+        player.element.querySelector('.replay-controls').prepend(loadButton);
+    }
+}
+
+// Milliseconds between score samples
+SessionRecorder.SCORE_WINDOW = 1000;
+
+// Export the detector
+window.SessionRecorder = SessionRecorder;
+
+// Register the detector
+window.fingerprint.registerDetector('sessionRecorder', SessionRecorder, {
+    tab: 'tab-interaction',
+    title: 'Session Recording',
+    sections: ['session-recording']
+});
@@ -12,10 +12,14 @@ class SystemDetector {
 
     /**
      * Run all system detection tests
+     * @param {Object} context - Detector context provided by the orchestrator
+     * @returns {Promise<Object>} - Collected system data
      */
-    detect() {
+    async detect(context = {}) {
+        const browserData = context.results ? context.results.browser : null;
+        
         this._createSection();
-        this._detectOS();
+        this._detectOS(browserData ? browserData.clientHints : null);
         this._detectCPU();
         this._detectMemory();
         this._detectTimezone();
@@ -32,8 +36,9 @@ class SystemDetector {
 
     /**
      * Detect operating system information
+     * @param {Object|null} clientHints - Client hints collected by the browser detector
      */
-    _detectOS() {
+    _detectOS(clientHints) {
         const ua = navigator.userAgent;
         let os = 'Unknown';
         let osVersion = '';
@@ -55,18 +60,29 @@ class SystemDetector {
             } else {
                 osVersion = 'Unknown';
             }
-        } else if (/Linux/.test(ua)) {
-            os = 'Linux';
         } else if (/Android/.test(ua)) {
+            // Before Linux, Android user agents contain "Linux" too
             os = 'Android';
             osVersion = ua.match(/Android ([0-9.]+)/);
             osVersion = osVersion ? osVersion[1] : 'Unknown';
+        } else if (/Linux/.test(ua)) {
+            os = 'Linux';
         } else if (/iPhone|iPad|iPod/.test(ua)) {
             os = 'iOS';
             osVersion = ua.match(/OS ([0-9_]+)/);
             osVersion = osVersion ? osVersion[1].replace(/_/g, '.') : 'Unknown';
         }
         
+        // The user agent is frozen at Windows 10, macOS 10.15.7 and Android 10;
+        // the client hints platform version is the real one
+        const hintsVersion = this._getClientHintsVersion(os, clientHints);
+        if (hintsVersion) {
+            osVersion = hintsVersion;
+            this.systemData.osVersionSource = 'client hints';
+        } else {
+            this.systemData.osVersionSource = 'user agent';
+        }
+        
         this.systemData.os = os;
         this.systemData.osVersion = osVersion;
         
@@ -74,6 +90,34 @@ class SystemDetector {
         window.utils.addInfo(this.sectionId, 'Platform', navigator.platform || 'Not available');
     }
 
+    /**
+     * Map the client hints platform version to an OS version
+     * @param {string} os - OS parsed from the user agent
+     * @param {Object|null} clientHints - Client hints
+     * @returns {string|null} - OS version, null if the hints don't refine it
+     */
+    _getClientHintsVersion(os, clientHints) {
+        if (!clientHints || !clientHints.platformVersion) return null;
+        
+        const version = clientHints.platformVersion;
+        const major = parseInt(version, 10);
+        
+        if (os === 'Windows' && clientHints.platform === 'Windows') {
+            // Windows reports the UniversalApiContract version: 13+ is Windows 11, 1-10 Windows 10,
+            // 0 is Windows 7 to 8.1, which the user agent already tells apart
+            if (major >= 13) return '11';
+            if (major >= 1) return '10';
+            return null;
+        }
+        
+        if ((os === 'macOS' && clientHints.platform === 'macOS') ||
+            (os === 'Android' && clientHints.platform === 'Android')) {
+            return version.replace(/(\.0)+$/, '') || version;
+        }
+        
+        return null;
+    }
+
     /**
      * Detect CPU information
      */
@@ -117,4 +161,22 @@ class SystemDetector {
 }
 
 // Export the detector
-window.SystemDetector = SystemDetector; 
\ No newline at end of file
+window.SystemDetector = SystemDetector; 
+
+// Register the detector
+window.fingerprint.registerDetector('system', SystemDetector, {
+    tab: 'tab-system',
+    title: 'System Information',
+    sections: ['system-info'],
+    // Refines the OS version with the client hints read by the browser detector
+    dependencies: ['browser'],
+    signals: {
+        os: 'stable',
+        osVersion: 'semi-stable',
+        osVersionSource: 'stable',
+        cpuCores: 'stable',
+        deviceMemory: 'stable',
+        timezone: 'semi-stable',
+        timezoneOffset: 'semi-stable'
+    }
+});
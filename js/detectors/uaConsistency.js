@@ -0,0 +1,93 @@
+/**
+ * User Agent Consistency Module
+ * Gathers the signals that describe the platform (client hints, navigator.platform,
+ * WebGL renderer, installed fonts, speech voices, JavaScript engine) and runs them through the
+ * UAConsistencyEngine. The bot detector scores its mismatches as a fake user agent.
+ */
+class UAConsistencyDetector {
+    constructor() {
+        this.sectionId = 'ua-consistency';
+        this.sectionTitle = 'User Agent Consistency';
+        this.consistencyData = {};
+    }
+
+    /**
+     * Collect the signals and evaluate the consistency rules
+     * @param {Object} context - Detector context provided by the orchestrator
+     * @returns {Promise<Object>} - Claimed platform, mismatches and the checked and skipped rules
+     */
+    async detect(context = {}) {
+        const results = context.results || {};
+        const browserData = results.browser || {};
+        const graphicsData = results.graphics || {};
+        const fontData = results.fonts || {};
+        const mediaData = results.media || {};
+        const engineData = results.jsEngine || null;
+
+        this._createSection();
+
+        const signals = {
+            userAgent: browserData.userAgent || navigator.userAgent,
+            clientHints: browserData.clientHints || null,
+            platform: navigator.platform || null,
+            webglRenderer: graphicsData.glRenderer || null,
+            fontOS: fontData.supported ? fontData.fontOS : null,
+            voiceOS: mediaData.voicesSupported ? mediaData.voiceOS : null,
+            jsEngine: engineData && engineData.traits ? engineData : null
+        };
+
+        const evaluation = new UAConsistencyEngine().evaluate(signals);
+        Object.assign(this.consistencyData, evaluation);
+
+        this._updateUI();
+        return this.consistencyData;
+    }
+
+    /**
+     * Create the consistency section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Update the consistency section
+     */
+    _updateUI() {
+        const data = this.consistencyData;
+        const claimed = data.claimed;
+
+        window.utils.addInfo(this.sectionId, 'Claimed Platform',
+            `${claimed.browser}${claimed.majorVersion ? ' ' + claimed.majorVersion : ''} (${claimed.engine}) on ${claimed.os}${claimed.mobile ? ', mobile' : ''}`);
+        window.utils.addInfo(this.sectionId, 'Consistent',
+            data.mismatches.length === 0,
+            data.mismatches.length === 0 ? 'positive-indicator' : 'negative-indicator');
+
+        // One row per rule, a rule can report several mismatches
+        const byRule = {};
+        data.mismatches.forEach(mismatch => {
+            (byRule[mismatch.title] = byRule[mismatch.title] || []).push(mismatch.message);
+        });
+        Object.keys(byRule).forEach(title => {
+            window.utils.addInfo(this.sectionId, title, byRule[title].join('; '), 'negative-indicator');
+        });
+
+        window.utils.addInfo(this.sectionId, 'Rules Checked', data.checked.length);
+        if (data.skipped.length > 0) {
+            window.utils.addInfo(this.sectionId, 'Rules Skipped (signal unavailable)', data.skipped.join(', '));
+        }
+    }
+}
+
+// Export the detector
+window.UAConsistencyDetector = UAConsistencyDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('uaConsistency', UAConsistencyDetector, {
+    tab: 'tab-browser',
+    title: 'User Agent Consistency',
+    sections: ['ua-consistency'],
+    // Reads the user agent and client hints, the WebGL renderer, the font set, the speech voices and the
+    // engine traits when those detectors run; the rules whose signal is missing are skipped
+    optionalDependencies: ['browser', 'graphics', 'fonts', 'media', 'jsEngine']
+});
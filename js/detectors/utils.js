@@ -71,6 +71,12 @@ function createInfoSection(id, title) {
  * @returns {HTMLElement|null} - The tab content element
  */
 function findAppropriateTab(sectionId) {
+    // Registered detectors declare which tab their sections belong to
+    const registeredTab = window.fingerprint && window.fingerprint.registry.getTabForSection(sectionId);
+    if (registeredTab && document.getElementById(registeredTab)) {
+        return document.getElementById(registeredTab);
+    }
+    
     const tabMap = {
         'browser-info': document.getElementById('tab-browser'),
         'system-info': document.getElementById('tab-system'),
@@ -93,7 +99,7 @@ function findAppropriateTab(sectionId) {
     
     // Log for debugging
     log(`Finding tab for section ID: ${sectionId}`, 'info');
-    const foundTab = tabMap[sectionId] || document.getElementById('tab-basic');
+    const foundTab = (Object.prototype.hasOwnProperty.call(tabMap, sectionId) && tabMap[sectionId]) || document.getElementById('tab-basic');
     log(`Found tab for ${sectionId}: ${foundTab ? foundTab.id : 'none'}`, 'info');
     
     return foundTab;
@@ -233,21 +239,5 @@ function exportFingerprint() {
 document.addEventListener('DOMContentLoaded', function() {
     initTabs();
     
-    // Setup export button if exists
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn) {
-        exportBtn.addEventListener('click', () => {
-            const data = exportFingerprint();
-            const blob = new Blob([data], {type: 'application/json'});
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'fingerprint-data.json';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        });
-    }
+    // The export button is wired up in main.js once all detectors have settled
 }); 
\ No newline at end of file
@@ -0,0 +1,243 @@
+/**
+ * WebGPU Detector Module
+ * Reads the WebGPU adapter (vendor, architecture, device, description), its features
+ * and limits, and times a small compute shader. A fallback adapter is a software
+ * implementation, which points to a VM or a headless browser without a GPU. Browsers
+ * without WebGPU only get an "unavailable" entry.
+ */
+class WebGPUDetector {
+    constructor() {
+        this.sectionId = 'webgpu-info';
+        this.sectionTitle = 'WebGPU';
+        this.gpuData = {
+            supported: false,
+            adapterAvailable: false
+        };
+    }
+
+    /**
+     * Request an adapter and a device and collect their properties
+     * @returns {Promise<Object>} - Adapter info, features, limits and compute timing
+     */
+    async detect() {
+        this._createSection();
+
+        if (!navigator.gpu || typeof navigator.gpu.requestAdapter !== 'function') {
+            window.utils.addInfo(this.sectionId, 'WebGPU', 'Not available');
+            return this.gpuData;
+        }
+        this.gpuData.supported = true;
+        this.deadline = performance.now() + WebGPUDetector.DEADLINE;
+
+        let adapter = null;
+        try {
+            adapter = await this._withTimeout(navigator.gpu.requestAdapter(), 'Adapter request timed out');
+        } catch (e) {
+            this.gpuData.error = e.message;
+        }
+
+        if (!adapter) {
+            // Blocklisted drivers and GPU-less headless browsers get no adapter
+            window.utils.addInfo(this.sectionId, 'WebGPU', `Supported, but no adapter${this.gpuData.error ? ` (${this.gpuData.error})` : ''}`);
+            return this.gpuData;
+        }
+        this.gpuData.adapterAvailable = true;
+
+        const info = await this._getAdapterInfo(adapter);
+        this.gpuData.vendor = info.vendor || '';
+        this.gpuData.architecture = info.architecture || '';
+        this.gpuData.device = info.device || '';
+        this.gpuData.description = info.description || '';
+        // Moved from the adapter to its info in newer browsers
+        this.gpuData.isFallbackAdapter = !!(info.isFallbackAdapter || adapter.isFallbackAdapter);
+        this.gpuData.features = Array.from(adapter.features || []).sort();
+        this.gpuData.limits = this._getLimits(adapter.limits);
+
+        this.gpuData.computeTime = await this._timeCompute(adapter);
+
+        this._updateUI();
+        return this.gpuData;
+    }
+
+    /**
+     * Bot score component
+     * @returns {number|null} - 1 for a software fallback adapter, null without an adapter
+     */
+    getBotScore() {
+        if (!this.gpuData.adapterAvailable) return null;
+        return this.gpuData.isFallbackAdapter ? 1 : 0;
+    }
+
+    /**
+     * Create the WebGPU section in the DOM
+     */
+    _createSection() {
+        return window.utils.createInfoSection(this.sectionId, this.sectionTitle);
+    }
+
+    /**
+     * Read the adapter info
+     * `adapter.info` replaced the asynchronous `requestAdapterInfo()`, support both.
+     * @returns {Promise<Object>} - GPUAdapterInfo, empty if it can't be read
+     */
+    async _getAdapterInfo(adapter) {
+        try {
+            if (adapter.info) return adapter.info;
+            if (typeof adapter.requestAdapterInfo === 'function') {
+                return await this._withTimeout(adapter.requestAdapterInfo(), 'Adapter info request timed out');
+            }
+        } catch (e) {
+            window.utils.log('Error reading WebGPU adapter info: ' + e.message, 'error');
+        }
+        return {};
+    }
+
+    /**
+     * Copy the supported limits into a plain object
+     * The limits are getters on the GPUSupportedLimits prototype.
+     */
+    _getLimits(supportedLimits) {
+        const limits = {};
+        if (!supportedLimits) return limits;
+
+        for (const name in supportedLimits) {
+            const value = supportedLimits[name];
+            if (typeof value === 'number') limits[name] = value;
+        }
+        return limits;
+    }
+
+    /**
+     * Time a small compute shader
+     * The first dispatch compiles the pipeline, the median of the following ones is reported.
+     * @returns {Promise<number|null>} - Milliseconds per dispatch, null if it could not run
+     */
+    async _timeCompute(adapter) {
+        let device = null;
+        try {
+            device = await this._withTimeout(adapter.requestDevice(), 'Device request timed out');
+
+            const buffer = device.createBuffer({
+                size: WebGPUDetector.COMPUTE_ITEMS * 4,
+                usage: GPUBufferUsage.STORAGE
+            });
+            const pipeline = device.createComputePipeline({
+                layout: 'auto',
+                compute: {
+                    module: device.createShaderModule({ code: WebGPUDetector.COMPUTE_SHADER }),
+                    entryPoint: 'main'
+                }
+            });
+            const bindGroup = device.createBindGroup({
+                layout: pipeline.getBindGroupLayout(0),
+                entries: [{ binding: 0, resource: { buffer } }]
+            });
+
+            const dispatch = async () => {
+                const start = performance.now();
+                const encoder = device.createCommandEncoder();
+                const pass = encoder.beginComputePass();
+                pass.setPipeline(pipeline);
+                pass.setBindGroup(0, bindGroup);
+                pass.dispatchWorkgroups(WebGPUDetector.COMPUTE_ITEMS / 64);
+                pass.end();
+                device.queue.submit([encoder.finish()]);
+                await this._withTimeout(device.queue.onSubmittedWorkDone(), 'Compute shader timed out');
+                return performance.now() - start;
+            };
+
+            await dispatch();
+            const times = [];
+            for (let i = 0; i < WebGPUDetector.COMPUTE_RUNS; i++) {
+                times.push(await dispatch());
+            }
+            times.sort((a, b) => a - b);
+            return Math.round(times[Math.floor(times.length / 2)] * 100) / 100;
+        } catch (e) {
+            window.utils.log('Error in WebGPU compute test: ' + e.message, 'error');
+            return null;
+        } finally {
+            if (device && typeof device.destroy === 'function') device.destroy();
+        }
+    }
+
+    /**
+     * Race a WebGPU promise against the time left until the deadline set in detect()
+     * All steps share one deadline, so together they end before the registry timeout.
+     */
+    _withTimeout(promise, message) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), Math.max(0, this.deadline - performance.now()));
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Update the WebGPU section
+     */
+    _updateUI() {
+        const data = this.gpuData;
+        const orUnknown = value => value || 'Not reported';
+
+        window.utils.addInfo(this.sectionId, 'WebGPU', 'Supported');
+        window.utils.addInfo(this.sectionId, 'Adapter Vendor', orUnknown(data.vendor));
+        window.utils.addInfo(this.sectionId, 'Adapter Architecture', orUnknown(data.architecture));
+        window.utils.addInfo(this.sectionId, 'Adapter Device', orUnknown(data.device));
+        window.utils.addInfo(this.sectionId, 'Adapter Description', orUnknown(data.description));
+        window.utils.addInfo(this.sectionId, 'Fallback Adapter',
+            data.isFallbackAdapter ? 'Yes (software rendering, likely VM or headless)' : 'No',
+            data.isFallbackAdapter ? 'negative-indicator' : 'positive-indicator');
+        window.utils.addInfo(this.sectionId, 'Features', `${data.features.length}: ${data.features.join(', ') || 'none'}`);
+        window.utils.addInfo(this.sectionId, 'Limits Hash', window.utils.generateFingerprint(data.limits));
+        ['maxTextureDimension2D', 'maxComputeWorkgroupStorageSize', 'maxStorageBufferBindingSize'].forEach(name => {
+            if (name in data.limits) window.utils.addInfo(this.sectionId, name, data.limits[name]);
+        });
+        window.utils.addInfo(this.sectionId, 'Compute Shader Time',
+            data.computeTime !== null ? `${data.computeTime} ms` : 'Not available');
+    }
+}
+
+// Milliseconds for the adapter, the device and all compute dispatches together,
+// below the 8000 ms registry timeout so the detector still returns what it read
+WebGPUDetector.DEADLINE = 6000;
+
+// Invocations per dispatch (a multiple of the workgroup size) and timed dispatches
+WebGPUDetector.COMPUTE_ITEMS = 16384;
+WebGPUDetector.COMPUTE_RUNS = 3;
+
+WebGPUDetector.COMPUTE_SHADER = `
+@group(0) @binding(0) var<storage, read_write> data: array<f32>;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+    var value = f32(id.x);
+    for (var i = 0u; i < 256u; i = i + 1u) {
+        value = sin(value) * 1.0001 + cos(value * 0.5);
+    }
+    data[id.x] = value;
+}`;
+
+// Export the detector
+window.WebGPUDetector = WebGPUDetector;
+
+// Register the detector
+window.fingerprint.registerDetector('webgpu', WebGPUDetector, {
+    tab: 'tab-graphics',
+    title: 'WebGPU',
+    sections: ['webgpu-info'],
+    // Longer than the default, starting the GPU process can take a few seconds
+    timeout: 8000,
+    weight: 0.1,
+    signals: {
+        supported: 'stable',
+        adapterAvailable: 'stable',
+        vendor: 'stable',
+        architecture: 'stable',
+        device: 'stable',
+        description: 'stable',
+        isFallbackAdapter: 'stable',
+        features: 'stable',
+        limits: 'stable'
+    }
+});
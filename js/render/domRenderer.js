@@ -0,0 +1,241 @@
+/**
+ * DOM Renderer
+ * Displays a SignalReport as info sections inside the page's tabs
+ */
+
+class DomRenderer {
+    /**
+     * @param {Object} options - Renderer options
+     * @param {Function} options.findTab - Returns the container element for a section ID
+     * @param {boolean} options.untrusted - The reports come from elsewhere (e.g. stored events): section IDs
+     * are kept out of the document's IDs and only the indicator classes in DomRenderer.ITEM_CLASSES are applied
+     */
+    constructor(options = {}) {
+        this.findTab = options.findTab || (sectionId => window.utils.findAppropriateTab(sectionId));
+        this.untrusted = !!options.untrusted;
+        this.sectionElements = new Map();
+        this.itemElements = new WeakMap();
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Render a report and keep the page in sync with later changes
+     * @param {SignalReport} report - Report to display
+     */
+    attach(report) {
+        this.detach();
+
+        report.sections.forEach(section => {
+            this.renderSection(section);
+            section.items.forEach(item => this.renderItem(section, item));
+        });
+
+        this.unsubscribe = report.subscribe((type, section, item) => {
+            if (type === 'section') {
+                this.renderSection(section);
+            } else if (type === 'item' || type === 'update') {
+                this.renderItem(section, item);
+            } else if (type === 'remove') {
+                this.removeItem(item);
+            }
+        });
+    }
+
+    /**
+     * Stop following the attached report
+     */
+    detach() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Render a stored report (the output of SignalReport.toJSON)
+     * @param {{sections: Object[]}} data - Report JSON
+     */
+    renderReport(data) {
+        const sections = data && Array.isArray(data.sections) ? data.sections : [];
+        sections.forEach(section => {
+            if (!section || typeof section.id !== 'string') return;
+            this.renderSection(section);
+            (Array.isArray(section.items) ? section.items : []).forEach(item => {
+                if (item) this.renderItem(section, Object.assign({}, item));
+            });
+        });
+    }
+
+    /**
+     * Get the element of a rendered section
+     * @param {string} sectionId - Section ID
+     * @returns {HTMLElement|null} - The section element
+     */
+    getSectionElement(sectionId) {
+        if (this.untrusted) return this.sectionElements.get(sectionId) || null;
+        return this.sectionElements.get(sectionId) || document.getElementById(sectionId);
+    }
+
+    /**
+     * Get the list item of a rendered property
+     * @param {Object} item - Report item
+     * @returns {HTMLElement|null} - The list item
+     */
+    getItemElement(item) {
+        return this.itemElements.get(item) || null;
+    }
+
+    /**
+     * Creates an information section in the DOM if it doesn't exist
+     * @param {Object} section - Report section
+     * @returns {HTMLElement} - The section container element
+     */
+    renderSection(section) {
+        const existingSection = this.getSectionElement(section.id);
+        if (existingSection) {
+            this.sectionElements.set(section.id, existingSection);
+            return existingSection;
+        }
+
+        const element = document.createElement('div');
+        element.className = 'info-section';
+        // An ID from an untrusted report could shadow globals or other elements of the page
+        if (this.untrusted) {
+            element.dataset.sectionId = section.id;
+        } else {
+            element.id = section.id;
+        }
+
+        const heading = document.createElement('h2');
+        heading.textContent = section.title;
+        element.appendChild(heading);
+
+        const container = document.createElement('ul');
+        container.className = 'property-list';
+        element.appendChild(container);
+
+        // Find the appropriate tab to append this section
+        const tabContent = this.findTab(section.id);
+        if (tabContent) {
+            tabContent.appendChild(element);
+        } else {
+            // Fallback to appending to body if no appropriate tab is found
+            document.body.appendChild(element);
+        }
+
+        this.sectionElements.set(section.id, element);
+        return element;
+    }
+
+    /**
+     * Render a property, updating its list item if it was rendered before
+     * @param {Object} section - Report section the item belongs to
+     * @param {Object} item - Report item
+     * @returns {HTMLElement} - The list item
+     */
+    renderItem(section, item) {
+        const existing = this.itemElements.get(item) || this._findItemByName(section.id, item.name);
+        if (existing) {
+            const valueSpan = existing.querySelector('.property-value');
+            if (valueSpan) {
+                this._renderValue(valueSpan, item.value);
+            }
+            this.itemElements.set(item, existing);
+            return existing;
+        }
+
+        const sectionElement = this.renderSection(section);
+        const container = sectionElement.querySelector('.property-list') || sectionElement;
+
+        const element = document.createElement('li');
+        if (item.className && (!this.untrusted || DomRenderer.ITEM_CLASSES.includes(item.className))) {
+            element.className = item.className;
+        }
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'property-name';
+        nameSpan.textContent = item.name;
+
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'property-value';
+        this._renderValue(valueSpan, item.value);
+
+        element.appendChild(nameSpan);
+        element.appendChild(valueSpan);
+        container.appendChild(element);
+
+        this.itemElements.set(item, element);
+        return element;
+    }
+
+    /**
+     * Remove a rendered property
+     * @param {Object} item - Report item
+     */
+    removeItem(item) {
+        const element = this.itemElements.get(item);
+        if (element && element.parentNode) {
+            element.parentNode.removeChild(element);
+        }
+        this.itemElements.delete(item);
+    }
+
+    /**
+     * Find a list item rendered earlier (e.g. by another report) by its property name
+     */
+    _findItemByName(sectionId, name) {
+        const section = this.getSectionElement(sectionId);
+        if (!section) return null;
+
+        const items = section.querySelectorAll('.property-list > li');
+        for (let i = 0; i < items.length; i++) {
+            const itemName = items[i].querySelector('.property-name')?.textContent;
+            if (itemName === name) return items[i];
+        }
+        return null;
+    }
+
+    /**
+     * Display a value inside a property value span
+     */
+    _renderValue(valueSpan, value) {
+        // Clear existing content
+        while (valueSpan.firstChild) {
+            valueSpan.removeChild(valueSpan.firstChild);
+        }
+        valueSpan.classList.remove('positive-indicator', 'negative-indicator');
+
+        // Handle different value types
+        if (value === undefined || value === null) {
+            valueSpan.textContent = 'Not available';
+            valueSpan.classList.add('negative-indicator');
+        } else if (typeof value === 'boolean') {
+            valueSpan.textContent = value ? 'Yes' : 'No';
+            valueSpan.classList.add(value ? 'positive-indicator' : 'negative-indicator');
+        } else if (value instanceof HTMLElement) {
+            valueSpan.appendChild(value);
+        } else if (Array.isArray(value)) {
+            const list = document.createElement('ul');
+            value.forEach(entry => {
+                const listItem = document.createElement('li');
+                listItem.textContent = entry === null || entry === undefined ? 'Not available' : entry.toString();
+                list.appendChild(listItem);
+            });
+            valueSpan.appendChild(list);
+        } else {
+            valueSpan.textContent = value.toString();
+        }
+    }
+}
+
+// Item classes the detectors use, the only ones applied from untrusted reports
+DomRenderer.ITEM_CLASSES = [
+    'positive-indicator',
+    'negative-indicator',
+    'warning-indicator',
+    'neutral-indicator',
+    'score-indicator',
+    'section-subheader'
+];
+
+window.DomRenderer = DomRenderer;
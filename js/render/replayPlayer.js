@@ -0,0 +1,221 @@
+/**
+ * Replay Player
+ * Plays an interaction timeline back on a canvas at 1x to 10x, with the bot and
+ * remote-access scores that were current at each point overlaid.
+ */
+
+class ReplayPlayer {
+    /**
+     * @param {HTMLElement} container - Element the player is appended to
+     */
+    constructor(container) {
+        this.events = [];
+        this.recording = null;
+        this.position = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.frame = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'replay-player';
+        this.element.innerHTML = `
+            <div class="replay-stage">
+                <canvas class="replay-canvas" width="480" height="270"></canvas>
+                <div class="replay-overlay">
+                    <span class="replay-score" data-score="bot">Bot score: n/a</span>
+                    <span class="replay-score" data-score="remote">Remote access: n/a</span>
+                    <span class="replay-keys"></span>
+                </div>
+            </div>
+            <div class="replay-controls">
+                <button type="button" data-action="play">Play</button>
+                <select data-action="speed">
+                    ${ReplayPlayer.SPEEDS.map(speed => `<option value="${speed}">${speed}x</option>`).join('')}
+                </select>
+                <input type="range" data-action="seek" min="0" max="0" value="0">
+                <span class="replay-time">0.0 / 0.0 s</span>
+            </div>
+        `;
+        container.appendChild(this.element);
+
+        this.canvas = this.element.querySelector('canvas');
+        this.playButton = this.element.querySelector('[data-action="play"]');
+        this.seekInput = this.element.querySelector('[data-action="seek"]');
+
+        this.playButton.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+        this.element.querySelector('[data-action="speed"]').addEventListener('change', e => {
+            this.speed = parseFloat(e.target.value);
+        });
+        this.seekInput.addEventListener('input', () => {
+            this.position = parseInt(this.seekInput.value, 10);
+            this.draw();
+        });
+    }
+
+    /**
+     * Load a recording
+     * @param {Object} recording - Serialized InteractionTimeline
+     * @returns {Promise<void>} - Resolves once the recording is decoded
+     */
+    async load(recording) {
+        this.pause();
+        this.events = await InteractionTimeline.decode(recording);
+        this.recording = recording;
+        this.position = 0;
+        this.seekInput.max = recording.duration;
+        this.draw();
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (this.events.length === 0) return;
+        if (this.position >= this.recording.duration) {
+            this.position = 0;
+        }
+
+        this.playing = true;
+        this.playButton.textContent = 'Pause';
+
+        let last = performance.now();
+        const step = now => {
+            if (!this.playing) return;
+            this.position = Math.min(this.recording.duration, this.position + (now - last) * this.speed);
+            last = now;
+            this.draw();
+
+            if (this.position >= this.recording.duration) {
+                this.pause();
+                return;
+            }
+            this.frame = requestAnimationFrame(step);
+        };
+        this.frame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.playing = false;
+        this.playButton.textContent = 'Play';
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    /**
+     * Get the state of the recording at the current position
+     * @returns {Object} - Pointer trail, clicks, keys and scores up to the current position
+     */
+    getState() {
+        const state = {
+            trail: [],
+            clicks: [],
+            keys: [],
+            pointer: null,
+            score: null,
+            pressed: false
+        };
+
+        for (const event of this.events) {
+            if (event.t > this.position) break;
+            const age = this.position - event.t;
+
+            if (event.type === 'move' || event.type === 'down' || event.type === 'up') {
+                state.pointer = { x: event.x, y: event.y };
+                if (age <= ReplayPlayer.TRAIL_MS) state.trail.push(state.pointer);
+            }
+            if (event.type === 'down') {
+                state.pressed = true;
+                if (age <= ReplayPlayer.MARKER_MS) state.clicks.push({ x: event.x, y: event.y, age });
+            }
+            if (event.type === 'up') {
+                state.pressed = false;
+            }
+            if (event.type === 'keydown' && age <= ReplayPlayer.MARKER_MS) {
+                state.keys.push(event.key);
+            }
+            if (event.type === 'score') {
+                state.score = event;
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Draw the current position
+     */
+    draw() {
+        const state = this.getState();
+        const duration = this.recording ? this.recording.duration : 0;
+
+        this.seekInput.value = Math.round(this.position);
+        this.element.querySelector('.replay-time').textContent =
+            `${(this.position / 1000).toFixed(1)} / ${(duration / 1000).toFixed(1)} s`;
+
+        this._drawScore('bot', 'Bot score', state.score ? state.score.bot : null);
+        this._drawScore('remote', 'Remote access', state.score ? state.score.remote : null);
+        this.element.querySelector('.replay-keys').textContent = state.keys.length > 0
+            ? `Keys: ${state.keys.join(' ')}`
+            : '';
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx || !this.recording) return;
+
+        // Scale the recorded viewport into the canvas
+        const viewport = this.recording.viewport;
+        const scale = Math.min(this.canvas.width / (viewport.width || 1), this.canvas.height / (viewport.height || 1));
+        const project = point => [point.x * scale, point.y * scale];
+
+        ctx.fillStyle = '#f9f9f9';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.strokeStyle = '#ddd';
+        ctx.strokeRect(0, 0, viewport.width * scale, viewport.height * scale);
+
+        if (state.trail.length > 1) {
+            ctx.strokeStyle = '#3498db';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(...project(state.trail[0]));
+            state.trail.slice(1).forEach(point => ctx.lineTo(...project(point)));
+            ctx.stroke();
+        }
+
+        state.clicks.forEach(click => {
+            const [x, y] = project(click);
+            ctx.strokeStyle = `rgba(231, 76, 60, ${1 - click.age / ReplayPlayer.MARKER_MS})`;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, 6 + click.age / 50, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        if (state.pointer) {
+            const [x, y] = project(state.pointer);
+            ctx.fillStyle = state.pressed ? '#e74c3c' : '#2c3e50';
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Show a score percentage with the summary tab thresholds
+     */
+    _drawScore(name, label, value) {
+        const element = this.element.querySelector(`[data-score="${name}"]`);
+        element.textContent = `${label}: ${value === null ? 'n/a' : value + '%'}`;
+        element.classList.toggle('warning-indicator', value !== null && value > 30 && value <= 70);
+        element.classList.toggle('negative-indicator', value !== null && value > 70);
+    }
+}
+
+ReplayPlayer.SPEEDS = [1, 2, 5, 10];
+ReplayPlayer.TRAIL_MS = 2000;  // How long the pointer trail stays visible
+ReplayPlayer.MARKER_MS = 600;  // How long clicks and key presses stay highlighted
+
+window.ReplayPlayer = ReplayPlayer;
@@ -0,0 +1,294 @@
+/**
+ * Summary Renderers
+ * Build the Basic Info and Summary tabs from collected fingerprint data
+ */
+
+/**
+ * Creates a more comprehensive basic info section
+ * @param {string} fingerprintHash - The generated fingerprint hash (the stable ID)
+ * @param {object} fingerprintData - All collected fingerprint data
+ * @param {object} identifiers - Session ID and signal counts from SignalTaxonomy.identify(), if known
+ */
+function createDetailedBasicInfo(fingerprintHash, fingerprintData, identifiers = {}) {
+    const basicTab = document.getElementById('tab-basic');
+    if (!basicTab) return;
+    
+    // Only create if it doesn't exist yet
+    if (!document.getElementById('basic-info-section')) {
+        const basicSection = document.createElement('div');
+        basicSection.className = 'info-section';
+        basicSection.id = 'basic-info-section';
+        
+        const heading = document.createElement('h2');
+        heading.textContent = 'Fingerprint Summary';
+        basicSection.appendChild(heading);
+        
+        // The hash, session ID and module names can come from a stored event, so they are only set as text
+        const paragraph = text => {
+            const element = document.createElement('p');
+            element.textContent = text;
+            return element;
+        };
+        
+        const summary = document.createElement('div');
+        summary.className = 'fingerprint-summary';
+        summary.appendChild(paragraph('The stable ID is created from the signals that stay the same when this browser reloads the page.'));
+        
+        const hash = document.createElement('div');
+        hash.className = 'fingerprint-hash';
+        hash.textContent = fingerprintHash;
+        summary.appendChild(hash);
+        
+        const signals = identifiers.signals;
+        if (signals) {
+            summary.appendChild(paragraph(`Built from ${signals.stable} stable signals. ${signals['semi-stable']} semi-stable and ${signals.volatile} volatile signals are collected but left out.`));
+        }
+        
+        const session = paragraph('Session ID: ');
+        const sessionId = document.createElement('code');
+        sessionId.className = 'session-id';
+        sessionId.textContent = identifiers.sessionId || 'Not available';
+        session.appendChild(sessionId);
+        session.appendChild(document.createTextNode(' (changes with every new browsing session)'));
+        summary.appendChild(session);
+        
+        const modules = Object.keys(fingerprintData || {});
+        summary.appendChild(paragraph(`Your fingerprint includes ${modules.length} detection modules:`));
+        const moduleList = document.createElement('ul');
+        modules.forEach(key => {
+            const listItem = document.createElement('li');
+            listItem.textContent = key;
+            moduleList.appendChild(listItem);
+        });
+        summary.appendChild(moduleList);
+        basicSection.appendChild(summary);
+        
+        // Add to Basic tab
+        basicTab.appendChild(basicSection);
+    }
+}
+
+/**
+ * Creates the summary tab with key findings from all detectors
+ * @param {object} fingerprintData - All collected fingerprint data
+ * @param {string} fingerprintHash - The generated fingerprint hash (the stable ID)
+ * @param {object} identifiers - Session ID from SignalTaxonomy.identify(), if known
+ */
+function createSummaryTab(fingerprintData, fingerprintHash, identifiers = {}) {
+    try {
+        const summaryTab = document.getElementById('tab-summary');
+        if (!summaryTab) return;
+        
+        // Create summary container
+        const summaryContainer = document.createElement('div');
+        summaryContainer.className = 'detection-summary';
+        
+        const heading = document.createElement('h2');
+        heading.textContent = 'Detection Summary';
+        summaryContainer.appendChild(heading);
+        
+        // Add key findings
+        const findings = [];
+        
+        // Bot detection summary
+        if (fingerprintData.botDetection) {
+            const botScore = fingerprintData.botDetection.overallScore || 0;
+            let indicatorClass = 'indicator-positive';
+            let status = 'Likely human';
+            
+            if (botScore > 0.7) {
+                indicatorClass = 'indicator-negative';
+                status = 'Likely bot';
+            } else if (botScore > 0.3) {
+                indicatorClass = 'indicator-warning';
+                status = 'Suspicious behavior';
+            }
+            
+            findings.push({
+                label: 'Bot Detection',
+                value: status,
+                indicatorClass: indicatorClass,
+                priority: 1
+            });
+        }
+        
+        // Remote Desktop Detection
+        if (fingerprintData.remoteDesktop) {
+            const detected = fingerprintData.remoteDesktop.detected;
+            const type = fingerprintData.remoteDesktop.type || 'unknown';
+            
+            if (detected) {
+                let rdpLabel = 'Remote Access Detected';
+                if (type !== 'none' && type !== 'other') {
+                    rdpLabel = `${type.toUpperCase()} Connection Detected`;
+                }
+                
+                findings.push({
+                    label: 'Remote Access',
+                    value: rdpLabel,
+                    indicatorClass: 'indicator-negative',
+                    priority: 2
+                });
+            }
+            
+            // Add refresh rate info if unusual
+            if (fingerprintData.remoteDesktop.screenProperties && 
+                fingerprintData.remoteDesktop.screenProperties.data && 
+                fingerprintData.remoteDesktop.screenProperties.data.refreshRate) {
+                
+                const refreshRate = fingerprintData.remoteDesktop.screenProperties.data.refreshRate;
+                const isUnusual = [15, 24, 30].includes(refreshRate);
+                
+                if (isUnusual) {
+                    findings.push({
+                        label: 'Monitor Refresh Rate',
+                        value: `${refreshRate}Hz (Remote Desktop indicator)`,
+                        indicatorClass: 'indicator-warning',
+                        priority: 3
+                    });
+                }
+            }
+        }
+        
+        // Browser Privacy
+        if (fingerprintData.privacy) {
+            if (fingerprintData.privacy.privateMode) {
+                findings.push({
+                    label: 'Private Browsing',
+                    value: `Likely (${fingerprintData.privacy.privateModeConfidence} confidence)`,
+                    indicatorClass: 'indicator-neutral',
+                    priority: 3
+                });
+            }
+            
+            if (fingerprintData.privacy.doNotTrack) {
+                findings.push({
+                    label: 'Do Not Track',
+                    value: 'Enabled',
+                    indicatorClass: 'indicator-neutral',
+                    priority: 4
+                });
+            }
+        }
+        
+        // Privacy tool or anti-detect browser
+        if (fingerprintData.privacyEnvironment && fingerprintData.privacyEnvironment.environment !== 'none') {
+            const environment = fingerprintData.privacyEnvironment;
+            findings.push({
+                label: 'Privacy Environment',
+                value: `${environment.label} (${environment.evidence.join('; ')})`,
+                indicatorClass: environment.environment === 'antiDetect' ? 'indicator-negative' : 'indicator-warning',
+                priority: environment.environment === 'antiDetect' ? 1 : 2
+            });
+        }
+        
+        // Canvas fingerprinting
+        if (fingerprintData.canvasNoise && fingerprintData.canvasNoise.randomized) {
+            findings.push({
+                label: 'Canvas Fingerprint',
+                value: fingerprintData.canvasNoise.mode === 'per-read'
+                    ? 'Randomized on every read (anti-fingerprinting active)'
+                    : 'Randomized per session (anti-fingerprinting active)',
+                indicatorClass: 'indicator-warning',
+                priority: 5
+            });
+        }
+        
+        // WebRTC leak detection
+        if (fingerprintData.network && fingerprintData.network.webRTC) {
+            const webRTC = fingerprintData.network.webRTC;
+            if (webRTC.addresses && webRTC.addresses.length > 0) {
+                const hasPublicIP = webRTC.addresses.some(addr => addr.type === 'Public');
+                if (hasPublicIP) {
+                    findings.push({
+                        label: 'WebRTC IP Leak',
+                        value: 'Public IP exposed',
+                        indicatorClass: 'indicator-negative',
+                        priority: 3
+                    });
+                }
+            }
+        }
+        
+        // Device info
+        if (fingerprintData.device) {
+            findings.push({
+                label: 'Device Type',
+                value: fingerprintData.device.deviceType || 'Unknown',
+                indicatorClass: 'indicator-neutral',
+                priority: 6
+            });
+            
+            if (fingerprintData.device.touchscreen) {
+                findings.push({
+                    label: 'Touchscreen',
+                    value: 'Available',
+                    indicatorClass: 'indicator-neutral',
+                    priority: 7
+                });
+            }
+        }
+        
+        // Browser info
+        if (fingerprintData.browser) {
+            findings.push({
+                label: 'Browser',
+                value: `${fingerprintData.browser.browser} ${fingerprintData.browser.version}`,
+                indicatorClass: 'indicator-neutral',
+                priority: 8
+            });
+        }
+        
+        // Identifiers
+        findings.push({
+            label: 'Stable ID',
+            value: fingerprintHash,
+            indicatorClass: 'indicator-neutral',
+            priority: 9
+        });
+        
+        if (identifiers.sessionId) {
+            findings.push({
+                label: 'Session ID',
+                value: identifiers.sessionId,
+                indicatorClass: 'indicator-neutral',
+                priority: 10
+            });
+        }
+        
+        // Sort by priority
+        findings.sort((a, b) => a.priority - b.priority);
+        
+        // Add findings to the summary container
+        findings.forEach(finding => {
+            const item = document.createElement('div');
+            item.className = 'summary-item';
+            
+            const indicator = document.createElement('div');
+            indicator.className = `summary-indicator ${finding.indicatorClass}`;
+            item.appendChild(indicator);
+            
+            const content = document.createElement('div');
+            content.className = 'summary-content';
+            
+            const label = document.createElement('div');
+            label.className = 'summary-label';
+            label.textContent = finding.label;
+            content.appendChild(label);
+            
+            const value = document.createElement('div');
+            value.className = 'summary-value';
+            value.textContent = finding.value;
+            content.appendChild(value);
+            
+            item.appendChild(content);
+            summaryContainer.appendChild(item);
+        });
+        
+        // Add to tab
+        summaryTab.appendChild(summaryContainer);
+        
+    } catch (e) {
+        utils.log('Error creating summary tab: ' + e.message, 'error');
+    }
+}
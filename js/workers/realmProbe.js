@@ -0,0 +1,68 @@
+/**
+ * Realm Probe
+ * Reads the signals compared by the cross-realm consistency detector. Loaded as a
+ * classic script in the page, where it defines collectRealmSignals(), and as a
+ * dedicated or service worker script, where it answers "collect-realm-signals"
+ * messages on the transferred MessagePort.
+ */
+
+/**
+ * Read the navigator, timezone and WebGL signals of a realm
+ * @param {Window|WorkerGlobalScope} scope - Global object of the realm
+ * @returns {Object} - Signal values, null where a signal is unavailable
+ */
+function collectRealmSignals(scope) {
+    const nav = scope.navigator || {};
+    let timezone = null;
+    try {
+        timezone = new scope.Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (e) {
+        // Intl unavailable
+    }
+
+    return {
+        userAgent: nav.userAgent || null,
+        platform: nav.platform || null,
+        hardwareConcurrency: nav.hardwareConcurrency || null,
+        languages: nav.languages ? Array.from(nav.languages) : null,
+        timezone,
+        webglRenderer: readWebGLRenderer(scope)
+    };
+}
+
+/**
+ * Read the unmasked WebGL renderer through an OffscreenCanvas
+ * Windows without OffscreenCanvas fall back to a canvas element.
+ * @param {Window|WorkerGlobalScope} scope - Global object of the realm
+ * @returns {string|null} - Renderer string
+ */
+function readWebGLRenderer(scope) {
+    try {
+        let canvas = null;
+        if (typeof scope.OffscreenCanvas === 'function') {
+            canvas = new scope.OffscreenCanvas(1, 1);
+        } else if (scope.document) {
+            canvas = scope.document.createElement('canvas');
+        }
+
+        const gl = canvas ? canvas.getContext('webgl') || canvas.getContext('experimental-webgl') : null;
+        if (!gl) return null;
+
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        return gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.addEventListener('message', event => {
+        if (!event.data || event.data.type !== 'collect-realm-signals' || !event.ports[0]) return;
+        event.ports[0].postMessage(collectRealmSignals(self));
+    });
+
+    // Service worker: activate right away, the probe never controls pages
+    self.addEventListener('install', () => self.skipWaiting && self.skipWaiting());
+} else {
+    window.collectRealmSignals = collectRealmSignals;
+}
@@ -0,0 +1,370 @@
+/**
+ * Collector Server
+ * Serves the static pages and stores the events they post.
+ * No dependencies: run with `node server/index.js`.
+ *
+ * Environment:
+ *   PORT              - Port to listen on (default 8080)
+ *   HOST              - Interface to bind (default 127.0.0.1)
+ *   DATA_FILE         - NDJSON event file (default data/events.ndjson)
+ *   COLLECTOR_TOKEN   - If set, GET /api/events requires "Authorization: Bearer <token>"
+ *   TRUST_PROXY       - Set to 1 to take the client IP from X-Forwarded-For
+ *   IP_LISTS_DIR      - Tor, datacenter, VPN and timezone lists (default data/lists, see ipIntel.js)
+ *
+ * Send SIGHUP to reload the IP lists after updating them.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { validateEvent } = require('./schema');
+const { EventStore } = require('./store');
+const { FingerprintMatcher } = require('./matcher');
+const { IpIntel } = require('./ipIntel');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const matcher = new FingerprintMatcher();
+
+const config = {
+    port: parseInt(process.env.PORT, 10) || 8080,
+    host: process.env.HOST || '127.0.0.1',
+    dataFile: path.resolve(ROOT, process.env.DATA_FILE || 'data/events.ndjson'),
+    token: process.env.COLLECTOR_TOKEN || null,
+    trustProxy: process.env.TRUST_PROXY === '1',
+    listsDir: path.resolve(ROOT, process.env.IP_LISTS_DIR || 'data/lists'),
+    maxBodyBytes: 2 * 1024 * 1024
+};
+
+const ipIntel = new IpIntel(config.listsDir);
+
+// Only these paths are served, so the data file and server code stay private
+const STATIC_PATHS = ['/index.html', '/login.html', '/dashboard.html', '/css/', '/js/'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+    const data = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(data),
+        'Cache-Control': 'no-store'
+    });
+    res.end(data);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} - Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > config.maxBodyBytes) {
+                reject(new HttpError(413, 'Event is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new HttpError(400, 'Body must be valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Get the client IP address
+ */
+function getClientIp(req) {
+    if (config.trustProxy && req.headers['x-forwarded-for']) {
+        return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Check the bearer token for analyst endpoints
+ */
+function requireToken(req) {
+    if (!config.token) return;
+
+    const header = req.headers.authorization || '';
+    if (header !== `Bearer ${config.token}`) {
+        throw new HttpError(401, 'Missing or invalid token');
+    }
+}
+
+/**
+ * POST /api/events
+ */
+async function handlePostEvent(req, res, store) {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('application/json')) {
+        throw new HttpError(415, 'Content-Type must be application/json');
+    }
+
+    const event = await readJsonBody(req);
+    const errors = validateEvent(event);
+    if (errors.length > 0) {
+        throw new HttpError(422, 'Event does not match the schema', errors);
+    }
+
+    if (store.get(event.id)) {
+        throw new HttpError(409, `Event ${event.id} already exists`);
+    }
+
+    const record = Object.assign({}, event, {
+        server: {
+            receivedAt: new Date().toISOString(),
+            ip: getClientIp(req),
+            userAgent: req.headers['user-agent'] || null,
+            acceptLanguage: req.headers['accept-language'] || null
+        }
+    });
+    record.server.network = ipIntel.assess(record);
+
+    await store.append(record);
+    sendJson(res, 201, { id: record.id, receivedAt: record.server.receivedAt });
+}
+
+/**
+ * GET /api/events
+ */
+function handleListEvents(req, res, store, url) {
+    requireToken(req);
+
+    const params = url.searchParams;
+    const limit = parseInt(params.get('limit'), 10);
+    const offset = parseInt(params.get('offset'), 10);
+    const minBotScore = params.get('minBotScore') ? parseFloat(params.get('minBotScore')) : null;
+
+    if (minBotScore !== null && isNaN(minBotScore)) {
+        throw new HttpError(400, 'minBotScore must be a number');
+    }
+
+    ['since', 'until'].forEach(name => {
+        if (params.get(name) && isNaN(Date.parse(params.get(name)))) {
+            throw new HttpError(400, `${name} must be an ISO date`);
+        }
+    });
+
+    const result = store.query({
+        type: params.get('type'),
+        since: params.get('since'),
+        until: params.get('until'),
+        ip: params.get('ip'),
+        username: params.get('username'),
+        hash: params.get('hash'),
+        minBotScore,
+        remoteType: params.get('remoteType'),
+        network: params.get('network'),
+        q: params.get('q'),
+        limit: limit > 0 ? Math.min(limit, EventStore.MAX_LIMIT) : EventStore.DEFAULT_LIMIT,
+        offset: offset > 0 ? offset : 0
+    });
+
+    // The summary view leaves out the detector data, which the dashboard loads per event
+    if (params.get('view') === 'summary') {
+        result.events = result.events.map(record => ({
+            id: record.id,
+            type: record.type,
+            createdAt: record.createdAt,
+            server: record.server,
+            summary: store.getSummary(record.id)
+        }));
+    }
+
+    sendJson(res, 200, result);
+}
+
+/**
+ * GET /api/events/:id
+ */
+function handleGetEvent(req, res, store, id) {
+    requireToken(req);
+
+    const record = store.get(id);
+    if (!record) {
+        throw new HttpError(404, `Event ${id} not found`);
+    }
+
+    sendJson(res, 200, record);
+}
+
+/**
+ * GET /api/events/:id/matches
+ * Earlier or later sessions that are likely the same browser
+ */
+function handleGetMatches(req, res, store, id, url) {
+    requireToken(req);
+
+    const record = store.get(id);
+    if (!record) {
+        throw new HttpError(404, `Event ${id} not found`);
+    }
+
+    const limit = parseInt(url.searchParams.get('limit'), 10);
+    const minScore = url.searchParams.get('minScore') ? parseFloat(url.searchParams.get('minScore')) : undefined;
+    if (minScore !== undefined && isNaN(minScore)) {
+        throw new HttpError(400, 'minScore must be a number');
+    }
+
+    const candidates = matcher.findCandidates(record, store.events, {
+        limit: limit > 0 ? Math.min(limit, 100) : undefined,
+        minScore
+    });
+
+    sendJson(res, 200, {
+        id,
+        candidates: candidates.map(candidate => Object.assign(candidate, {
+            type: store.get(candidate.id).type,
+            server: store.get(candidate.id).server,
+            summary: store.getSummary(candidate.id)
+        }))
+    });
+}
+
+/**
+ * Serve a file from the allowed static paths
+ */
+async function serveStatic(req, res, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (e) {
+        throw new HttpError(400, 'Malformed path');
+    }
+    if (pathname === '/') pathname = '/index.html';
+
+    const allowed = STATIC_PATHS.some(prefix =>
+        prefix.endsWith('/') ? pathname.startsWith(prefix) : pathname === prefix
+    );
+    const filePath = path.join(ROOT, pathname);
+
+    if (!allowed || !filePath.startsWith(ROOT + path.sep)) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    let content;
+    try {
+        content = await fs.promises.readFile(filePath);
+    } catch (e) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    res.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Content-Length': content.length
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+/**
+ * Route a request
+ */
+async function handleRequest(req, res, store) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/api/events') {
+        if (req.method === 'POST') return handlePostEvent(req, res, store);
+        if (req.method === 'GET') return handleListEvents(req, res, store, url);
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    const eventMatch = url.pathname.match(/^\/api\/events\/([0-9a-f]{8,64})(\/matches)?$/);
+    if (eventMatch) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+        if (eventMatch[2]) return handleGetMatches(req, res, store, eventMatch[1], url);
+        return handleGetEvent(req, res, store, eventMatch[1]);
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        return serveStatic(req, res, url);
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+}
+
+/**
+ * Describe the entry counts of the loaded IP lists for the log
+ */
+function describeLists(lists) {
+    return `${lists.torExits} Tor exits, ${lists.datacenter} datacenter ranges, ${lists.vpn} VPN ranges, ${lists.timezones} timezone ranges`;
+}
+
+/**
+ * Create the collector server
+ * @param {EventStore} store - Store for accepted events
+ * @returns {http.Server} - Server, not yet listening
+ */
+function createServer(store) {
+    return http.createServer((req, res) => {
+        handleRequest(req, res, store).catch(e => {
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            if (e instanceof HttpError) {
+                sendJson(res, e.status, e.details ? { error: e.message, details: e.details } : { error: e.message });
+            } else {
+                console.error(`Error handling ${req.method} ${req.url}: ${e.stack || e.message}`);
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const store = new EventStore(config.dataFile);
+    Promise.all([store.load(), ipIntel.load()]).then(([count, lists]) => {
+        createServer(store).listen(config.port, config.host, () => {
+            console.log(`Loaded ${count} events from ${config.dataFile}`);
+            console.log(`Loaded IP lists from ${config.listsDir}: ${describeLists(lists)}`);
+            console.log(`Collector listening on http://${config.host}:${config.port}`);
+        });
+    }).catch(e => {
+        console.error(`Could not start collector: ${e.message}`);
+        process.exit(1);
+    });
+
+    process.on('SIGHUP', () => {
+        ipIntel.load().then(lists => {
+            console.log(`Reloaded IP lists: ${describeLists(lists)}`);
+        }).catch(e => {
+            console.error(`Could not reload IP lists, keeping the previous ones: ${e.message}`);
+        });
+    });
+}
+
+module.exports = { createServer, config };
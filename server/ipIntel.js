@@ -0,0 +1,367 @@
+/**
+ * IP Intelligence
+ * Decides whether a visitor came through Tor, a VPN or a proxy. The HTTP source IP is
+ * looked up in locally maintained lists (Tor exit nodes, datacenter ranges, VPN ranges)
+ * and compared with what the browser itself reported: the server-reflexive (srflx)
+ * WebRTC address, which STUN learns over UDP and so bypasses HTTP proxies, the browser
+ * timezone and navigator.languages.
+ *
+ * The lists are plain text files in one directory, read by load():
+ *   tor-exits.txt     - One exit IP per line (the format of the Tor bulk exit list)
+ *   datacenter.txt    - "<cidr> <label>" per line, e.g. "3.0.0.0/9 AS16509 Amazon"
+ *   vpn.txt           - "<cidr> <label>" per line, e.g. "185.159.156.0/22 ProtonVPN"
+ *   ip-timezones.txt  - "<cidr> <IANA timezone>" per line, from a GeoIP export
+ * Missing files are skipped. Blank lines and lines starting with # are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class IpIntel {
+    /**
+     * @param {string} dir - Directory holding the list files
+     */
+    constructor(dir) {
+        this.dir = dir;
+        this.torExits = new Set();
+        this.datacenter = [];
+        this.vpn = [];
+        this.timezones = [];
+    }
+
+    /**
+     * Read the list files, replacing the loaded lists
+     * @returns {Promise<Object>} - Number of entries loaded per list
+     */
+    async load() {
+        const [tor, datacenter, vpn, timezones] = await Promise.all([
+            this._readList(IpIntel.FILES.torExits),
+            this._readList(IpIntel.FILES.datacenter),
+            this._readList(IpIntel.FILES.vpn),
+            this._readList(IpIntel.FILES.timezones)
+        ]);
+
+        const torExits = new Set();
+        tor.forEach(entry => {
+            const ip = IpIntel.parseIp(entry.value);
+            if (ip) torExits.add(IpIntel.formatKey(ip));
+        });
+
+        this.torExits = torExits;
+        this.datacenter = IpIntel._parseRanges(datacenter);
+        this.vpn = IpIntel._parseRanges(vpn);
+        this.timezones = IpIntel._parseRanges(timezones);
+
+        return {
+            torExits: this.torExits.size,
+            datacenter: this.datacenter.length,
+            vpn: this.vpn.length,
+            timezones: this.timezones.length
+        };
+    }
+
+    /**
+     * Look an IP up in the lists
+     * @param {string} address - IPv4 or IPv6 address
+     * @returns {Object|null} - {tor, datacenter, vpn, timezone, public}, null if the address can't be parsed
+     */
+    lookup(address) {
+        const ip = IpIntel.parseIp(address);
+        if (!ip) return null;
+
+        const find = ranges => {
+            const range = ranges.find(entry => entry.version === ip.version && ip.value >= entry.start && ip.value <= entry.end);
+            return range ? range.label : null;
+        };
+
+        return {
+            tor: this.torExits.has(IpIntel.formatKey(ip)),
+            datacenter: find(this.datacenter),
+            vpn: find(this.vpn),
+            timezone: find(this.timezones),
+            public: !IpIntel.NON_PUBLIC.some(entry => entry.version === ip.version && ip.value >= entry.start && ip.value <= entry.end)
+        };
+    }
+
+    /**
+     * Assess the network path of a stored event
+     * Every reason has a kind; the verdict is the strongest kind found, in the order of
+     * IpIntel.VERDICTS. A clean verdict only means nothing pointed elsewhere.
+     * @param {Object} record - Event with its server block
+     * @returns {{verdict: string, reasons: Object[], srflxIPs: string[], ipTimezone: string|null}} - Verdict,
+     * reasons as {kind, message}, the srflx addresses compared and the timezone of the source IP
+     */
+    assess(record) {
+        const results = (record.fingerprint && record.fingerprint.results) || {};
+        const serverIp = record.server.ip;
+        const reasons = [];
+        const add = (kind, message) => reasons.push({ kind, message });
+
+        const source = this.lookup(serverIp);
+        const srflxIPs = IpIntel._srflxAddresses(results);
+
+        if (source) {
+            this._checkLists(source, `Source IP ${serverIp}`, add);
+        }
+
+        // WebRTC may leak the real address past a VPN or proxy, and that address can be listed too
+        srflxIPs.filter(address => !IpIntel.sameAddress(address, serverIp)).forEach(address => {
+            const leaked = this.lookup(address);
+            if (leaked) this._checkLists(leaked, `WebRTC address ${address}`, add);
+        });
+
+        // Behind a private address the collector is reached over a LAN, where nothing is comparable
+        if (source && source.public) {
+            this._compareSrflx(serverIp, srflxIPs, add);
+            this._compareTimezone(source.timezone, results.system, record.server.receivedAt, add);
+        }
+
+        this._compareLanguages(record.server.acceptLanguage, results.browser, add);
+
+        const verdict = IpIntel.VERDICTS.find(kind => reasons.some(reason => reason.kind === kind)) || 'clean';
+        return {
+            verdict,
+            reasons,
+            srflxIPs,
+            ipTimezone: source ? source.timezone : null
+        };
+    }
+
+    /**
+     * Report the lists an address is on
+     */
+    _checkLists(entry, subject, add) {
+        if (entry.tor) add('tor', `${subject} is a Tor exit node`);
+        if (entry.vpn) add('vpn', `${subject} belongs to VPN provider ${entry.vpn}`);
+        if (entry.datacenter) add('datacenter', `${subject} is in datacenter range ${entry.datacenter}`);
+    }
+
+    /**
+     * Compare the source IP with the srflx addresses of the same IP version
+     * An IPv6 source with only IPv4 srflx candidates is a normal dual-stack setup.
+     */
+    _compareSrflx(serverIp, srflxIPs, add) {
+        const source = IpIntel.parseIp(serverIp);
+        const comparable = srflxIPs.filter(address => {
+            const ip = IpIntel.parseIp(address);
+            return ip && ip.version === source.version;
+        });
+
+        if (comparable.length > 0 && !comparable.some(address => IpIntel.sameAddress(address, serverIp))) {
+            add('proxy', `Source IP ${serverIp} but WebRTC reports ${comparable.join(', ')} (HTTP goes through a proxy or VPN that UDP bypasses)`);
+        }
+    }
+
+    /**
+     * Compare the browser's UTC offset with the offset of the source IP's timezone
+     * Offsets are compared rather than names, so zones with the same offset don't count as a mismatch.
+     */
+    _compareTimezone(ipTimezone, system, receivedAt, add) {
+        if (!ipTimezone || !system || typeof system.timezoneOffset !== 'string') return;
+
+        const browserOffset = IpIntel.parseOffset(system.timezoneOffset);
+        const ipOffset = IpIntel.timezoneOffset(ipTimezone, new Date(receivedAt));
+        if (browserOffset === null || ipOffset === null) return;
+
+        if (Math.abs(browserOffset - ipOffset) > IpIntel.TIMEZONE_TOLERANCE) {
+            add('vpn', `Browser timezone ${system.timezone} (UTC${system.timezoneOffset}) but the source IP is in ${ipTimezone} (UTC${IpIntel.formatOffset(ipOffset)})`);
+        }
+    }
+
+    /**
+     * Compare the first Accept-Language entry with the first of navigator.languages
+     * Browsers build the header from the same setting, but may send only the first language.
+     */
+    _compareLanguages(acceptLanguage, browser, add) {
+        const languages = browser && Array.isArray(browser.languages) ? browser.languages : null;
+        if (!acceptLanguage || !languages || typeof languages[0] !== 'string') return;
+
+        const header = acceptLanguage.split(',')[0].split(';')[0].trim();
+        if (header && header !== '*' && header.toLowerCase() !== languages[0].toLowerCase()) {
+            add('proxy', `Accept-Language header starts with ${header} but navigator.languages with ${languages[0]} (header rewritten or spoofed)`);
+        }
+    }
+
+    /**
+     * Read a list file into its non-comment lines
+     * @returns {Promise<Object[]>} - {value, label} per line, empty if the file is missing
+     */
+    async _readList(name) {
+        let content;
+        try {
+            content = await fs.promises.readFile(path.join(this.dir, name), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+
+        return content.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const [value, ...label] = line.split(/\s+/);
+                return { value, label: label.join(' ') };
+            });
+    }
+}
+
+/**
+ * Parse list lines into ranges, skipping lines that aren't a valid IP or CIDR
+ * @returns {Object[]} - {version, start, end, label}
+ */
+IpIntel._parseRanges = function(entries) {
+    const ranges = [];
+    entries.forEach(entry => {
+        const range = IpIntel.parseCidr(entry.value);
+        if (range) ranges.push(Object.assign(range, { label: entry.label || entry.value }));
+    });
+    return ranges;
+};
+
+/**
+ * Collect the srflx addresses of the WebRTC candidates
+ * @returns {string[]} - Unique addresses
+ */
+IpIntel._srflxAddresses = function(results) {
+    const webRTC = (results.network && results.network.webRTC) || {};
+    const candidates = Array.isArray(webRTC.candidates) ? webRTC.candidates : [];
+    const addresses = candidates
+        .filter(candidate => candidate && candidate.candidateType === 'srflx' && typeof candidate.address === 'string')
+        .map(candidate => candidate.address);
+    return [...new Set(addresses)];
+};
+
+/**
+ * Parse an IP address
+ * IPv4-mapped IPv6 addresses are returned as IPv4, zone IDs are dropped.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {{version: number, value: bigint}|null} - Version and numeric value, null if invalid
+ */
+IpIntel.parseIp = function(address) {
+    if (typeof address !== 'string') return null;
+    const text = address.trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+
+    const v4 = text.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+    if (v4) {
+        const octets = v4.slice(1).map(Number);
+        if (octets.some(octet => octet > 255)) return null;
+        return { version: 4, value: octets.reduce((value, octet) => (value << 8n) + BigInt(octet), 0n) };
+    }
+
+    if (!text.includes(':')) return null;
+
+    // An embedded IPv4 address counts as the last two groups
+    let groupsText = text;
+    const embedded = text.match(/^(.*:)(\d{1,3}(?:\.\d{1,3}){3})$/);
+    if (embedded) {
+        const ip = IpIntel.parseIp(embedded[2]);
+        if (!ip) return null;
+        groupsText = embedded[1] + (ip.value >> 16n).toString(16) + ':' + (ip.value & 0xffffn).toString(16);
+    }
+
+    const halves = groupsText.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = head.concat(new Array(missing).fill('0'), tail);
+    if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+    const value = groups.reduce((sum, group) => (sum << 16n) + BigInt(parseInt(group, 16)), 0n);
+    if (value >> 32n === 0xffffn) {
+        return { version: 4, value: value & 0xffffffffn };
+    }
+    return { version: 6, value };
+};
+
+/**
+ * Parse a CIDR range; a bare address is a single-address range
+ * @param {string} cidr - e.g. "10.0.0.0/8" or "2001:db8::/32"
+ * @returns {{version: number, start: bigint, end: bigint}|null} - Range, null if invalid
+ */
+IpIntel.parseCidr = function(cidr) {
+    const [address, prefixText] = String(cidr).split('/');
+    const ip = IpIntel.parseIp(address);
+    if (!ip) return null;
+
+    const bits = ip.version === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+
+    const hostBits = BigInt(bits - prefix);
+    const start = (ip.value >> hostBits) << hostBits;
+    return { version: ip.version, start, end: start + (1n << hostBits) - 1n };
+};
+
+/**
+ * Whether two strings are the same address, e.g. "::ffff:192.0.2.1" and "192.0.2.1"
+ */
+IpIntel.sameAddress = function(a, b) {
+    const ipA = IpIntel.parseIp(a);
+    const ipB = IpIntel.parseIp(b);
+    return !!ipA && !!ipB && IpIntel.formatKey(ipA) === IpIntel.formatKey(ipB);
+};
+
+/**
+ * Key of a parsed address in the Tor exit set
+ */
+IpIntel.formatKey = function(ip) {
+    return `${ip.version}:${ip.value.toString(16)}`;
+};
+
+/**
+ * Parse a "+02:00" style UTC offset
+ * @returns {number|null} - Minutes east of UTC
+ */
+IpIntel.parseOffset = function(text) {
+    const match = String(text).match(/^(?:GMT|UTC)?([+-])(\d{1,2}):?(\d{2})?$/);
+    if (!match) return String(text) === 'GMT' ? 0 : null;
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+    return match[1] === '-' ? -minutes : minutes;
+};
+
+/**
+ * Format minutes east of UTC as "+02:00"
+ */
+IpIntel.formatOffset = function(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * UTC offset of an IANA timezone at a given time
+ * @returns {number|null} - Minutes east of UTC, null for an unknown timezone
+ */
+IpIntel.timezoneOffset = function(timezone, date) {
+    try {
+        const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' }).formatToParts(date);
+        const name = parts.find(part => part.type === 'timeZoneName');
+        return name ? IpIntel.parseOffset(name.value) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+IpIntel.FILES = {
+    torExits: 'tor-exits.txt',
+    datacenter: 'datacenter.txt',
+    vpn: 'vpn.txt',
+    timezones: 'ip-timezones.txt'
+};
+
+// Reason kinds, strongest first
+IpIntel.VERDICTS = ['tor', 'vpn', 'proxy', 'datacenter'];
+
+// Largest offset difference in minutes that still counts as a match, for half-hour zones near a border
+IpIntel.TIMEZONE_TOLERANCE = 30;
+
+// Private, loopback, link-local and shared ranges
+IpIntel.NON_PUBLIC = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+    '172.16.0.0/12', '192.168.0.0/16', '::/128', '::1/128', 'fc00::/7', 'fe80::/10'
+].map(IpIntel.parseCidr);
+
+module.exports = { IpIntel };
@@ -0,0 +1,168 @@
+/**
+ * Fingerprint Matcher
+ * Links returning visitors by comparing stored fingerprints signal by signal.
+ * The overall fingerprint hash changes whenever any value changes, so instead each
+ * signal gets a weight and a comparison, and the similarity is the weighted share of
+ * signals that agree. Volatile data (battery, timings, mouse counters) and values an
+ * attacker rotates cheaply (IP, user agent) are left out or weighted low.
+ */
+
+/**
+ * Signals compared between fingerprints
+ * path: location in the detector results, or several to try in order
+ * weight: relative importance
+ * compare: exact (default), numeric (within tolerance) or set (Jaccard similarity)
+ */
+const DEFAULT_SIGNALS = [
+    { name: 'canvasHash', path: 'canvasFingerprint.canvasHash', weight: 20 },
+    { name: 'fonts', path: 'fonts.hash', weight: 15 }, // Only compared when a fonts detector is registered
+    { name: 'webglRenderer', path: ['canvasFingerprint.webglRenderer', 'graphics.glRenderer'], weight: 12 },
+    { name: 'audioFingerprint', path: 'apiFingerprint.audio.fingerprint', weight: 10 },
+    { name: 'webglHash', path: 'canvasFingerprint.webglHash', weight: 8 },
+    { name: 'webglRender', path: 'canvasFingerprint.webglRenderHash', weight: 10 },
+    { name: 'screen', path: 'device', weight: 8, value: device => device.width && device.height ? `${device.width}x${device.height}` : null },
+    { name: 'timezone', path: 'system.timezone', weight: 6 },
+    { name: 'os', path: 'system.os', weight: 4 },
+    { name: 'cpuCores', path: 'system.cpuCores', weight: 4 },
+    { name: 'languages', path: 'browser.languages', weight: 4, compare: 'set' },
+    { name: 'deviceMemory', path: 'device.deviceMemory', weight: 3 },
+    { name: 'pixelRatio', path: 'device.pixelRatio', weight: 3, compare: 'numeric', tolerance: 0.25 },
+    { name: 'colorDepth', path: 'device.colorDepth', weight: 2 },
+    { name: 'userAgent', path: 'browser.userAgent', weight: 1 }
+];
+
+/**
+ * Read a dotted path from an object
+ */
+function getPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined, object);
+}
+
+class FingerprintMatcher {
+    /**
+     * @param {Object} options - Matcher options
+     * @param {Object[]} options.signals - Signal definitions, defaults to DEFAULT_SIGNALS
+     * @param {number} options.minCoverage - Minimum share of the total weight both fingerprints must have in common
+     */
+    constructor(options = {}) {
+        this.signals = options.signals || DEFAULT_SIGNALS;
+        this.minCoverage = typeof options.minCoverage === 'number' ? options.minCoverage : 0.3;
+        this.totalWeight = this.signals.reduce((sum, signal) => sum + signal.weight, 0);
+    }
+
+    /**
+     * Extract the comparable signal values of a stored event
+     * @param {Object} record - Stored event
+     * @returns {Object} - Signal values by name, missing signals are left out
+     */
+    extract(record) {
+        const results = record.fingerprint && record.fingerprint.results;
+        const values = {};
+        if (!results) return values;
+
+        this.signals.forEach(signal => {
+            const paths = Array.isArray(signal.path) ? signal.path : [signal.path];
+            let value;
+            for (const dottedPath of paths) {
+                value = getPath(results, dottedPath);
+                if (value !== undefined && value !== null && value !== '') break;
+            }
+
+            if (signal.value && value !== undefined && value !== null) {
+                value = signal.value(value);
+            }
+
+            if (value !== undefined && value !== null && value !== '' && value !== 'unknown') {
+                values[signal.name] = value;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Compare two sets of signal values
+     * @param {Object} a - Values from extract()
+     * @param {Object} b - Values from extract()
+     * @returns {{score: number, coverage: number, signals: Object}} - Weighted similarity (0-1),
+     * share of the total weight that could be compared, and the similarity of each compared signal
+     */
+    compare(a, b) {
+        let comparedWeight = 0;
+        let matchedWeight = 0;
+        const signals = {};
+
+        this.signals.forEach(signal => {
+            if (!(signal.name in a) || !(signal.name in b)) return;
+
+            const similarity = FingerprintMatcher.similarity(signal, a[signal.name], b[signal.name]);
+            signals[signal.name] = Math.round(similarity * 100) / 100;
+            comparedWeight += signal.weight;
+            matchedWeight += signal.weight * similarity;
+        });
+
+        return {
+            score: comparedWeight > 0 ? matchedWeight / comparedWeight : 0,
+            coverage: comparedWeight / this.totalWeight,
+            signals
+        };
+    }
+
+    /**
+     * Rank stored events by similarity to a target event
+     * @param {Object} target - Stored event to match
+     * @param {Object[]} records - Stored events to search
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of candidates (default 10)
+     * @param {number} options.minScore - Minimum similarity (default 0.5)
+     * @returns {Object[]} - Candidates {id, score, coverage, signals}, best first
+     */
+    findCandidates(target, records, options = {}) {
+        const limit = options.limit || 10;
+        const minScore = typeof options.minScore === 'number' ? options.minScore : 0.5;
+        const targetValues = this.extract(target);
+
+        const candidates = [];
+        records.forEach(record => {
+            if (record.id === target.id || !record.fingerprint) return;
+
+            const result = this.compare(targetValues, this.extract(record));
+            if (result.coverage < this.minCoverage || result.score < minScore) return;
+
+            candidates.push(Object.assign({ id: record.id }, result));
+        });
+
+        candidates.sort((a, b) => b.score - a.score || b.coverage - a.coverage);
+        return candidates.slice(0, limit);
+    }
+}
+
+/**
+ * Similarity of two values of one signal
+ * @param {Object} signal - Signal definition
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Similarity between 0 and 1
+ */
+FingerprintMatcher.similarity = function(signal, a, b) {
+    if (signal.compare === 'numeric') {
+        const difference = Math.abs(Number(a) - Number(b));
+        if (isNaN(difference)) return 0;
+        return Math.max(0, 1 - difference / (signal.tolerance || 1));
+    }
+
+    if (signal.compare === 'set') {
+        const setA = new Set(Array.isArray(a) ? a : [a]);
+        const setB = new Set(Array.isArray(b) ? b : [b]);
+        const union = new Set([...setA, ...setB]);
+        if (union.size === 0) return 1;
+        let shared = 0;
+        setA.forEach(value => { if (setB.has(value)) shared++; });
+        return shared / union.size;
+    }
+
+    return JSON.stringify(a) === JSON.stringify(b) ? 1 : 0;
+};
+
+module.exports = { FingerprintMatcher, DEFAULT_SIGNALS };
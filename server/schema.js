@@ -0,0 +1,140 @@
+/**
+ * Event Schema
+ * Shape of the events posted by the fingerprinting pages, checked with a small
+ * JSON Schema subset (type, enum, pattern, format, maxLength, required, properties,
+ * additionalProperties, items, maxItems).
+ */
+
+const EVENT_TYPES = ['fingerprint', 'credential_attempt', 'password_reset'];
+
+const NULLABLE_STRING = { type: ['string', 'null'], maxLength: 1024 };
+
+const EVENT_SCHEMA = {
+    type: 'object',
+    required: ['id', 'type', 'createdAt'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', pattern: '^[0-9a-f]{8,64}$' },
+        type: { type: 'string', enum: EVENT_TYPES },
+        createdAt: { type: 'string', format: 'date-time' },
+        page: { type: 'string', maxLength: 2048 },
+        referrer: { type: ['string', 'null'], maxLength: 2048 },
+        credentials: {
+            type: 'object',
+            required: ['username', 'password', 'mfaCode'],
+            additionalProperties: false,
+            properties: {
+                username: NULLABLE_STRING,
+                password: NULLABLE_STRING,
+                mfaCode: NULLABLE_STRING
+            }
+        },
+        flow: { type: 'object' },
+        fingerprint: {
+            type: ['object', 'null'],
+            required: ['hash', 'results'],
+            properties: {
+                hash: { type: 'string', maxLength: 128 },
+                sessionId: { type: 'string', maxLength: 128 },
+                results: { type: 'object' },
+                report: {
+                    type: 'object',
+                    required: ['sections'],
+                    properties: {
+                        sections: { type: 'array', maxItems: 500 }
+                    }
+                },
+                status: { type: 'object' }
+            }
+        },
+        behavior: { type: ['object', 'null'] }
+    }
+};
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Value to check
+ * @returns {string} - JSON type name, with null and array told apart from object
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (subset of JSON Schema)
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {string[]} - Validation errors, empty if the value is valid
+ */
+function validate(value, schema, path = 'event') {
+    const errors = [];
+    const type = jsonType(value);
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!allowed.includes(type)) {
+            errors.push(`${path} must be of type ${allowed.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (type === 'string') {
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} has an invalid format`);
+        }
+        if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+            errors.push(`${path} must be an ISO date`);
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties && schema.properties[key];
+            if (propertySchema) {
+                errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an event posted by a page
+ * @param {*} event - Parsed request body
+ * @returns {string[]} - Validation errors, empty if the event is valid
+ */
+function validateEvent(event) {
+    return validate(event, EVENT_SCHEMA);
+}
+
+module.exports = { EVENT_SCHEMA, EVENT_TYPES, validate, validateEvent };
@@ -0,0 +1,183 @@
+/**
+ * Event Store
+ * Append-only NDJSON file with an in-memory copy for queries.
+ * Every accepted event is one line; the file is read back in full on start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { summarizeEvent } = require('./summary');
+
+class EventStore {
+    /**
+     * @param {string} filePath - Path of the NDJSON file, created if missing
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.events = [];
+        this.byId = new Map();
+        this.summaries = new Map();
+        // IDs of events whose line is still being written
+        this.pending = new Set();
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load existing events from disk
+     * Lines that cannot be parsed (e.g. a write cut short by a crash) are skipped.
+     * @returns {Promise<number>} - Number of events loaded
+     */
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                this._index(JSON.parse(line));
+            } catch (e) {
+                console.warn(`Skipping unreadable line ${index + 1} in ${this.filePath}: ${e.message}`);
+            }
+        });
+
+        return this.events.length;
+    }
+
+    /**
+     * Append an event
+     * Writes are queued so lines never interleave. The event is only indexed once its
+     * line is on disk, so a failed write leaves no trace in the queries.
+     * @param {Object} record - Event with server metadata
+     * @returns {Promise<Object>} - The stored record
+     */
+    append(record) {
+        if (this.byId.has(record.id) || this.pending.has(record.id)) {
+            return Promise.reject(new Error(`Event ${record.id} already exists`));
+        }
+
+        let summary;
+        let line;
+        try {
+            summary = summarizeEvent(record);
+            line = JSON.stringify(record) + '\n';
+        } catch (e) {
+            return Promise.reject(e);
+        }
+
+        this.pending.add(record.id);
+        const write = this.writeQueue.then(() => fs.promises.appendFile(this.filePath, line, 'utf8'));
+        this.writeQueue = write.catch(() => {});
+
+        return write
+            .then(() => {
+                this._index(record, summary);
+                return record;
+            })
+            .finally(() => this.pending.delete(record.id));
+    }
+
+    /**
+     * Get an event by ID
+     * @param {string} id - Event ID
+     * @returns {Object|null} - The stored record
+     */
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    /**
+     * Get the summary of an event
+     * @param {string} id - Event ID
+     * @returns {Object|null} - Summary fields (see summary.js)
+     */
+    getSummary(id) {
+        return this.summaries.get(id) || null;
+    }
+
+    /**
+     * Find events matching a filter, newest first
+     * @param {Object} filter - Query filter
+     * @param {string} filter.type - Event type
+     * @param {string} filter.since - Only events received at or after this ISO date
+     * @param {string} filter.until - Only events received before this ISO date
+     * @param {string} filter.ip - Client IP address or an IP leaked via WebRTC
+     * @param {string} filter.username - Attempted username (case-insensitive)
+     * @param {string} filter.hash - Fingerprint or canvas hash
+     * @param {number} filter.minBotScore - Only events with at least this bot score (0-1)
+     * @param {string} filter.remoteType - Remote desktop type, or "detected" for any detected type
+     * @param {string} filter.network - Network verdict (tor, vpn, proxy, datacenter, clean), or "detected" for any but clean
+     * @param {string} filter.q - Free text searched in username, IPs, user agent, hashes and session ID
+     * @param {number} filter.limit - Maximum number of events
+     * @param {number} filter.offset - Number of matching events to skip
+     * @returns {{total: number, events: Object[]}} - Total matches and the requested page
+     */
+    query(filter = {}) {
+        const since = filter.since ? Date.parse(filter.since) : null;
+        const until = filter.until ? Date.parse(filter.until) : null;
+        const username = filter.username ? filter.username.toLowerCase() : null;
+        const q = filter.q ? filter.q.toLowerCase() : null;
+
+        const matches = this.events.filter(record => {
+            const summary = this.summaries.get(record.id);
+            const receivedAt = Date.parse(record.server.receivedAt);
+
+            if (filter.type && record.type !== filter.type) return false;
+            if (since !== null && receivedAt < since) return false;
+            if (until !== null && receivedAt >= until) return false;
+            if (filter.ip && record.server.ip !== filter.ip && !summary.webRTCIPs.includes(filter.ip)) return false;
+            if (username && (!summary.username || summary.username.toLowerCase() !== username)) return false;
+            if (filter.hash && summary.fingerprintHash !== filter.hash && summary.canvasHash !== filter.hash) return false;
+            if (typeof filter.minBotScore === 'number' && !(summary.botScore >= filter.minBotScore)) return false;
+            if (filter.remoteType === 'detected' && !summary.remoteDesktopDetected) return false;
+            if (filter.remoteType && filter.remoteType !== 'detected' && summary.remoteDesktopType !== filter.remoteType) return false;
+            if (filter.network === 'detected' && (!summary.networkVerdict || summary.networkVerdict === 'clean')) return false;
+            if (filter.network && filter.network !== 'detected' && summary.networkVerdict !== filter.network) return false;
+            if (q) {
+                const haystack = [
+                    summary.username,
+                    record.server.ip,
+                    record.server.userAgent,
+                    summary.fingerprintHash,
+                    summary.canvasHash,
+                    summary.sessionId,
+                    ...summary.webRTCIPs
+                ].filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(q)) return false;
+            }
+            return true;
+        });
+
+        matches.reverse();
+
+        const offset = filter.offset || 0;
+        const limit = filter.limit || EventStore.DEFAULT_LIMIT;
+
+        return {
+            total: matches.length,
+            events: matches.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Add a record to the in-memory indexes
+     * The summary is computed first, so a record it fails on is not indexed at all.
+     * @param {Object} record - Stored event
+     * @param {Object} summary - Summary of the record, computed if not given
+     */
+    _index(record, summary = summarizeEvent(record)) {
+        this.events.push(record);
+        this.byId.set(record.id, record);
+        this.summaries.set(record.id, summary);
+    }
+}
+
+EventStore.DEFAULT_LIMIT = 100;
+EventStore.MAX_LIMIT = 1000;
+
+module.exports = { EventStore };
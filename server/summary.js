@@ -0,0 +1,55 @@
+/**
+ * Event Summary
+ * Pulls the fields analysts filter and sort on out of a stored event.
+ */
+
+/**
+ * Summarize a stored event
+ * Credential events carry behavior data read at submit time, which is newer
+ * than the detector results taken when collection settled, so it wins.
+ * @param {Object} record - Stored event
+ * @returns {Object} - Summary fields
+ */
+function summarizeEvent(record) {
+    // Everything below the server metadata was posted by the client, so no shape is trusted
+    const fingerprint = objectOrEmpty(record.fingerprint);
+    const results = objectOrEmpty(fingerprint.results);
+    const behavior = objectOrEmpty(record.behavior);
+
+    const behaviorBot = objectOrEmpty(behavior.bot);
+    const bot = objectOrEmpty(behaviorBot.scores || results.botDetection);
+    const remoteDesktop = objectOrEmpty(behavior.remoteDesktop || results.remoteDesktop);
+    const webRTC = objectOrEmpty(objectOrEmpty(results.network).webRTC);
+    const canvas = objectOrEmpty(results.canvasFingerprint);
+    // Events stored before the IP lists were added have no network verdict
+    const network = objectOrEmpty(objectOrEmpty(record.server).network);
+    const addresses = Array.isArray(webRTC.addresses) ? webRTC.addresses : [];
+
+    return {
+        username: stringOrNull(objectOrEmpty(record.credentials).username),
+        botScore: typeof bot.overallScore === 'number' ? bot.overallScore : null,
+        remoteDesktopType: stringOrNull(remoteDesktop.type),
+        remoteDesktopDetected: !!remoteDesktop.detected,
+        webRTCIPs: addresses.map(entry => stringOrNull(objectOrEmpty(entry).address)).filter(Boolean),
+        networkVerdict: stringOrNull(network.verdict),
+        canvasHash: stringOrNull(canvas.canvasHash),
+        fingerprintHash: stringOrNull(fingerprint.hash),
+        sessionId: stringOrNull(fingerprint.sessionId)
+    };
+}
+
+/**
+ * The value if it is a plain object, otherwise an empty object
+ */
+function objectOrEmpty(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+/**
+ * The value if it is a non-empty string, otherwise null
+ */
+function stringOrNull(value) {
+    return typeof value === 'string' && value !== '' ? value : null;
+}
+
+module.exports = { summarizeEvent };